@@ -0,0 +1,68 @@
+// build-lod.js - Make simplified copies of the overlay SVGs for zoomed-out views
+// Usage:
+//   node build-lod.js [--bands=-1,1,3] [--out=<dir>] [<overlay url>...]
+// Each band is the highest zoom its copy is used at; above the last band the
+// viewer loads the original. Without urls, every overlay in the settings
+// that is a file in public/ is simplified (e.g. political.svg, climate.svg).
+// Writes <out>/<name>/z<band>.svg and <out>/manifest.json (default public/lod
+// or IXMAPS_LOD_DIR). Run again whenever an overlay SVG changes.
+
+const fs = require('fs');
+const path = require('path');
+const { lodDir, DEFAULT_BANDS, buildLod } = require('./lib/lod');
+const { getSettings } = require('./lib/settings');
+const { getStorage } = require('./lib/storage');
+
+const args = process.argv.slice(2);
+const publicDir = path.join(__dirname, 'public');
+
+// Print usage and exit
+function usage() {
+  console.log('Usage:');
+  console.log(`  node build-lod.js [--bands=${DEFAULT_BANDS.join(',')}] [--out=<dir>] [<overlay url>...]`);
+  console.log('Without urls, every local overlay in the settings is simplified');
+  process.exit(1);
+}
+
+// Value of a --name=value option
+function option(name, fallback) {
+  const arg = args.find(candidate => candidate.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : fallback;
+}
+
+async function run() {
+  if (args.some(arg => arg.startsWith('--') && !/^--(bands|out)=/.test(arg))) usage();
+
+  let urls = args.filter(arg => !arg.startsWith('--'));
+  if (urls.length === 0) {
+    try {
+      const settings = await getSettings();
+      urls = settings.overlays.map(overlay => overlay.url).filter(url => !/^https?:/i.test(url));
+    } finally {
+      await getStorage().close();
+    }
+  }
+
+  const files = urls.map(url => {
+    const file = path.join(publicDir, url);
+    if (url.includes('..') || !fs.existsSync(file)) {
+      throw new Error(`${url} is not a file in ${publicDir}`);
+    }
+    return { url, file };
+  });
+
+  const bands = option('bands', null);
+  await buildLod({
+    files: files,
+    outDir: path.resolve(option('out', lodDir)),
+    bands: bands === null ? DEFAULT_BANDS : bands.split(',').map(Number),
+    log: message => console.log(message)
+  });
+
+  console.log(`✅ Simplified ${files.length} SVGs`);
+}
+
+run().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,67 @@
+// build-tiles.js - Pre-render the master map into raster tiles for the viewer
+// Usage:
+//   node build-tiles.js [--svg=<file>] [--out=<dir>] [--format=webp|png]
+//                       [--min-zoom=-2] [--max-zoom=6] [--no-layers]
+// Writes <out>/composite/<z>/<x>/<y>.<format> for the whole map, the same for
+// each top-level Inkscape layer (sublayers are part of their layer's tiles)
+// and for "base", what is outside every layer, then <out>/manifest.json.
+// Without a manifest the viewer draws the SVG.
+// Defaults: public/master-map.svg into public/tiles (or IXMAPS_TILES_DIR), webp.
+// Needs the optional sharp package: npm install sharp
+
+const path = require('path');
+const { tilesDir, TILE_FORMATS, buildTiles } = require('./lib/tiles');
+
+const args = process.argv.slice(2);
+
+// Zoom range of the viewer's map (main.js config)
+const MIN_ZOOM = -2;
+const MAX_ZOOM = 6;
+
+// Print usage and exit
+function usage() {
+  console.log('Usage:');
+  console.log('  node build-tiles.js [--svg=<file>] [--out=<dir>] [--format=webp|png]');
+  console.log(`                      [--min-zoom=${MIN_ZOOM}] [--max-zoom=${MAX_ZOOM}] [--no-layers]`);
+  console.log(`Formats: ${TILE_FORMATS.join(', ')}`);
+  console.log('--no-layers builds only the composite of the whole map');
+  process.exit(1);
+}
+
+// Value of a --name=value option
+function option(name, fallback) {
+  const arg = args.find(candidate => candidate.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : fallback;
+}
+
+async function run() {
+  const known = ['--svg=', '--out=', '--format=', '--min-zoom=', '--max-zoom=', '--no-layers'];
+  if (args.some(arg => !known.some(prefix => arg === prefix || (prefix.endsWith('=') && arg.startsWith(prefix))))) {
+    usage();
+  }
+
+  const svgFile = path.resolve(option('svg', path.join(__dirname, 'public', 'master-map.svg')));
+  const outDir = path.resolve(option('out', tilesDir));
+  const minZoom = Number(option('min-zoom', MIN_ZOOM));
+  const maxZoom = Number(option('max-zoom', MAX_ZOOM));
+
+  console.log(`Building tiles for ${svgFile} -> ${outDir} (zoom ${minZoom}..${maxZoom})`);
+
+  const manifest = await buildTiles({
+    svgFile: svgFile,
+    outDir: outDir,
+    format: option('format', 'webp'),
+    minZoom: minZoom,
+    maxZoom: maxZoom,
+    layers: !args.includes('--no-layers'),
+    log: message => console.log(message)
+  });
+
+  const pyramids = 1 + (manifest.base ? 1 : 0) + manifest.layers.length;
+  console.log(`✅ Built ${pyramids} pyramids, version ${manifest.version}`);
+}
+
+run().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -17,6 +17,11 @@ class IxMapEditor {
     this.pendingLabels = [];
     this.selectedLabel = null;
     this.labelLayerGroup = null;
+    this.labelMarkers = new Map();
+    
+    // Live label updates
+    this.labelEvents = null;
+    this.labelEventsLost = false;
     
     // Label categories
     this.labelCategories = options.labelCategories || [
@@ -42,6 +47,9 @@ class IxMapEditor {
     // Check authentication status
     await this.checkAuthStatus();
     
+    // Follow label changes made by others
+    this.connectLabelEvents();
+    
     // Initialize event listeners
     this.initializeEventListeners();
     
@@ -200,8 +208,7 @@ class IxMapEditor {
           </div>
           <div class="form-group">
             <label for="ixmap-login-password">Password:</label>
-            <input type="password" id="ixmap-login-password" name="password">
-            <small>(Any password works for demo)</small>
+            <input type="password" id="ixmap-login-password" name="password" required>
           </div>
           <div class="form-buttons">
             <button type="submit" class="ixmap-button primary">Login</button>
@@ -211,11 +218,34 @@ class IxMapEditor {
       </div>
     `;
     
+    // Merge dialog, shown when a label changed on the server during an edit
+    const mergeDialog = document.createElement('div');
+    mergeDialog.id = 'ixmap-merge-dialog';
+    mergeDialog.className = 'ixmap-modal';
+    mergeDialog.style.display = 'none';
+    mergeDialog.innerHTML = `
+      <div class="ixmap-modal-content">
+        <h2>Label Changed</h2>
+        <p>Someone else saved this label while you were editing it. Choose which value to keep for each field that differs.</p>
+        <table class="ixmap-merge-table">
+          <thead>
+            <tr><th>Field</th><th>Your edit</th><th>Current version</th></tr>
+          </thead>
+          <tbody id="ixmap-merge-fields"></tbody>
+        </table>
+        <div class="form-buttons">
+          <button type="button" id="ixmap-merge-save" class="ixmap-button primary">Save Merged</button>
+          <button type="button" id="ixmap-merge-discard" class="ixmap-button">Keep Current Version</button>
+        </div>
+      </div>
+    `;
+    
     // Add elements to the document
     document.body.appendChild(toolbar);
     document.body.appendChild(labelForm);
     document.body.appendChild(editForm);
     document.body.appendChild(loginDialog);
+    document.body.appendChild(mergeDialog);
     
     // Add CSS for editor elements
     this.addEditorStyles();
@@ -329,6 +359,26 @@ class IxMapEditor {
         margin-top: 20px;
       }
       
+      .ixmap-merge-table {
+        width: 100%;
+        border-collapse: collapse;
+        margin: 10px 0;
+        font-size: 13px;
+      }
+      
+      .ixmap-merge-table th,
+      .ixmap-merge-table td {
+        text-align: left;
+        padding: 5px;
+        border-bottom: 1px solid #eee;
+        vertical-align: top;
+      }
+      
+      .ixmap-merge-table label {
+        display: block;
+        cursor: pointer;
+      }
+      
       .ixmap-button {
         padding: 8px 12px;
         border: none;
@@ -482,7 +532,7 @@ class IxMapEditor {
     if (deleteButton) {
       deleteButton.addEventListener('click', () => {
         const labelId = document.getElementById('ixmap-edit-label-id').value;
-        if (confirm('Are you sure you want to delete this label?')) {
+        if (confirm('Move this label to the trash? A moderator can restore it.')) {
           this.deleteLabel(labelId);
           document.getElementById('ixmap-label-edit-form-container').style.display = 'none';
         }
@@ -553,12 +603,14 @@ class IxMapEditor {
           this.currentUser = {
             id: data.userId,
             username: data.username,
+            role: data.role,
             isAdmin: data.isAdmin || false
           };
           
           this.updateAuthUI(true);
         } else {
-          this.currentUser = null;
+          // Session expired or was logged out elsewhere
+          this.clearSession();
           this.updateAuthUI(false);
         }
       } else {
@@ -599,10 +651,18 @@ class IxMapEditor {
     }
     
     if (adminLink && this.currentUser) {
-      adminLink.style.display = this.currentUser.isAdmin ? 'inline-block' : 'none';
+      adminLink.style.display = this.isModerator() ? 'inline-block' : 'none';
     }
   }
   
+  /**
+   * Check whether the current user can moderate labels
+   */
+  isModerator() {
+    return Boolean(this.currentUser) &&
+      (this.currentUser.role === 'moderator' || this.currentUser.role === 'admin');
+  }
+  
   /**
    * Show login dialog
    */
@@ -619,8 +679,8 @@ class IxMapEditor {
       const username = document.getElementById('ixmap-login-username').value;
       const password = document.getElementById('ixmap-login-password').value;
       
-      if (!username) {
-        this.showNotification('Username is required', 'error');
+      if (!username || !password) {
+        this.showNotification('Username and password are required', 'error');
         return;
       }
       
@@ -644,6 +704,7 @@ class IxMapEditor {
           this.currentUser = {
             id: data.user.id,
             username: data.user.username,
+            role: data.user.role,
             isAdmin: data.user.isAdmin || false
           };
           
@@ -658,6 +719,7 @@ class IxMapEditor {
           
           // Reload labels to show pending ones
           await this.loadLabels();
+          this.connectLabelEvents();
         } else {
           this.showNotification(data.message || 'Login failed', 'error');
         }
@@ -684,9 +746,7 @@ class IxMapEditor {
       });
       
       // Clear session
-      this.sessionId = null;
-      localStorage.removeItem('ixmaps-session-id');
-      this.currentUser = null;
+      this.clearSession();
       
       // Update UI
       this.updateAuthUI(false);
@@ -701,6 +761,7 @@ class IxMapEditor {
       
       // Reload labels to hide pending ones
       await this.loadLabels();
+      this.connectLabelEvents();
       
     } catch (error) {
       console.error('Logout error:', error);
@@ -708,6 +769,15 @@ class IxMapEditor {
     }
   }
   
+  /**
+   * Forget the stored session and current user
+   */
+  clearSession() {
+    this.sessionId = null;
+    localStorage.removeItem('ixmaps-session-id');
+    this.currentUser = null;
+  }
+  
   /**
    * Toggle editor mode
    */
@@ -772,23 +842,98 @@ class IxMapEditor {
     
     // Clear existing labels
     this.labelLayerGroup.clearLayers();
+    this.labelMarkers.clear();
     
-    const currentZoom = this.map.getZoom();
-    
-    // Add approved labels
-    this.labels.forEach(label => {
-      if (currentZoom >= (label.minZoom || -3)) {
-        this.addLabelToMap(label, false);
+    // Add approved labels, then pending ones
+    this.labels.concat(this.pendingLabels).forEach(label => {
+      if (this.isLabelVisible(label)) {
+        this.addLabelToMap(label, label.status === 'pending');
       }
     });
+  }
+  
+  /**
+   * Check whether a label is shown at the current zoom
+   * Pending labels are only shown to their creator
+   */
+  isLabelVisible(label) {
+    if (!this.map || this.map.getZoom() < (label.minZoom || -3)) {
+      return false;
+    }
     
-    // Add pending labels (only visible to creator)
-    if (this.currentUser) {
-      this.pendingLabels.forEach(label => {
-        if (label.createdBy === this.currentUser.id && currentZoom >= (label.minZoom || -3)) {
-          this.addLabelToMap(label, true);
-        }
+    if (label.status === 'pending') {
+      return Boolean(this.currentUser) && label.createdBy === this.currentUser.id;
+    }
+    
+    return label.status === 'approved';
+  }
+  
+  /**
+   * Subscribe to the server's label event stream
+   * Reconnects with the current session, so call again after login/logout
+   */
+  connectLabelEvents() {
+    if (typeof EventSource === 'undefined') return;
+    
+    if (this.labelEvents) {
+      this.labelEvents.close();
+    }
+    
+    // EventSource cannot send headers, so the session goes in the query
+    const query = this.sessionId ? `?sessionId=${encodeURIComponent(this.sessionId)}` : '';
+    this.labelEvents = new EventSource(`${this.apiBaseUrl}/labels/events${query}`);
+    
+    ['created', 'updated', 'status-changed', 'restored', 'deleted', 'reset'].forEach(type => {
+      this.labelEvents.addEventListener(type, event => {
+        this.applyLabelEvent(type, JSON.parse(event.data));
       });
+    });
+    
+    // Reload after a dropped connection to catch up on missed changes
+    this.labelEvents.addEventListener('error', () => {
+      this.labelEventsLost = true;
+    });
+    this.labelEvents.addEventListener('open', () => {
+      if (this.labelEventsLost) {
+        this.labelEventsLost = false;
+        this.loadLabels();
+      }
+    });
+  }
+  
+  /**
+   * Apply a label event to the map without reloading every label
+   */
+  applyLabelEvent(type, data) {
+    if (type === 'reset') {
+      this.loadLabels();
+      return;
+    }
+    
+    const id = String(type === 'deleted' ? data.id : data.label.id);
+    
+    // Drop the old version of the label
+    this.labels = this.labels.filter(label => String(label.id) !== id);
+    this.pendingLabels = this.pendingLabels.filter(label => String(label.id) !== id);
+    
+    const marker = this.labelMarkers.get(id);
+    if (marker) {
+      this.labelLayerGroup.removeLayer(marker);
+      this.labelMarkers.delete(id);
+    }
+    
+    if (type === 'deleted') return;
+    
+    // Add the new version
+    const label = data.label;
+    if (label.status === 'approved') {
+      this.labels.push(label);
+    } else if (label.status === 'pending') {
+      this.pendingLabels.push(label);
+    }
+    
+    if (this.isLabelVisible(label)) {
+      this.addLabelToMap(label, label.status === 'pending');
     }
   }
   
@@ -821,9 +966,10 @@ class IxMapEditor {
       L.DomEvent.stopPropagation(e);
       
       if (this.editMode && this.currentUser) {
-        const canEdit = isPending || 
-                       this.currentUser.isAdmin || 
-                       label.createdBy === this.currentUser.id;
+        // Mirrors the server rules: moderators edit anything,
+        // contributors only their own pending submissions
+        const canEdit = this.isModerator() ||
+                       (isPending && label.createdBy === this.currentUser.id);
         
         if (canEdit) {
           this.showLabelEditForm(label);
@@ -833,6 +979,7 @@ class IxMapEditor {
     
     // Add to layer group
     marker.addTo(this.labelLayerGroup);
+    this.labelMarkers.set(String(label.id), marker);
     
     return marker;
   }
@@ -852,9 +999,11 @@ class IxMapEditor {
     // Reset form
     form.reset();
     
-    // Set coordinates
+    // Set coordinates, bringing a click on a copy of the world onto the map
+    const crs = this.map.options.crs;
+    const x = typeof crs.worldOffset === 'function' ? latlng.lng - crs.worldOffset(latlng.lng) : latlng.lng;
     document.getElementById('ixmap-label-lat').value = latlng.lat;
-    document.getElementById('ixmap-label-lng').value = latlng.lng;
+    document.getElementById('ixmap-label-lng').value = x;
     
     // Set current zoom level
     const currentZoom = this.map.getZoom();
@@ -1003,68 +1152,134 @@ class IxMapEditor {
         return;
       }
       
-      // Submit to API
-      const response = await fetch(`${this.apiBaseUrl}/labels/${labelId}`, {
-        method: 'PUT',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Session-ID': this.sessionId || ''
-        },
-        body: JSON.stringify(labelData)
-      });
-      
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.error || 'Failed to update label');
-      }
-      
-      const updatedLabel = await response.json();
-      
-      // Update local data
-      const wasApproved = this.selectedLabel.status === 'approved';
-      const isNowApproved = updatedLabel.status === 'approved';
-      
-      if (wasApproved && isNowApproved) {
-        // Update in approved list
-        const index = this.labels.findIndex(l => l.id === labelId);
-        if (index !== -1) {
-          this.labels[index] = updatedLabel;
-        }
-      } else if (wasApproved && !isNowApproved) {
-        // Move from approved to pending
-        this.labels = this.labels.filter(l => l.id !== labelId);
-        this.pendingLabels.push(updatedLabel);
-      } else if (!wasApproved && isNowApproved) {
-        // Move from pending to approved
-        this.pendingLabels = this.pendingLabels.filter(l => l.id !== labelId);
-        this.labels.push(updatedLabel);
-      } else {
-        // Update in pending list
-        const index = this.pendingLabels.findIndex(l => l.id === labelId);
-        if (index !== -1) {
-          this.pendingLabels[index] = updatedLabel;
-        }
-      }
-      
-      // Update the map
-      this.updateVisibleLabels();
-      
-      // Hide the form
-      document.getElementById('ixmap-label-edit-form-container').style.display = 'none';
-      
-      // Show success notification
-      if (isNowApproved) {
-        this.showNotification('Label updated successfully', 'success');
-      } else {
-        this.showNotification('Label updated and submitted for approval', 'success');
-      }
-      
+      await this.submitLabelUpdate(labelId, labelData, this.selectedLabel.version);
     } catch (error) {
       console.error('Error updating label:', error);
       this.showNotification('Failed to update label: ' + error.message, 'error');
     }
   }
   
+  /**
+   * Send label changes made against a known version
+   * A 409 means the label changed meanwhile and opens the merge dialog
+   */
+  async submitLabelUpdate(labelId, labelData, version) {
+    const response = await fetch(`${this.apiBaseUrl}/labels/${labelId}`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Session-ID': this.sessionId || ''
+      },
+      body: JSON.stringify(Object.assign({}, labelData, { version }))
+    });
+    
+    if (response.status === 409) {
+      const conflict = await response.json();
+      this.showMergeDialog(labelData, conflict.current);
+      return;
+    }
+    
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to update label');
+    }
+    
+    const updatedLabel = await response.json();
+    
+    // Update local data and the map
+    this.selectedLabel = updatedLabel;
+    this.applyLabelEvent('updated', { label: updatedLabel });
+    
+    // Hide the form
+    document.getElementById('ixmap-label-edit-form-container').style.display = 'none';
+    
+    // Show success notification
+    if (updatedLabel.status === 'approved') {
+      this.showNotification('Label updated successfully', 'success');
+    } else {
+      this.showNotification('Label updated and submitted for approval', 'success');
+    }
+  }
+  
+  /**
+   * Let the user merge their edits with the server's current copy
+   * Fields only one side changed keep that side's value; fields both
+   * sides changed are offered as a choice, defaulting to the user's edit.
+   */
+  showMergeDialog(labelData, current) {
+    const original = this.selectedLabel || current;
+    const fieldNames = {
+      name: 'Label Text',
+      type: 'Category',
+      minZoom: 'Minimum Zoom',
+      notes: 'Notes'
+    };
+    const format = (field, value) => {
+      if (value === undefined || value === null || value === '') return '(empty)';
+      if (field === 'type') {
+        const category = this.labelCategories.find(cat => cat.id === value);
+        return category ? category.name : value;
+      }
+      return String(value);
+    };
+    
+    const merged = {};
+    const rows = document.getElementById('ixmap-merge-fields');
+    rows.innerHTML = '';
+    
+    Object.keys(labelData).forEach(field => {
+      const mine = labelData[field];
+      const theirs = current[field];
+      const iChanged = mine !== original[field];
+      merged[field] = iChanged ? mine : theirs;
+      
+      if (mine === theirs || !iChanged || theirs === original[field]) return;
+      
+      const row = document.createElement('tr');
+      row.innerHTML = `
+        <td>${fieldNames[field] || field}</td>
+        <td><label><input type="radio" name="merge-${field}" value="mine" checked> <span></span></label></td>
+        <td><label><input type="radio" name="merge-${field}" value="theirs"> <span></span></label></td>
+      `;
+      const [mineText, theirsText] = row.querySelectorAll('span');
+      mineText.textContent = format(field, mine);
+      theirsText.textContent = format(field, theirs);
+      
+      row.querySelectorAll('input').forEach(input => {
+        input.addEventListener('change', () => {
+          merged[field] = input.value === 'mine' ? mine : theirs;
+        });
+      });
+      
+      rows.appendChild(row);
+    });
+    
+    if (!rows.children.length) {
+      rows.innerHTML = '<tr><td colspan="3">Your edits do not conflict with the other change.</td></tr>';
+    }
+    
+    const dialog = document.getElementById('ixmap-merge-dialog');
+    dialog.style.display = 'flex';
+    
+    document.getElementById('ixmap-merge-save').onclick = async () => {
+      dialog.style.display = 'none';
+      this.selectedLabel = current;
+      try {
+        await this.submitLabelUpdate(current.id, merged, current.version);
+      } catch (error) {
+        console.error('Error updating label:', error);
+        this.showNotification('Failed to update label: ' + error.message, 'error');
+      }
+    };
+    
+    document.getElementById('ixmap-merge-discard').onclick = () => {
+      dialog.style.display = 'none';
+      document.getElementById('ixmap-label-edit-form-container').style.display = 'none';
+      this.applyLabelEvent('updated', { label: current });
+      this.showNotification('Kept the current version of the label', 'info');
+    };
+  }
+  
   /**
    * Delete a label
    */
@@ -1095,7 +1310,7 @@ class IxMapEditor {
       this.updateVisibleLabels();
       
       // Show success notification
-      this.showNotification('Label deleted successfully', 'success');
+      this.showNotification('Label moved to the trash', 'success');
       
     } catch (error) {
       console.error('Error deleting label:', error);
@@ -0,0 +1,155 @@
+/**
+ * IxMaps - Audit log
+ * Append-only record of every data-changing API call, kept in the
+ * "audit" log. Routes name what a call did with audited(action).
+ */
+
+const { getStorage } = require('./storage');
+const { HttpError } = require('./http');
+
+// Methods that change data; every such /api call is logged
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Entries returned per page when no limit is given, and the most allowed
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+/**
+ * Append an entry to the audit log
+ * Entries are never changed or removed once written.
+ * @param {Object} entry - Entry fields, without id
+ * @returns {Promise<Object>} The stored entry
+ */
+function appendEntry(entry) {
+  return getStorage().append('audit', entry);
+}
+
+/**
+ * Middleware naming the action a route performs
+ * Handlers may add to req.audit.details, set req.audit.target, or set
+ * req.audit.user when the acting user is not req.user (e.g. at login).
+ * @param {String} action - Action name, e.g. "label.update"
+ * @returns {Function} Express middleware
+ */
+function audited(action) {
+  return function(req, res, next) {
+    req.audit = {
+      action,
+      target: req.params.id || null,
+      details: {}
+    };
+    next();
+  };
+}
+
+/**
+ * Middleware logging every mutating API call once its response is sent
+ * Calls that no route named (e.g. unknown paths) are logged by method and path.
+ */
+function auditLog(req, res, next) {
+  if (!MUTATING_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  // Captured now: logging out ends the session before the response finishes
+  const user = req.user;
+  const path = req.originalUrl.split('?')[0];
+
+  res.on('finish', () => {
+    const audit = req.audit || {};
+    const actor = audit.user || user;
+    const details = audit.details && Object.keys(audit.details).length > 0 ? audit.details : null;
+
+    appendEntry({
+      at: new Date().toISOString(),
+      action: audit.action || `${req.method} ${path}`,
+      method: req.method,
+      path,
+      status: res.statusCode,
+      userId: actor ? actor.id : null,
+      username: actor ? actor.username : null,
+      target: audit.target === undefined || audit.target === null ? null : String(audit.target),
+      details,
+      ip: req.ip
+    }).catch(error => {
+      console.error('Failed to write audit log:', error);
+    });
+  });
+
+  next();
+}
+
+/**
+ * Parse a date filter
+ * A bare date (YYYY-MM-DD) used as an upper bound covers that whole day.
+ * @param {String} value - Query value
+ * @param {String} name - Parameter name for the error message
+ * @param {Boolean} endOfDay - Treat a bare date as the end of the day
+ * @returns {Number|null} Time in ms, or null when not given
+ */
+function parseDate(value, name, endOfDay) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+
+  const time = Date.parse(value);
+  if (typeof value !== 'string' || !Number.isFinite(time)) {
+    throw new HttpError(400, `${name} must be a date`);
+  }
+
+  const bareDate = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  return endOfDay && bareDate ? time + 24 * 60 * 60 * 1000 - 1 : time;
+}
+
+/**
+ * Search the audit log, newest first
+ * @param {Object} [query] - Filters, all optional:
+ *   user   - username (case-insensitive) or user id
+ *   action - action name, or a prefix such as "label" for all label actions
+ *   from, to - date range (ISO dates or timestamps, inclusive)
+ *   limit, offset - paging
+ * @returns {Promise<Object>} { total, entries }
+ */
+async function searchAudit(query = {}) {
+  const from = parseDate(query.from, 'from', false);
+  const to = parseDate(query.to, 'to', true);
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new HttpError(400, `limit must be between 1 and ${MAX_LIMIT}`);
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new HttpError(400, 'offset must be a non-negative number');
+  }
+
+  const user = query.user ? String(query.user).trim().toLowerCase() : '';
+  const action = query.action ? String(query.action).trim() : '';
+
+  const matches = (await getStorage().readLog('audit')).filter(entry => {
+    if (user && String(entry.username || '').toLowerCase() !== user && String(entry.userId) !== user) {
+      return false;
+    }
+    if (action && entry.action !== action && !entry.action.startsWith(`${action}.`)) {
+      return false;
+    }
+    const time = Date.parse(entry.at);
+    if (from !== null && time < from) return false;
+    if (to !== null && time > to) return false;
+    return true;
+  });
+
+  matches.reverse();
+
+  return {
+    total: matches.length,
+    entries: matches.slice(offset, offset + limit)
+  };
+}
+
+module.exports = {
+  MUTATING_METHODS,
+  audited,
+  auditLog,
+  searchAudit
+};
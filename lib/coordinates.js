@@ -0,0 +1,32 @@
+/**
+ * IxMaps - Custom coordinate system
+ * Exported data is positioned in custom lat/lng degrees, converted with the
+ * map calibration (public/js/calibration.js, loaded by getCalibration in
+ * lib/settings.js): latitude is linear in y from the equator, and longitude
+ * is measured from the prime meridian.
+ */
+
+const CRS_NAME = 'urn:ixmaps:def:crs:custom-latlng';
+
+/**
+ * Name and parameters of the custom lat/lng system, published with exported data
+ * @param {IxCalibration} calibration - Map calibration
+ * @returns {Object}
+ */
+function customCrs(calibration) {
+  return {
+    name: CRS_NAME,
+    description: 'IxMaps custom lat/lng: degrees from the prime meridian, latitude linear in y from the equator',
+    svgWidth: calibration.mapWidth,
+    svgHeight: calibration.mapHeight,
+    equatorY: calibration.equatorY,
+    primeMeridianX: calibration.primeMeridianX,
+    visibleBounds: { northLat: calibration.northLatitude, southLat: calibration.southLatitude },
+    milesPerPixel: calibration.milesPerPixel
+  };
+}
+
+module.exports = {
+  CRS_NAME,
+  customCrs
+};
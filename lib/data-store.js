@@ -0,0 +1,395 @@
+/**
+ * IxMaps - JSON data store
+ * Reads and writes the data/*.json files used by the API
+ *
+ * Writes are crash-safe: the new content is first recorded in a journal
+ * (<name>.json.journal), then written to a temp file that is renamed over
+ * the store. A crash can therefore never leave a half-written store, and a
+ * journal left behind by an interrupted write is replayed on the next read.
+ * Writes to the same store are serialized.
+ *
+ * Append-only logs (e.g. the audit log) are kept as JSON lines in
+ * <name>.jsonl instead, so adding an entry writes only that entry.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Directory holding labels.json, users.json, settings.json, ...
+const dataDir = process.env.IXMAPS_DATA_DIR || path.join(__dirname, '..', 'data');
+
+// Store name -> promise of the last queued operation
+const queues = new Map();
+
+// Stores whose journal has been checked since startup
+const recovered = new Set();
+
+// Logs whose last line has been checked since startup
+const logsChecked = new Set();
+
+/**
+ * Resolve the path of a data file
+ * @param {String} name - Store name without extension (e.g. "labels")
+ * @returns {String} Absolute file path
+ */
+function dataFile(name) {
+  return path.join(dataDir, `${name}.json`);
+}
+
+/**
+ * Resolve the path of an append-only log
+ * @param {String} name - Log name without extension (e.g. "audit")
+ * @returns {String} Absolute file path
+ */
+function logFile(name) {
+  return path.join(dataDir, `${name}.jsonl`);
+}
+
+/**
+ * Resolve the path of a store's write-ahead journal
+ * @param {String} name - Store name without extension
+ * @returns {String} Absolute file path
+ */
+function journalFile(name) {
+  return `${dataFile(name)}.journal`;
+}
+
+/**
+ * Run an operation once every earlier operation on the same store has settled
+ * @param {String} name - Store name
+ * @param {Function} operation - Async operation
+ * @returns {Promise<*>} Result of the operation
+ */
+function enqueue(name, operation) {
+  const previous = queues.get(name) || Promise.resolve();
+  const result = previous.then(operation);
+  const settled = result.catch(() => {});
+
+  queues.set(name, settled);
+  settled.then(() => {
+    if (queues.get(name) === settled) {
+      queues.delete(name);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Write a file and flush it to disk
+ * @param {String} file - File path
+ * @param {String} content - File content
+ * @returns {Promise<void>}
+ */
+async function writeDurable(file, content) {
+  const handle = await fs.promises.open(file, 'w');
+  try {
+    await handle.writeFile(content, 'utf8');
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Flush the data directory so renames survive a power loss
+ * Not every platform can open a directory for syncing, which is harmless.
+ * @returns {Promise<void>}
+ */
+async function syncDataDir() {
+  let handle;
+  try {
+    handle = await fs.promises.open(dataDir, 'r');
+    await handle.sync();
+  } catch (error) {
+    // Directory fsync unsupported (e.g. Windows)
+  } finally {
+    if (handle) {
+      await handle.close();
+    }
+  }
+}
+
+/**
+ * Remove a file if it exists
+ * @param {String} file - File path
+ * @returns {Promise<void>}
+ */
+async function removeFile(file) {
+  try {
+    await fs.promises.unlink(file);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+}
+
+/**
+ * SHA-256 checksum of a string
+ * @param {String} content - Content
+ * @returns {String} Hex digest
+ */
+function checksum(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Replace a store's file with new content through a temp file and rename
+ * @param {String} name - Store name
+ * @param {String} content - Serialized JSON
+ * @returns {Promise<void>}
+ */
+async function replaceFile(name, content) {
+  const tempFile = `${dataFile(name)}.${process.pid}.tmp`;
+  await writeDurable(tempFile, content);
+  await fs.promises.rename(tempFile, dataFile(name));
+  await syncDataDir();
+}
+
+/**
+ * Write serialized content to a store: journal, temp file, rename
+ * @param {String} name - Store name
+ * @param {String} content - Serialized JSON
+ * @returns {Promise<void>}
+ */
+async function commit(name, content) {
+  await fs.promises.mkdir(dataDir, { recursive: true });
+
+  await writeDurable(journalFile(name), JSON.stringify({
+    store: name,
+    writtenAt: new Date().toISOString(),
+    checksum: checksum(content),
+    content
+  }));
+
+  await replaceFile(name, content);
+  await removeFile(journalFile(name));
+}
+
+/**
+ * Finish a write interrupted by a crash
+ * A complete journal is replayed onto the store. A torn journal means the
+ * crash happened before the store was touched, so it is discarded.
+ * Leftover temp files from interrupted writes are removed.
+ * @param {String} name - Store name
+ * @returns {Promise<Boolean>} True when the store was restored from the journal
+ */
+async function recoverStore(name) {
+  let entry;
+
+  try {
+    const prefix = `${name}.json.`;
+    const files = await fs.promises.readdir(dataDir);
+    await Promise.all(files
+      .filter(file => file.startsWith(prefix) && file.endsWith('.tmp'))
+      .map(file => removeFile(path.join(dataDir, file))));
+
+    entry = JSON.parse(await fs.promises.readFile(journalFile(name), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false;
+    }
+    if (!(error instanceof SyntaxError)) {
+      throw error;
+    }
+    entry = null;
+  }
+
+  if (!entry || typeof entry.content !== 'string' || checksum(entry.content) !== entry.checksum) {
+    console.warn(`Discarding incomplete journal for ${name}.json`);
+    await removeFile(journalFile(name));
+    return false;
+  }
+
+  await replaceFile(name, entry.content);
+  await removeFile(journalFile(name));
+  console.warn(`Recovered ${name}.json from journal written at ${entry.writtenAt}`);
+
+  return true;
+}
+
+/**
+ * Check a store's journal once per process before it is first used
+ * @param {String} name - Store name
+ * @returns {Promise<void>}
+ */
+async function ensureRecovered(name) {
+  if (!recovered.has(name)) {
+    await recoverStore(name);
+    recovered.add(name);
+  }
+}
+
+/**
+ * Read and parse a store's file
+ * @param {String} name - Store name
+ * @param {*} fallback - Value returned when the file has no content
+ * @returns {Promise<*>} Parsed file contents
+ */
+async function readStore(name, fallback) {
+  await ensureRecovered(name);
+
+  let content;
+
+  try {
+    content = await fs.promises.readFile(dataFile(name), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return fallback;
+    }
+    throw error;
+  }
+
+  if (!content.trim()) {
+    return fallback;
+  }
+
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error(`${name}.json contains invalid JSON (${error.message})`);
+  }
+}
+
+/**
+ * Read a JSON data file
+ * Missing and zero-byte files yield the fallback value
+ * @param {String} name - Store name without extension
+ * @param {*} fallback - Value returned when the file has no content
+ * @returns {Promise<*>} Parsed file contents
+ */
+function readJson(name, fallback) {
+  return enqueue(name, () => readStore(name, fallback));
+}
+
+/**
+ * Write a JSON data file atomically
+ * @param {String} name - Store name without extension
+ * @param {*} data - Value to serialize
+ * @returns {Promise<void>}
+ */
+function writeJson(name, data) {
+  const content = JSON.stringify(data, null, 2);
+  return enqueue(name, async () => {
+    await ensureRecovered(name);
+    await commit(name, content);
+  });
+}
+
+/**
+ * Read, modify and write a JSON data file as one serialized operation,
+ * so concurrent updates cannot overwrite each other
+ * @param {String} name - Store name without extension
+ * @param {*} fallback - Value used when the file has no content
+ * @param {Function} update - Async (data) => result; changes data in place.
+ *   Nothing is written if it throws.
+ * @returns {Promise<*>} The value returned by update
+ */
+function updateJson(name, fallback, update) {
+  return enqueue(name, async () => {
+    const data = await readStore(name, fallback);
+    const result = await update(data);
+    await commit(name, JSON.stringify(data, null, 2));
+    return result;
+  });
+}
+
+/**
+ * Read an append-only log
+ * A line torn by a crash in the middle of an append is skipped.
+ * @param {String} name - Log name without extension
+ * @returns {Promise<Array>} Entries, oldest first
+ */
+function readJsonLines(name) {
+  return enqueue(logFile(name), async () => {
+    let content;
+    try {
+      content = await fs.promises.readFile(logFile(name), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const entries = [];
+    content.split('\n').forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        console.warn(`Skipping unreadable line ${index + 1} of ${name}.jsonl`);
+      }
+    });
+    return entries;
+  });
+}
+
+/**
+ * Append an entry to an append-only log and flush it to disk
+ * Only the new line is written, however long the log grows.
+ * @param {String} name - Log name without extension
+ * @param {*} entry - Value to serialize on one line
+ * @returns {Promise<void>}
+ */
+function appendJsonLine(name, entry) {
+  const line = `${JSON.stringify(entry)}\n`;
+  return enqueue(logFile(name), async () => {
+    await fs.promises.mkdir(dataDir, { recursive: true });
+    const handle = await fs.promises.open(logFile(name), 'a+');
+    try {
+      // Start on a new line if the last append was torn by a crash
+      let prefix = '';
+      if (!logsChecked.has(name)) {
+        const { size } = await handle.stat();
+        if (size > 0) {
+          const last = Buffer.alloc(1);
+          await handle.read(last, 0, 1, size - 1);
+          prefix = last.toString() === '\n' ? '' : '\n';
+        }
+        logsChecked.add(name);
+      }
+
+      await handle.appendFile(prefix + line, 'utf8');
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+  });
+}
+
+/**
+ * Remove an append-only log
+ * @param {String} name - Log name without extension
+ * @returns {Promise<void>}
+ */
+function clearJsonLines(name) {
+  return enqueue(logFile(name), () => removeFile(logFile(name)));
+}
+
+/**
+ * Restore a store from its journal if a write was interrupted
+ * @param {String} name - Store name without extension
+ * @returns {Promise<Boolean>} True when the store was restored
+ */
+function recoverJson(name) {
+  return enqueue(name, async () => {
+    const restored = await recoverStore(name);
+    recovered.add(name);
+    return restored;
+  });
+}
+
+module.exports = {
+  dataDir,
+  dataFile,
+  readJson,
+  writeJson,
+  updateJson,
+  recoverJson,
+  readJsonLines,
+  appendJsonLine,
+  clearJsonLines
+};
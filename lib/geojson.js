@@ -0,0 +1,105 @@
+/**
+ * IxMaps - GeoJSON conversion
+ * Labels as a GeoJSON FeatureCollection of Points in the custom lat/lng
+ * system (see lib/coordinates.js), for QGIS and other GIS tools
+ */
+
+const { HttpError } = require('./http');
+const { CRS_NAME, customCrs } = require('./coordinates');
+
+// Label fields written as feature properties (position goes in the geometry)
+const PROPERTY_FIELDS = [
+  'id', 'name', 'type', 'fontSize', 'color', 'minZoom', 'maxZoom', 'status', 'notes',
+  'version', 'createdBy', 'createdAt', 'updatedAt'
+];
+
+/**
+ * Convert labels to a FeatureCollection
+ * The custom CRS is declared both as a legacy named crs member, which
+ * QGIS reads, and with its parameters under metadata.
+ * @param {Array} labels - Labels
+ * @param {IxCalibration} calibration - Map calibration
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+function labelsToGeoJSON(labels, calibration) {
+  return {
+    type: 'FeatureCollection',
+    crs: {
+      type: 'name',
+      properties: { name: CRS_NAME }
+    },
+    metadata: {
+      generator: 'IxMaps',
+      exportedAt: new Date().toISOString(),
+      crs: customCrs(calibration)
+    },
+    features: labels.map(label => {
+      const { lat, lng } = calibration.svgToCustomLatLng(label.x, label.y);
+      const properties = {};
+      PROPERTY_FIELDS.forEach(field => {
+        if (label[field] !== undefined) {
+          properties[field] = label[field];
+        }
+      });
+
+      return {
+        type: 'Feature',
+        id: label.id,
+        geometry: { type: 'Point', coordinates: [lng, lat] },
+        properties
+      };
+    })
+  };
+}
+
+/**
+ * Convert a FeatureCollection back to label records for importLabels
+ * The geometry is authoritative for the position, so features moved in
+ * a GIS tool keep their new place.
+ * @param {Object} collection - GeoJSON FeatureCollection
+ * @param {IxCalibration} calibration - Map calibration
+ * @returns {Array} Label records
+ */
+function geoJSONToLabels(collection, calibration) {
+  if (!collection || collection.type !== 'FeatureCollection' || !Array.isArray(collection.features)) {
+    throw new HttpError(400, 'geojson must be a FeatureCollection');
+  }
+
+  const crsName = collection.crs && collection.crs.properties && collection.crs.properties.name;
+  if (crsName && crsName !== CRS_NAME) {
+    throw new HttpError(400, `Coordinates must be in ${CRS_NAME}, not ${crsName}`);
+  }
+
+  const invalid = [];
+  const records = collection.features.map((feature, index) => {
+    const properties = (feature && feature.properties) || {};
+    const geometry = feature && feature.geometry;
+    const coordinates = geometry && geometry.coordinates;
+
+    const isPoint = Boolean(geometry) && geometry.type === 'Point' && Array.isArray(coordinates) &&
+      coordinates.length >= 2 && coordinates.slice(0, 2).every(Number.isFinite);
+
+    if (!isPoint) {
+      invalid.push({ index, name: properties.name, errors: ['geometry must be a Point'] });
+      return null;
+    }
+
+    const { x, y } = calibration.customLatLngToSvg(coordinates[1], coordinates[0]);
+    const record = Object.assign({}, properties, { x, y });
+    if (record.id === undefined && feature.id !== undefined) {
+      record.id = feature.id;
+    }
+    return record;
+  });
+
+  if (invalid.length > 0) {
+    throw new HttpError(400, `${invalid.length} of ${records.length} features are invalid`, { invalid });
+  }
+
+  return records;
+}
+
+module.exports = {
+  labelsToGeoJSON,
+  geoJSONToLabels
+};
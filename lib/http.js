@@ -0,0 +1,64 @@
+/**
+ * IxMaps - HTTP helpers
+ * Shared error type and handler wrappers for the API routes
+ */
+
+/**
+ * Error carrying an HTTP status code for the API error handler
+ */
+class HttpError extends Error {
+  /**
+   * @param {Number} status - HTTP status code
+   * @param {String} message - Message returned to the client as `error`
+   * @param {Object} [extra] - Additional fields merged into the response body
+   */
+  constructor(status, message, extra) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.extra = extra || null;
+  }
+}
+
+/**
+ * Wrap an async route handler so rejected promises reach Express' error handler
+ * @param {Function} handler - Async (req, res, next) handler
+ * @returns {Function} Express middleware
+ */
+function asyncHandler(handler) {
+  return function(req, res, next) {
+    Promise.resolve(handler(req, res, next)).catch(next);
+  };
+}
+
+/**
+ * Express error middleware that renders errors as `{ error }` JSON,
+ * the shape the editor and admin panel read from failed responses
+ */
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  // Malformed JSON bodies from body-parser
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Request body is not valid JSON' });
+  }
+
+  const status = err.status || 500;
+
+  if (status >= 500) {
+    console.error('API error:', err);
+  }
+
+  res.status(status).json(Object.assign(
+    { error: status >= 500 ? 'Internal server error' : err.message },
+    err.extra || {}
+  ));
+}
+
+module.exports = {
+  HttpError,
+  asyncHandler,
+  errorHandler
+};
@@ -0,0 +1,122 @@
+/**
+ * IxMaps - KML conversion
+ * Labels as a KML document for Google Earth-style tools, one folder per
+ * label type, positioned in the custom lat/lng system (lib/coordinates.js).
+ * The document and escaping are shared with the viewer's route export
+ * (public/js/kml.js).
+ */
+
+const IxKml = require('../public/js/kml');
+const { LABEL_TYPES, TYPE_DEFAULTS } = require('./labels');
+
+// Folder names for label types
+const FOLDER_NAMES = {
+  continent: 'Continents',
+  country: 'Countries',
+  capital: 'Capitals',
+  city: 'Cities',
+  landmark: 'Landmarks',
+  water: 'Water Bodies'
+};
+
+// Font size drawn at KML label scale 1 (the map's default label size)
+const BASE_FONT_SIZE = 12;
+
+/**
+ * Id of the shared style for a label's color and font size
+ * @param {Object} label - Label
+ * @returns {String}
+ */
+function styleId(label) {
+  return `label-${IxKml.color(label.color)}-${label.fontSize}`.replace(/\./g, '_');
+}
+
+/**
+ * Build a Style element carrying a label's color and font size
+ * @param {Object} label - Label
+ * @returns {String} KML
+ */
+function styleElement(label) {
+  const scale = Number((label.fontSize / BASE_FONT_SIZE).toFixed(3));
+  return `    <Style id="${IxKml.escape(styleId(label))}">
+      <LabelStyle>
+        <color>${IxKml.color(label.color)}</color>
+        <scale>${scale}</scale>
+      </LabelStyle>
+    </Style>`;
+}
+
+/**
+ * Build a Placemark for a label
+ * @param {Object} label - Label
+ * @param {IxCalibration} calibration - Map calibration
+ * @returns {String} KML
+ */
+function placemarkElement(label, calibration) {
+  const { lat, lng } = calibration.svgToCustomLatLng(label.x, label.y);
+  const data = ['id', 'type', 'status', 'fontSize', 'color', 'minZoom', 'maxZoom', 'x', 'y']
+    .filter(field => label[field] !== undefined && label[field] !== null)
+    .map(field => `          <Data name="${field}"><value>${IxKml.escape(label[field])}</value></Data>`)
+    .join('\n');
+
+  return `      <Placemark id="label-${IxKml.escape(label.id)}">
+        <name>${IxKml.escape(label.name)}</name>
+${label.notes ? `        <description>${IxKml.escape(label.notes)}</description>\n` : ''}        <styleUrl>#${IxKml.escape(styleId(label))}</styleUrl>
+        <ExtendedData>
+${data}
+        </ExtendedData>
+        <Point><coordinates>${lng},${lat}</coordinates></Point>
+      </Placemark>`;
+}
+
+/**
+ * Fill in a label's color and font size from its type when not stored
+ * @param {Object} label - Label
+ * @returns {Object} Label with color and fontSize
+ */
+function withStyle(label) {
+  const defaults = TYPE_DEFAULTS[label.type] || {};
+  return Object.assign({}, label, {
+    color: label.color || defaults.color || '#000000',
+    fontSize: Number(label.fontSize) || defaults.fontSize || BASE_FONT_SIZE
+  });
+}
+
+/**
+ * Convert labels to a KML document
+ * @param {Array} stored - Labels
+ * @param {IxCalibration} calibration - Map calibration
+ * @returns {String} KML
+ */
+function labelsToKml(stored, calibration) {
+  const labels = stored.map(withStyle);
+  const styles = new Map();
+  labels.forEach(label => {
+    if (!styles.has(styleId(label))) {
+      styles.set(styleId(label), styleElement(label));
+    }
+  });
+
+  // Known types in their usual order, then any others
+  const types = LABEL_TYPES.concat(Array.from(new Set(labels.map(label => label.type)))
+    .filter(type => !LABEL_TYPES.includes(type)));
+
+  const folders = types
+    .map(type => ({ type, members: labels.filter(label => label.type === type) }))
+    .filter(folder => folder.members.length > 0)
+    .map(folder => `    <Folder>
+      <name>${IxKml.escape(FOLDER_NAMES[folder.type] || folder.type)}</name>
+${folder.members.map(label => placemarkElement(label, calibration)).join('\n')}
+    </Folder>`);
+
+  return IxKml.document({
+    name: 'IxMaps Labels',
+    description: 'Positions are in IxMaps custom lat/lng degrees (longitude from the prime meridian reference)',
+    styles: Array.from(styles.values()),
+    features: folders
+  });
+}
+
+module.exports = {
+  labelsToKml
+};
@@ -0,0 +1,67 @@
+/**
+ * IxMaps - Label events
+ * Broadcasts label changes to live subscribers (the /labels/events stream)
+ */
+
+const { EventEmitter } = require('events');
+const { canViewLabel } = require('./permissions');
+
+// created, updated, status-changed and restored (out of the trash) carry
+// { label }; deleted (moved to the trash) carries { id }; purged carries the
+// { ids } removed from the trash for good; reset asks clients to reload
+// everything (after an import or clear)
+const LABEL_EVENTS = ['created', 'updated', 'status-changed', 'restored', 'deleted', 'purged', 'reset'];
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+let lastEventId = 0;
+
+/**
+ * Broadcast a label event
+ * @param {String} type - One of LABEL_EVENTS
+ * @param {Object} data - Event payload
+ */
+function publish(type, data) {
+  lastEventId++;
+  emitter.emit('label', { id: lastEventId, type, data });
+}
+
+/**
+ * Listen for label events
+ * @param {Function} listener - (event) => void, event is { id, type, data }
+ * @returns {Function} Call to stop listening
+ */
+function subscribe(listener) {
+  emitter.on('label', listener);
+  return () => emitter.off('label', listener);
+}
+
+/**
+ * Tailor an event to what a user may see
+ * A label the user can no longer see (e.g. one moved back to pending)
+ * is sent as deleted so it disappears from their view.
+ * @param {Object|null} user - Current user
+ * @param {Object} event - Event from subscribe
+ * @returns {Object|null} { type, data } to send, or null to skip
+ */
+function eventForUser(user, event) {
+  const label = event.data && event.data.label;
+
+  if (!label || canViewLabel(user, label)) {
+    return { type: event.type, data: event.data };
+  }
+
+  if (event.type === 'created' || event.type === 'restored') {
+    return null;
+  }
+
+  return { type: 'deleted', data: { id: label.id } };
+}
+
+module.exports = {
+  LABEL_EVENTS,
+  publish,
+  subscribe,
+  eventForUser
+};
@@ -0,0 +1,944 @@
+/**
+ * IxMaps - Label service
+ * Validation and persistence for map labels in the "labels" store
+ */
+
+const { getStorage } = require('./storage');
+const { HttpError } = require('./http');
+const revisions = require('./revisions');
+const labelEvents = require('./label-events');
+
+// Label categories understood by the editor and admin panel
+const LABEL_TYPES = ['continent', 'country', 'capital', 'city', 'landmark', 'water'];
+
+// Moderation states
+const LABEL_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Bulk moderation actions and the changes they make (delete moves the label to the trash)
+const BULK_ACTIONS = {
+  approve: { status: 'approved' },
+  reject: { status: 'rejected' },
+  reset: { status: 'pending' },
+  delete: null
+};
+
+// Zoom range accepted for minZoom/maxZoom (editor form allows -3, map goes to 6)
+const MIN_ZOOM = -3;
+const MAX_ZOOM = 6;
+
+// Per-type defaults matching the existing data/labels.json entries
+const TYPE_DEFAULTS = {
+  continent: { fontSize: 20, color: '#333333', minZoom: -2, maxZoom: 2 },
+  country: { fontSize: 16, color: '#000000', minZoom: -1, maxZoom: 2 },
+  capital: { fontSize: 12, color: '#000000', minZoom: 0, maxZoom: 2 },
+  city: { fontSize: 12, color: '#000000', minZoom: 1, maxZoom: MAX_ZOOM },
+  landmark: { fontSize: 11, color: '#000000', minZoom: 2, maxZoom: MAX_ZOOM },
+  water: { fontSize: 18, color: '#0277bd', minZoom: -2, maxZoom: 2 }
+};
+
+const COLOR_PATTERN = /^#(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/;
+const MAX_NAME_LENGTH = 200;
+const MAX_NOTES_LENGTH = 2000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days a deleted label stays in the trash before it is purged for good
+// (IXMAPS_TRASH_RETENTION_DAYS overrides; 0 keeps it until purged by hand)
+const retentionDays = Number(process.env.IXMAPS_TRASH_RETENTION_DAYS);
+const TRASH_RETENTION_DAYS = Number.isFinite(retentionDays) && retentionDays >= 0 ? retentionDays : 30;
+
+// How often expired trash is purged
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Coerce a numeric value, accepting numeric strings from form fields
+ * @param {*} value - Raw value
+ * @returns {Number} The number, or NaN when not numeric
+ */
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value);
+  return NaN;
+}
+
+/**
+ * Validate a label and fill in defaults
+ * @param {Object} input - Label fields to validate
+ * @param {Object} [base] - Existing label the input is applied on top of
+ * @returns {Object} { label, errors } - errors is empty when the label is valid
+ */
+function validateLabel(input, base) {
+  const source = Object.assign({}, base || {}, input || {});
+  const errors = [];
+  const label = {};
+
+  if (source.id !== undefined && source.id !== null && source.id !== '') {
+    label.id = String(source.id);
+  }
+
+  // Name
+  const name = typeof source.name === 'string' ? source.name.trim() : '';
+  if (!name) {
+    errors.push('name is required');
+  } else if (name.length > MAX_NAME_LENGTH) {
+    errors.push(`name must be at most ${MAX_NAME_LENGTH} characters`);
+  }
+  label.name = name;
+
+  // Type
+  if (!LABEL_TYPES.includes(source.type)) {
+    errors.push(`type must be one of: ${LABEL_TYPES.join(', ')}`);
+  }
+  label.type = source.type;
+  const defaults = TYPE_DEFAULTS[source.type] || TYPE_DEFAULTS.country;
+
+  // Position in SVG pixels
+  ['x', 'y'].forEach(field => {
+    const value = toNumber(source[field]);
+    if (!Number.isFinite(value)) {
+      errors.push(`${field} must be a number`);
+    }
+    label[field] = value;
+  });
+
+  // Font size
+  const fontSize = source.fontSize === undefined || source.fontSize === null
+    ? defaults.fontSize
+    : toNumber(source.fontSize);
+  if (!Number.isFinite(fontSize) || fontSize <= 0) {
+    errors.push('fontSize must be a positive number');
+  }
+  label.fontSize = fontSize;
+
+  // Color
+  const color = source.color === undefined || source.color === null || source.color === ''
+    ? defaults.color
+    : source.color;
+  if (typeof color !== 'string' || !COLOR_PATTERN.test(color)) {
+    errors.push('color must be a hex color such as #0277bd');
+  }
+  label.color = color;
+
+  // Zoom range
+  ['minZoom', 'maxZoom'].forEach(field => {
+    const value = source[field] === undefined || source[field] === null
+      ? defaults[field]
+      : toNumber(source[field]);
+    if (!Number.isFinite(value) || value < MIN_ZOOM || value > MAX_ZOOM) {
+      errors.push(`${field} must be a number between ${MIN_ZOOM} and ${MAX_ZOOM}`);
+    }
+    label[field] = value;
+  });
+  if (label.minZoom > label.maxZoom) {
+    errors.push('minZoom must not be greater than maxZoom');
+  }
+
+  // Status
+  const status = source.status || 'pending';
+  if (!LABEL_STATUSES.includes(status)) {
+    errors.push(`status must be one of: ${LABEL_STATUSES.join(', ')}`);
+  }
+  label.status = status;
+
+  // Notes
+  const notes = source.notes === undefined || source.notes === null ? '' : source.notes;
+  if (typeof notes !== 'string') {
+    errors.push('notes must be a string');
+  } else if (notes.length > MAX_NOTES_LENGTH) {
+    errors.push(`notes must be at most ${MAX_NOTES_LENGTH} characters`);
+  }
+  label.notes = notes;
+
+  // History
+  if (source.history !== undefined) {
+    if (!Array.isArray(source.history) ||
+        source.history.some(entry => !entry || typeof entry !== 'object')) {
+      errors.push('history must be an array of objects');
+    }
+    label.history = source.history;
+  }
+
+  // Bookkeeping fields are carried over untouched
+  ['version', 'createdBy', 'createdAt', 'updatedAt'].forEach(field => {
+    if (source[field] !== undefined) {
+      label[field] = source[field];
+    }
+  });
+
+  return { label, errors };
+}
+
+/**
+ * Validate a label or throw a 400 error listing the problems
+ * @param {Object} input - Label fields
+ * @param {Object} [base] - Existing label
+ * @returns {Object} The validated label
+ */
+function assertValidLabel(input, base) {
+  const { label, errors } = validateLabel(input, base);
+  if (errors.length > 0) {
+    throw new HttpError(400, `Invalid label: ${errors.join('; ')}`, { details: errors });
+  }
+  return label;
+}
+
+/**
+ * Generate the next label id
+ * Existing ids are numeric strings, so continue that sequence
+ * @param {Array} labels - Current labels
+ * @returns {String} New unique id
+ */
+function nextLabelId(labels) {
+  const maxId = labels.reduce((max, label) => {
+    const numeric = parseInt(label.id, 10);
+    return Number.isFinite(numeric) && numeric > max ? numeric : max;
+  }, 0);
+  return String(maxId + 1);
+}
+
+/**
+ * Give a stored label a string id, a status and a version
+ * Labels written before moderation existed have no status and count as approved;
+ * labels written before versioning start at version 1
+ * @param {Object} label - Stored label
+ * @returns {Object} Normalized copy
+ */
+function normalizeLabel(label) {
+  return Object.assign({}, label, {
+    id: String(label.id),
+    status: label.status || 'approved',
+    version: Number(label.version) || 1
+  });
+}
+
+/**
+ * Whether a label has been moved to the trash
+ * @param {Object} label - Label
+ * @returns {Boolean}
+ */
+function isTrashed(label) {
+  return Boolean(label.deletedAt);
+}
+
+/**
+ * Load labels from storage
+ * @param {Object} [options] - { trashed } loads the trash instead of live labels
+ * @returns {Promise<Array>} Labels
+ */
+async function loadLabels(options = {}) {
+  const labels = await getStorage().list('labels');
+  return labels
+    .map(normalizeLabel)
+    .filter(label => isTrashed(label) === Boolean(options.trashed));
+}
+
+/**
+ * Change the stored labels in one storage transaction
+ * @param {Function} change - Async (tx) => result, see lib/storage.
+ *   Nothing is written if it throws.
+ * @returns {Promise<*>} The value returned by change
+ */
+function modifyLabels(change) {
+  return getStorage().transaction('labels', change);
+}
+
+/**
+ * Find a label by id or throw a 404
+ * Labels in the trash are only found when options.trashed is set.
+ * @param {Object} source - Storage transaction, or null to read directly
+ * @param {String} id - Label id
+ * @param {Object} [options] - { trashed } looks in the trash instead
+ * @returns {Promise<Object>} The label
+ */
+async function findLabel(source, id, options = {}) {
+  const label = source ? await source.get(id) : await getStorage().get('labels', id);
+  if (!label || isTrashed(label) !== Boolean(options.trashed)) {
+    throw new HttpError(404, options.trashed ? 'Label not found in trash' : 'Label not found');
+  }
+  return normalizeLabel(label);
+}
+
+/**
+ * A copy of a label moved to the trash
+ * @param {Object} label - Live label
+ * @param {Object} meta - { user } deleting the label
+ * @param {String} at - ISO timestamp of the deletion
+ * @returns {Object} The trashed label
+ */
+function trashedCopy(label, meta, at) {
+  const trashed = Object.assign({}, label, {
+    version: label.version + 1,
+    updatedAt: at,
+    deletedAt: at,
+    deletedBy: meta.user ? meta.user.id : null,
+    deletedByName: meta.user ? meta.user.username : null
+  });
+  trashed.history = revisions.appendRevision(label, trashed, { action: 'delete', user: meta.user });
+  return trashed;
+}
+
+/**
+ * When a trashed label will be purged automatically
+ * @param {Object} label - Trashed label
+ * @returns {String|null} ISO timestamp, or null when retention is off
+ */
+function purgeDate(label) {
+  if (TRASH_RETENTION_DAYS === 0) {
+    return null;
+  }
+  return new Date(Date.parse(label.deletedAt) + TRASH_RETENTION_DAYS * DAY_MS).toISOString();
+}
+
+/**
+ * List all labels
+ * @returns {Promise<Array>} Labels
+ */
+function listLabels() {
+  return loadLabels();
+}
+
+/**
+ * Get a single label
+ * @param {String} id - Label id
+ * @returns {Promise<Object>} The label
+ */
+function getLabel(id) {
+  return findLabel(null, id);
+}
+
+/**
+ * Create a new label
+ * @param {Object} input - Label fields
+ * @param {Object} [meta] - { user } creating the label
+ * @returns {Promise<Object>} The stored label
+ */
+async function createLabel(input, meta = {}) {
+  const created = await modifyLabels(async labels => {
+    const now = new Date().toISOString();
+
+    const label = assertValidLabel(Object.assign({}, input, {
+      id: nextLabelId(await labels.list()),
+      version: 1,
+      createdBy: meta.user ? meta.user.id : null,
+      createdAt: now,
+      updatedAt: now
+    }));
+
+    label.history = [revisions.makeRevision(label, {
+      revision: 1,
+      action: 'create',
+      user: meta.user,
+      at: now
+    })];
+
+    return labels.put(label);
+  });
+
+  labelEvents.publish('created', { label: created });
+  return created;
+}
+
+/**
+ * Throw a 409 when a label has changed since the client read it
+ * @param {Object} label - Current label
+ * @param {Number} [expectedVersion] - Version the client edited, if it sent one
+ */
+function assertVersion(label, expectedVersion) {
+  if (expectedVersion !== undefined && expectedVersion !== label.version) {
+    throw new HttpError(409, 'This label was changed by someone else', { current: label });
+  }
+}
+
+/**
+ * Update a label inside a storage transaction, recording a revision
+ * @param {Object} labels - Storage transaction
+ * @param {String} id - Label id
+ * @param {Object} changes - Fields to change
+ * @param {Object} meta - See updateLabel
+ * @returns {Promise<Object>} { existing, label }; label is existing when nothing changed
+ */
+async function applyUpdate(labels, id, changes, meta) {
+  const existing = await findLabel(labels, id);
+  assertVersion(existing, meta.expectedVersion);
+
+  const label = assertValidLabel(Object.assign({}, changes, {
+    id: existing.id,
+    version: existing.version + 1,
+    createdBy: existing.createdBy,
+    createdAt: existing.createdAt,
+    updatedAt: new Date().toISOString()
+  }), existing);
+
+  if (revisions.diffLabels(existing, label).length === 0) {
+    return { existing, label: existing };
+  }
+
+  label.history = revisions.appendRevision(existing, label, {
+    action: meta.action || 'update',
+    user: meta.user,
+    revertedTo: meta.revertedTo
+  });
+
+  await labels.put(label);
+  return { existing, label };
+}
+
+/**
+ * Broadcast the event for an applied update
+ * @param {Object} update - { existing, label } from applyUpdate
+ */
+function publishUpdate({ existing, label }) {
+  if (label !== existing) {
+    labelEvents.publish(label.status !== existing.status ? 'status-changed' : 'updated', {
+      label,
+      previousStatus: existing.status
+    });
+  }
+}
+
+/**
+ * Apply a partial update to a label, recording a revision
+ * Updates that change no tracked field are not written.
+ * @param {String} id - Label id
+ * @param {Object} changes - Fields to change
+ * @param {Object} [meta] - { user, action, revertedTo } for the revision, and
+ *   expectedVersion to reject the update when the label has moved on
+ * @returns {Promise<Object>} The updated label
+ */
+async function updateLabel(id, changes, meta = {}) {
+  const update = await modifyLabels(labels => applyUpdate(labels, id, changes, meta));
+  publishUpdate(update);
+  return update.label;
+}
+
+/**
+ * Get a label's revision history, oldest first
+ * @param {String} id - Label id
+ * @returns {Promise<Array>} Revisions
+ */
+async function getLabelHistory(id) {
+  const label = await getLabel(id);
+  return Array.isArray(label.history) ? label.history : [];
+}
+
+/**
+ * Restore the tracked fields of a label from an earlier revision
+ * @param {String} id - Label id
+ * @param {Number} revisionNumber - Revision to restore
+ * @param {Object} [meta] - { user } performing the revert, { expectedVersion }
+ * @returns {Promise<Object>} The updated label
+ */
+async function revertLabel(id, revisionNumber, meta = {}) {
+  const history = await getLabelHistory(id);
+  const target = history.find(entry => Number(entry.revision) === Number(revisionNumber));
+
+  if (!target || !target.snapshot) {
+    throw new HttpError(404, `Revision ${revisionNumber} not found`);
+  }
+
+  return updateLabel(id, target.snapshot, {
+    user: meta.user,
+    action: 'revert',
+    revertedTo: target.revision,
+    expectedVersion: meta.expectedVersion
+  });
+}
+
+/**
+ * Move a label to the trash
+ * @param {String} id - Label id
+ * @param {Object} [meta] - { user } deleting the label
+ * @returns {Promise<Object>} The trashed label
+ */
+async function deleteLabel(id, meta = {}) {
+  const trashed = await modifyLabels(async labels => {
+    const label = await findLabel(labels, id);
+    return labels.put(trashedCopy(label, meta, new Date().toISOString()));
+  });
+
+  labelEvents.publish('deleted', { id: trashed.id });
+  return trashed;
+}
+
+/**
+ * List the labels in the trash, most recently deleted first
+ * @returns {Promise<Array>} Trashed labels with purgeAt
+ */
+async function listTrash() {
+  const labels = await loadLabels({ trashed: true });
+  return labels
+    .map(label => Object.assign({}, label, { purgeAt: purgeDate(label) }))
+    .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
+
+/**
+ * Move a label out of the trash
+ * @param {String} id - Label id
+ * @param {Object} [meta] - { user } restoring the label
+ * @returns {Promise<Object>} The restored label
+ */
+async function restoreLabel(id, meta = {}) {
+  const restored = await modifyLabels(async labels => {
+    const label = await findLabel(labels, id, { trashed: true });
+    const { deletedAt, deletedBy, deletedByName, ...rest } = label;
+
+    const saved = Object.assign(rest, {
+      version: label.version + 1,
+      updatedAt: new Date().toISOString()
+    });
+    saved.history = revisions.appendRevision(label, saved, { action: 'restore', user: meta.user });
+    return labels.put(saved);
+  });
+
+  labelEvents.publish('restored', { label: restored });
+  return restored;
+}
+
+/**
+ * Permanently remove labels from the trash
+ * @param {Function} select - (label) => Boolean, which trashed labels to remove
+ * @returns {Promise<Array>} Ids removed
+ */
+async function purgeTrash(select) {
+  const ids = await modifyLabels(async labels => {
+    const purged = (await labels.list())
+      .map(normalizeLabel)
+      .filter(label => isTrashed(label) && select(label));
+
+    for (const label of purged) {
+      await labels.remove(label.id);
+    }
+    return purged.map(label => label.id);
+  });
+
+  if (ids.length > 0) {
+    labelEvents.publish('purged', { ids });
+  }
+  return ids;
+}
+
+/**
+ * Permanently delete one label from the trash
+ * @param {String} id - Label id
+ * @returns {Promise<Object>} The purged label
+ */
+async function purgeLabel(id) {
+  const label = await findLabel(null, id, { trashed: true });
+  const ids = await purgeTrash(candidate => candidate.id === label.id);
+  if (ids.length === 0) {
+    throw new HttpError(404, 'Label not found in trash');
+  }
+  return label;
+}
+
+/**
+ * Permanently delete everything in the trash
+ * @returns {Promise<Number>} Number of labels purged
+ */
+async function emptyTrash() {
+  const ids = await purgeTrash(() => true);
+  return ids.length;
+}
+
+/**
+ * Permanently delete trashed labels older than the retention period
+ * @param {Number} [now] - Current time in ms
+ * @returns {Promise<Number>} Number of labels purged
+ */
+async function purgeExpiredTrash(now = Date.now()) {
+  if (TRASH_RETENTION_DAYS === 0) {
+    return 0;
+  }
+  const ids = await purgeTrash(label => Date.parse(purgeDate(label)) <= now);
+  return ids.length;
+}
+
+/**
+ * Moderate several labels in one transaction
+ * Each label is checked on its own and reported in results. Unless
+ * atomic is false, a single failure leaves every label untouched.
+ * @param {Object} request - { action, ids, notes, versions, atomic }
+ *   action is one of BULK_ACTIONS; versions maps ids to expected versions
+ * @param {Object} [meta] - { user } performing the action
+ * @returns {Promise<Object>} { results } with { id, success, label?, status?, error? } per id
+ */
+async function bulkModerateLabels(request, meta = {}) {
+  const { action, ids, notes } = request || {};
+  const versions = (request && request.versions) || {};
+  const atomic = !request || request.atomic !== false;
+
+  if (!Object.prototype.hasOwnProperty.call(BULK_ACTIONS, action)) {
+    throw new HttpError(400, `action must be one of: ${Object.keys(BULK_ACTIONS).join(', ')}`);
+  }
+  if (!Array.isArray(ids) || ids.length === 0) {
+    throw new HttpError(400, 'ids must be a non-empty array');
+  }
+  if (notes !== undefined && typeof notes !== 'string') {
+    throw new HttpError(400, 'notes must be a string');
+  }
+
+  const uniqueIds = Array.from(new Set(ids.map(String)));
+  const results = [];
+  const applied = [];
+  const now = new Date().toISOString();
+
+  await modifyLabels(async labels => {
+    for (const id of uniqueIds) {
+      try {
+        const expectedVersion = versions[id] === undefined ? undefined : Number(versions[id]);
+
+        if (action === 'delete') {
+          const label = await findLabel(labels, id);
+          assertVersion(label, expectedVersion);
+          await labels.put(trashedCopy(label, meta, now));
+          applied.push({ deleted: label });
+          results.push({ id, success: true });
+        } else {
+          const changes = Object.assign({}, BULK_ACTIONS[action]);
+          if (notes) {
+            changes.notes = notes;
+          }
+          const update = await applyUpdate(labels, id, changes, {
+            user: meta.user,
+            expectedVersion
+          });
+          applied.push(update);
+          results.push({ id, success: true, label: update.label });
+        }
+      } catch (error) {
+        if (!(error instanceof HttpError)) {
+          throw error;
+        }
+        results.push({ id, success: false, status: error.status, error: error.message });
+      }
+    }
+
+    const failed = results.filter(result => !result.success).length;
+    if (atomic && failed > 0) {
+      throw new HttpError(409, `${failed} of ${uniqueIds.length} labels could not be changed; nothing was saved`, {
+        results: results.map(({ id, success, status, error }) => ({ id, success, status, error }))
+      });
+    }
+  });
+
+  applied.forEach(change => {
+    if (change.deleted) {
+      labelEvents.publish('deleted', { id: change.deleted.id });
+    } else {
+      publishUpdate(change);
+    }
+  });
+
+  return { results };
+}
+
+/**
+ * Move every label to the trash
+ * @param {Object} [meta] - { user } deleting the labels
+ * @returns {Promise<Number>} Number of labels trashed
+ */
+async function clearLabels(meta = {}) {
+  const count = await modifyLabels(labels => trashAll(labels, meta, new Date().toISOString()));
+
+  labelEvents.publish('reset', { reason: 'cleared' });
+  return count;
+}
+
+/**
+ * Move every live label to the trash inside a storage transaction
+ * @param {Object} labels - Storage transaction
+ * @param {Object} meta - { user } deleting the labels
+ * @param {String} at - ISO timestamp of the deletion
+ * @returns {Promise<Number>} Number of labels trashed
+ */
+async function trashAll(labels, meta, at) {
+  const live = (await labels.list()).map(normalizeLabel).filter(label => !isTrashed(label));
+  for (const label of live) {
+    await labels.put(trashedCopy(label, meta, at));
+  }
+  return live.length;
+}
+
+/**
+ * Key used to match imported records to labels without a common id
+ * @param {Object} label - Label or record
+ * @returns {String} Lowercased name and type
+ */
+function nameKey(label) {
+  return `${String(label.name).toLowerCase()}\u0000${label.type}`;
+}
+
+/**
+ * Summarize a label for an import report
+ * @param {Object} label - Label
+ * @param {Object} [extra] - Fields to add
+ * @returns {Object} { id, name, type, ...extra }
+ */
+function importSummary(label, extra) {
+  return Object.assign({ id: label.id || null, name: label.name, type: label.type }, extra);
+}
+
+/**
+ * Prepare an import record for validation
+ * History and authorship belong to the store, so a record cannot set them.
+ * @param {Object} record - Imported record
+ * @returns {Object} Record without history or createdBy
+ */
+function importFields(record) {
+  const fields = Object.assign({}, record);
+  delete fields.history;
+  delete fields.createdBy;
+  return fields;
+}
+
+/**
+ * The fields an imported record leaves on the live label it matches
+ * A record with no status keeps the label's status.
+ * @param {Object} match - Live label
+ * @param {Object} label - Validated record, without status when it had none
+ * @returns {Object} Label fields after the import
+ */
+function importedOver(match, label) {
+  return Object.assign({ status: match.status }, label);
+}
+
+/**
+ * Work out what importing a batch would change
+ * Each record matches a live label by id or, failing that, by name and
+ * type (name compared case-insensitively). With clearExisting, live
+ * labels no record matches are deleted.
+ * @param {Array} stored - Every stored label, trashed ones included
+ * @param {Array} validated - Validated records in batch order
+ * @param {Set} skip - Indexes of invalid records, left out of the plan
+ * @param {Boolean} clearExisting - Delete unmatched live labels
+ * @returns {Object} { matches, conflicts, added, updated, unchanged, deleted };
+ *   matches[index] is the live label a record replaces, or null
+ */
+function planImport(stored, validated, skip, clearExisting) {
+  const live = stored.filter(label => !isTrashed(label));
+  const byId = new Map(live.map(label => [label.id, label]));
+  const byName = new Map();
+  live.forEach(label => {
+    if (!byName.has(nameKey(label))) {
+      byName.set(nameKey(label), label);
+    }
+  });
+
+  // Live label id -> index of the record matched to it, and new ids -> index
+  const claimed = new Map();
+  const newIds = new Map();
+
+  const plan = { matches: [], conflicts: [], added: [], updated: [], unchanged: [], deleted: [] };
+
+  validated.forEach((label, index) => {
+    plan.matches.push(null);
+    if (skip.has(index)) return;
+
+    const match = (label.id && byId.get(label.id)) || byName.get(nameKey(label)) || null;
+
+    if (match && claimed.has(match.id)) {
+      plan.conflicts.push({
+        index,
+        name: label.name,
+        errors: [`matches the same label as record ${claimed.get(match.id) + 1}`]
+      });
+      return;
+    }
+    if (!match && label.id && newIds.has(label.id)) {
+      plan.conflicts.push({
+        index,
+        name: label.name,
+        errors: [`has the same id as record ${newIds.get(label.id) + 1}`]
+      });
+      return;
+    }
+
+    plan.matches[index] = match;
+
+    if (!match) {
+      if (label.id) newIds.set(label.id, index);
+      plan.added.push(importSummary(label, { index }));
+      return;
+    }
+
+    claimed.set(match.id, index);
+    // Compare with defaults filled in, so a missing optional field is not a change
+    const changes = revisions.diffLabels(validateLabel(match).label, importedOver(match, label));
+    if (changes.length > 0) {
+      plan.updated.push(importSummary(match, { index, changes }));
+    } else {
+      plan.unchanged.push(importSummary(match, { index }));
+    }
+  });
+
+  if (clearExisting) {
+    plan.deleted = live.filter(label => !claimed.has(label.id)).map(label => importSummary(label));
+  }
+
+  return plan;
+}
+
+/**
+ * Import a batch of labels
+ * Every record is validated and matched (see planImport) before anything
+ * is written, so one bad record cannot leave the store half-imported.
+ * Records matching a label with no tracked field changed are not written.
+ * @param {Array} records - Labels to import
+ * @param {Object} [options] - { clearExisting } moves live labels no record
+ *   matches to the trash; { dryRun } only reports what would change
+ * @param {Object} [meta] - { user } performing the import
+ * @returns {Promise<Object>} { added, updated, unchanged, deleted, total } counts,
+ *   or for a dry run { dryRun, valid, invalid, added, updated, unchanged,
+ *   deleted, total } where the lists describe each label affected
+ */
+async function importLabels(records, options = {}, meta = {}) {
+  if (!Array.isArray(records)) {
+    throw new HttpError(400, 'labels must be an array');
+  }
+
+  const clearExisting = options.clearExisting === true;
+  const now = new Date().toISOString();
+
+  // Validate everything up front
+  const invalid = [];
+  const validated = records.map((record, index) => {
+    const { label, errors } = validateLabel(importFields(record));
+    if (errors.length > 0) {
+      invalid.push({ index, name: record && record.name, errors });
+    }
+    // Leave the status to the matched label, or the default for a new one
+    if (!record || !record.status) {
+      delete label.status;
+    }
+    return label;
+  });
+  const skip = new Set(invalid.map(entry => entry.index));
+
+  if (options.dryRun === true) {
+    const stored = (await getStorage().list('labels')).map(normalizeLabel);
+    const plan = planImport(stored, validated, skip, clearExisting);
+    const problems = invalid.concat(plan.conflicts).sort((a, b) => a.index - b.index);
+    const live = stored.filter(label => !isTrashed(label)).length;
+
+    return {
+      dryRun: true,
+      valid: problems.length === 0,
+      invalid: problems,
+      added: plan.added,
+      updated: plan.updated,
+      unchanged: plan.unchanged,
+      deleted: plan.deleted,
+      total: live + plan.added.length - plan.deleted.length
+    };
+  }
+
+  if (invalid.length > 0) {
+    throw new HttpError(400, `${invalid.length} of ${records.length} labels are invalid`, { invalid });
+  }
+
+  const result = await modifyLabels(async labels => {
+    const stored = (await labels.list()).map(normalizeLabel);
+    const plan = planImport(stored, validated, skip, clearExisting);
+
+    if (plan.conflicts.length > 0) {
+      throw new HttpError(400, `${plan.conflicts.length} of ${records.length} labels are invalid`, {
+        invalid: plan.conflicts
+      });
+    }
+
+    const current = new Map(stored.map(label => [label.id, label]));
+    let nextId = Number(nextLabelId(stored));
+
+    // Ids for new labels, skipping any claimed by the batch
+    const takeId = () => {
+      while (current.has(String(nextId))) {
+        nextId++;
+      }
+      return String(nextId);
+    };
+
+    const unchanged = new Set(plan.unchanged.map(entry => entry.index));
+
+    for (const [index, label] of validated.entries()) {
+      const match = plan.matches[index];
+      let saved;
+
+      if (unchanged.has(index)) {
+        continue;
+      }
+
+      if (match) {
+        saved = Object.assign(importedOver(match, label), {
+          id: match.id,
+          version: match.version + 1,
+          createdBy: match.createdBy,
+          createdAt: match.createdAt,
+          updatedAt: now
+        });
+        saved.history = revisions.appendRevision(match, saved, {
+          action: 'import',
+          user: meta.user
+        });
+      } else {
+        // A new label may reuse the id of one in the trash, replacing it
+        const previous = label.id ? current.get(label.id) : null;
+        saved = Object.assign({
+          status: 'pending',
+          createdAt: now,
+          updatedAt: now
+        }, label, {
+          id: label.id || takeId(),
+          version: previous ? previous.version + 1 : 1,
+          createdBy: meta.user ? meta.user.id : null
+        });
+        saved.history = previous
+          ? revisions.appendRevision(previous, saved, { action: 'import', user: meta.user })
+          : [revisions.makeRevision(saved, { revision: 1, action: 'import', user: meta.user, at: now })];
+      }
+
+      current.set(saved.id, saved);
+      await labels.put(saved);
+    }
+
+    for (const entry of plan.deleted) {
+      const trashed = trashedCopy(current.get(entry.id), meta, now);
+      current.set(trashed.id, trashed);
+      await labels.put(trashed);
+    }
+
+    return {
+      added: plan.added.length,
+      updated: plan.updated.length,
+      unchanged: plan.unchanged.length,
+      deleted: plan.deleted.length,
+      total: Array.from(current.values()).filter(label => !isTrashed(label)).length
+    };
+  });
+
+  labelEvents.publish('reset', { reason: 'imported' });
+  return result;
+}
+
+module.exports = {
+  LABEL_TYPES,
+  LABEL_STATUSES,
+  BULK_ACTIONS,
+  TRASH_PURGE_INTERVAL_MS,
+  TYPE_DEFAULTS,
+  validateLabel,
+  listLabels,
+  getLabel,
+  createLabel,
+  updateLabel,
+  getLabelHistory,
+  revertLabel,
+  deleteLabel,
+  listTrash,
+  restoreLabel,
+  purgeLabel,
+  emptyTrash,
+  purgeExpiredTrash,
+  bulkModerateLabels,
+  clearLabels,
+  importLabels
+};
@@ -0,0 +1,217 @@
+/**
+ * IxMaps - Layer groups
+ * Groups of label types the viewer shows and hides together, kept in the
+ * "layers" store in display order
+ */
+
+const { getStorage } = require('./storage');
+const { HttpError } = require('./http');
+const { LABEL_TYPES } = require('./labels');
+
+// Groups used until an admin saves their own (also written by quick-fix.js)
+const DEFAULT_LAYERS = [
+  { id: 'continents', label: 'Continents', labelTypes: ['continent'], defaultVisible: true },
+  { id: 'countries', label: 'Countries', labelTypes: ['country'], defaultVisible: true },
+  { id: 'capitals', label: 'Capitals', labelTypes: ['capital'], defaultVisible: true },
+  { id: 'waters', label: 'Water Bodies', labelTypes: ['water'], defaultVisible: true }
+];
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+const MAX_LABEL_LENGTH = 60;
+
+/**
+ * Copy of the default groups, safe to change
+ * @returns {Array} Layer groups
+ */
+function defaultLayers() {
+  return DEFAULT_LAYERS.map(layer => Object.assign({}, layer, { labelTypes: layer.labelTypes.slice() }));
+}
+
+/**
+ * Turn a group name into an id, e.g. "Water Bodies" -> "water-bodies"
+ * @param {String} label - Group name
+ * @returns {String}
+ */
+function slugify(label) {
+  return String(label || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Validate a layer group
+ * @param {Object} input - Group fields
+ * @param {Object} [base] - Existing group the input is applied on top of
+ * @returns {Object} The valid group
+ * @throws {HttpError} 400 listing every problem
+ */
+function assertValidLayer(input, base) {
+  const source = Object.assign({}, base || {}, input || {});
+  const errors = [];
+
+  const label = typeof source.label === 'string' ? source.label.trim() : '';
+  if (!label) {
+    errors.push('label is required');
+  } else if (label.length > MAX_LABEL_LENGTH) {
+    errors.push(`label must be at most ${MAX_LABEL_LENGTH} characters`);
+  }
+
+  const id = source.id === undefined || source.id === null || source.id === '' ? slugify(label) : String(source.id);
+  if (label && !ID_PATTERN.test(id)) {
+    errors.push('id must contain only lowercase letters, digits and dashes');
+  }
+
+  const labelTypes = Array.isArray(source.labelTypes) ? Array.from(new Set(source.labelTypes)) : [];
+  if (labelTypes.length === 0) {
+    errors.push('labelTypes must be a non-empty array');
+  } else if (!labelTypes.every(type => LABEL_TYPES.includes(type))) {
+    errors.push(`labelTypes must contain only: ${LABEL_TYPES.join(', ')}`);
+  }
+
+  const defaultVisible = source.defaultVisible === undefined ? true : source.defaultVisible;
+  if (typeof defaultVisible !== 'boolean') {
+    errors.push('defaultVisible must be true or false');
+  }
+
+  if (errors.length > 0) {
+    throw new HttpError(400, `Invalid layer group: ${errors.join('; ')}`, { details: errors });
+  }
+
+  return { id, label, labelTypes, defaultVisible };
+}
+
+/**
+ * Reject a group sharing label types with another group
+ * Each label type belongs to at most one group so its toggle is unambiguous.
+ * @param {Object} layer - Group being saved
+ * @param {Array} layers - Stored groups
+ */
+function assertTypesUnclaimed(layer, layers) {
+  layers.forEach(other => {
+    if (other.id === layer.id) return;
+    const shared = layer.labelTypes.filter(type => other.labelTypes.includes(type));
+    if (shared.length > 0) {
+      throw new HttpError(409, `Label type "${shared[0]}" is already in the "${other.label}" layer group`);
+    }
+  });
+}
+
+/**
+ * Load the layer groups in display order
+ * @returns {Promise<Array>} Layer groups (the defaults when none are stored)
+ */
+async function listLayers() {
+  const layers = await getStorage().list('layers');
+  return layers.length > 0 ? layers : defaultLayers();
+}
+
+/**
+ * Run a change on the layer groups as one transaction
+ * The defaults are stored first if nothing has been saved yet.
+ * @param {Function} work - Async (tx, layers) => result, layers in display order
+ * @returns {Promise<*>} Result of work
+ */
+function modifyLayers(work) {
+  return getStorage().transaction('layers', async tx => {
+    let layers = await tx.list();
+    if (layers.length === 0) {
+      layers = defaultLayers();
+      for (const layer of layers) {
+        await tx.put(layer);
+      }
+    }
+    return work(tx, layers);
+  });
+}
+
+/**
+ * Find a group by id
+ * @param {Array} layers - Layer groups
+ * @param {String} id - Group id
+ * @returns {Object} Group
+ * @throws {HttpError} 404 when not found
+ */
+function findLayer(layers, id) {
+  const layer = layers.find(candidate => candidate.id === String(id));
+  if (!layer) {
+    throw new HttpError(404, 'Layer group not found');
+  }
+  return layer;
+}
+
+/**
+ * Add a layer group at the end of the list
+ * @param {Object} input - Group fields; id defaults to one made from label
+ * @returns {Promise<Object>} The new group
+ */
+function createLayer(input) {
+  return modifyLayers(async (tx, layers) => {
+    const layer = assertValidLayer(input);
+    if (layers.some(other => other.id === layer.id)) {
+      throw new HttpError(409, `A layer group with id "${layer.id}" already exists`);
+    }
+    assertTypesUnclaimed(layer, layers);
+    return tx.put(layer);
+  });
+}
+
+/**
+ * Change a layer group's name, label types or default visibility
+ * @param {String} id - Group id
+ * @param {Object} input - Fields to change (id cannot be changed)
+ * @returns {Promise<Object>} The updated group
+ */
+function updateLayer(id, input) {
+  return modifyLayers(async (tx, layers) => {
+    const current = findLayer(layers, id);
+    const layer = assertValidLayer(Object.assign({}, input, { id: current.id }), current);
+    assertTypesUnclaimed(layer, layers);
+    return tx.put(layer);
+  });
+}
+
+/**
+ * Put the layer groups in a new display order
+ * @param {Array} ids - Every group id, in the new order
+ * @returns {Promise<Array>} The groups in their new order
+ */
+function reorderLayers(ids) {
+  return modifyLayers(async (tx, layers) => {
+    const unique = Array.isArray(ids) ? new Set(ids.map(String)) : null;
+    if (!unique || unique.size !== ids.length || unique.size !== layers.length ||
+        !layers.every(layer => unique.has(layer.id))) {
+      throw new HttpError(400, 'ids must list every layer group exactly once');
+    }
+
+    const ordered = Array.from(unique).map(layerId => findLayer(layers, layerId));
+    await tx.clear();
+    for (const layer of ordered) {
+      await tx.put(layer);
+    }
+    return ordered;
+  });
+}
+
+/**
+ * Delete a layer group
+ * Its label types are then shown without a toggle of their own.
+ * @param {String} id - Group id
+ * @returns {Promise<Object>} The deleted group
+ */
+function deleteLayer(id) {
+  return modifyLayers(async (tx, layers) => {
+    const layer = findLayer(layers, id);
+    if (layers.length === 1) {
+      throw new HttpError(400, 'The last layer group cannot be deleted');
+    }
+    await tx.remove(layer.id);
+    return layer;
+  });
+}
+
+module.exports = {
+  DEFAULT_LAYERS,
+  listLayers,
+  createLayer,
+  updateLayer,
+  reorderLayers,
+  deleteLayer
+};
@@ -0,0 +1,120 @@
+/**
+ * IxMaps - Map legend
+ * Legend sections and items per color scheme, kept in the "legend" document
+ */
+
+const { getStorage } = require('./storage');
+const { HttpError } = require('./http');
+
+const SCHEME_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+const COLOR_PATTERN = /^#(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/;
+const MAX_TEXT_LENGTH = 100;
+
+// Legend served before one is saved
+const EMPTY_LEGEND = { schemes: {}, defaultScheme: null };
+
+/**
+ * Read a required text field
+ * @param {*} value - Raw value
+ * @param {String} path - Field path for error messages
+ * @param {Array} errors - Problems found so far
+ * @returns {String} Trimmed text
+ */
+function readText(value, path, errors) {
+  const text = typeof value === 'string' ? value.trim() : '';
+  if (!text) {
+    errors.push(`${path} is required`);
+  } else if (text.length > MAX_TEXT_LENGTH) {
+    errors.push(`${path} must be at most ${MAX_TEXT_LENGTH} characters`);
+  }
+  return text;
+}
+
+/**
+ * Validate a legend
+ * @param {Object} input - { schemes: { id: { name, sections: [{ title, items: [{ color, label }] }] } }, defaultScheme }
+ * @returns {Object} The legend with only known fields
+ * @throws {HttpError} 400 listing every problem
+ */
+function assertValidLegend(input) {
+  const errors = [];
+  const schemes = {};
+  const source = input && typeof input.schemes === 'object' && !Array.isArray(input.schemes) ? input.schemes : null;
+
+  if (!source || Object.keys(source).length === 0) {
+    errors.push('schemes must define at least one color scheme');
+  }
+
+  Object.entries(source || {}).forEach(([id, scheme]) => {
+    if (!SCHEME_ID_PATTERN.test(id)) {
+      errors.push(`scheme id "${id}" must contain only lowercase letters, digits and dashes`);
+    }
+
+    const path = `schemes.${id}`;
+    const sections = scheme && Array.isArray(scheme.sections) ? scheme.sections : null;
+    if (!sections) {
+      errors.push(`${path}.sections must be an array`);
+    }
+
+    schemes[id] = {
+      name: readText(scheme && scheme.name, `${path}.name`, errors),
+      sections: (sections || []).map((section, s) => {
+        const sectionPath = `${path}.sections[${s}]`;
+        const items = section && Array.isArray(section.items) ? section.items : null;
+        if (!items) {
+          errors.push(`${sectionPath}.items must be an array`);
+        }
+
+        return {
+          title: readText(section && section.title, `${sectionPath}.title`, errors),
+          items: (items || []).map((item, i) => {
+            const itemPath = `${sectionPath}.items[${i}]`;
+            const color = item && item.color;
+            if (typeof color !== 'string' || !COLOR_PATTERN.test(color)) {
+              errors.push(`${itemPath}.color must be a hex color such as #b8def0`);
+            }
+            return {
+              color: typeof color === 'string' ? color.toLowerCase() : color,
+              label: readText(item && item.label, `${itemPath}.label`, errors)
+            };
+          })
+        };
+      })
+    };
+  });
+
+  const defaultScheme = input ? input.defaultScheme : undefined;
+  if (source && !Object.prototype.hasOwnProperty.call(schemes, defaultScheme)) {
+    errors.push('defaultScheme must be one of the schemes');
+  }
+
+  if (errors.length > 0) {
+    throw new HttpError(400, `Invalid legend: ${errors.join('; ')}`, { details: errors });
+  }
+
+  return { schemes, defaultScheme };
+}
+
+/**
+ * Load the legend
+ * @returns {Promise<Object>} { schemes, defaultScheme }
+ */
+function getLegend() {
+  return getStorage().readDocument('legend', EMPTY_LEGEND);
+}
+
+/**
+ * Replace the legend
+ * @param {Object} input - Legend, as returned by getLegend
+ * @returns {Promise<Object>} The saved legend
+ */
+async function saveLegend(input) {
+  const legend = assertValidLegend(input);
+  await getStorage().writeDocument('legend', legend);
+  return legend;
+}
+
+module.exports = {
+  getLegend,
+  saveLegend
+};
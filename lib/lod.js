@@ -0,0 +1,135 @@
+/**
+ * IxMaps - Levels of detail
+ * Simplified copies of the overlay SVGs for zoomed-out views. Each zoom
+ * band gets a copy whose paths are simplified until the error is under half
+ * a pixel at the band's highest zoom; above the last band the viewer uses
+ * the original file. Copies are served with long cache headers.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { readPathData, writePathData } = require('./svg-source');
+const { simplifyPaths } = require('./simplify');
+
+// Directory holding the simplified SVGs (IXMAPS_LOD_DIR overrides)
+const lodDir = process.env.IXMAPS_LOD_DIR || path.join(__dirname, '..', 'public', 'lod');
+
+const MANIFEST_FILE = 'manifest.json';
+
+// Highest zoom of each band; one map unit is 2^zoom pixels
+const DEFAULT_BANDS = [-1, 1, 3];
+
+// Largest error allowed, in screen pixels
+const TOLERANCE_PIXELS = 0.5;
+
+// Copies must be at most this share of the original's size to be worth loading
+const MAX_SIZE_RATIO = 0.9;
+
+/**
+ * Allowed error in SVG units for a band
+ * Overlays are drawn at about one SVG unit per map unit.
+ * @param {Number} maxZoom - Highest zoom of the band
+ * @returns {Number}
+ */
+function bandTolerance(maxZoom) {
+  return TOLERANCE_PIXELS / Math.pow(2, maxZoom);
+}
+
+/**
+ * Simplify every path of an SVG
+ * Everything but the path data is kept, so the copy lines up with the original.
+ * @param {String} text - SVG source
+ * @param {Number} tolerance - Allowed error in SVG units
+ * @returns {String} The simplified SVG
+ */
+function simplifySvg(text, tolerance) {
+  return writePathData(text, simplifyPaths(readPathData(text), tolerance));
+}
+
+/**
+ * Build the simplified copies and their manifest
+ * Everything is built in a new directory that then replaces the old one.
+ * @param {Object} options - { files: [{ url, file }], outDir, bands, log }
+ *   url is the overlay URL the viewer knows the SVG by, file its path on disk
+ * @returns {Promise<Object>} The manifest
+ */
+async function buildLod(options) {
+  const bands = (options.bands || DEFAULT_BANDS).slice().sort((a, b) => a - b);
+  if (bands.length === 0 || !bands.every(Number.isInteger) || new Set(bands).size !== bands.length) {
+    throw new Error('Bands must be different whole zoom levels');
+  }
+
+  const log = options.log || (() => {});
+  const outDir = options.outDir || lodDir;
+  const buildDir = `${outDir}.building-${process.pid}`;
+  await fs.promises.rm(buildDir, { recursive: true, force: true });
+
+  try {
+    const manifest = {
+      version: Date.now().toString(36),
+      tolerancePixels: TOLERANCE_PIXELS,
+      files: {}
+    };
+
+    for (const { url, file } of options.files) {
+      const text = await fs.promises.readFile(file, 'utf8');
+      const name = url.replace(/\.svg$/i, '');
+      log(`Simplifying ${url} (${Math.round(text.length / 1024)} KB)`);
+
+      manifest.files[url] = [];
+      for (const maxZoom of bands) {
+        const simplified = simplifySvg(text, bandTolerance(maxZoom));
+        const bytes = Buffer.byteLength(simplified);
+        if (bytes > Buffer.byteLength(text) * MAX_SIZE_RATIO) {
+          log(`  up to zoom ${maxZoom}: not much smaller than the original, skipped`);
+          continue;
+        }
+
+        const variant = `${name}/z${maxZoom}.svg`;
+        await fs.promises.mkdir(path.dirname(path.join(buildDir, variant)), { recursive: true });
+        await fs.promises.writeFile(path.join(buildDir, variant), simplified);
+
+        manifest.files[url].push({ maxZoom, path: variant, bytes });
+        log(`  up to zoom ${maxZoom}: ${Math.round(bytes / 1024)} KB`);
+      }
+    }
+
+    await fs.promises.writeFile(path.join(buildDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+    await fs.promises.rm(outDir, { recursive: true, force: true });
+    await fs.promises.rename(buildDir, outDir);
+    return manifest;
+  } catch (error) {
+    await fs.promises.rm(buildDir, { recursive: true, force: true });
+    throw error;
+  }
+}
+
+/**
+ * Serve the simplified copies
+ * The viewer asks for copies with the build version in the query string, so
+ * they are cached for a year; the manifest is revalidated on every visit.
+ * @returns {Array} Express middleware
+ */
+function serveLod() {
+  return [
+    express.static(lodDir, {
+      immutable: true,
+      maxAge: '1y',
+      setHeaders(res, file) {
+        if (path.basename(file) === MANIFEST_FILE) {
+          res.setHeader('Cache-Control', 'no-cache');
+        }
+      }
+    }),
+    (req, res) => res.status(404).end()
+  ];
+}
+
+module.exports = {
+  lodDir,
+  DEFAULT_BANDS,
+  simplifySvg,
+  buildLod,
+  serveLod
+};
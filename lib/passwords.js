@@ -0,0 +1,49 @@
+/**
+ * IxMaps - Password hashing
+ * Salted scrypt hashes stored as "scrypt$<salt>$<hash>" in data/users.json
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SALT_BYTES = 16;
+const KEY_LENGTH = 64;
+
+/**
+ * Hash a password with a fresh random salt
+ * @param {String} password - Plain text password
+ * @returns {Promise<String>} Encoded hash
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+  const key = await scrypt(String(password), salt, KEY_LENGTH);
+  return `scrypt$${salt}$${key.toString('hex')}`;
+}
+
+/**
+ * Check a password against an encoded hash
+ * @param {String} password - Plain text password
+ * @param {String} encoded - Hash produced by hashPassword
+ * @returns {Promise<Boolean>} True when the password matches
+ */
+async function verifyPassword(password, encoded) {
+  const parts = typeof encoded === 'string' ? encoded.split('$') : [];
+
+  if (parts.length !== 3 || parts[0] !== 'scrypt') {
+    // Still spend the hashing time so unknown users can't be told apart by timing
+    await scrypt(String(password), 'ixmaps-no-user', KEY_LENGTH);
+    return false;
+  }
+
+  const expected = Buffer.from(parts[2], 'hex');
+  const key = await scrypt(String(password), parts[1], expected.length || KEY_LENGTH);
+
+  return expected.length === key.length && crypto.timingSafeEqual(expected, key);
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword
+};
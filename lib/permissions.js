@@ -0,0 +1,137 @@
+/**
+ * IxMaps - Roles and permissions
+ * viewer < contributor < moderator < admin
+ */
+
+const { HttpError } = require('./http');
+
+// Roles in ascending order of privilege
+const ROLES = ['viewer', 'contributor', 'moderator', 'admin'];
+
+/**
+ * Resolve a user record's role
+ * Accounts created before roles existed only carry isAdmin
+ * @param {Object} user - User record
+ * @returns {String} Role name
+ */
+function roleOf(user) {
+  if (!user) return null;
+  if (ROLES.includes(user.role)) return user.role;
+  return user.isAdmin === true ? 'admin' : 'contributor';
+}
+
+/**
+ * Check whether a user has at least the given role
+ * @param {Object} user - User (as attached to req.user)
+ * @param {String} role - Minimum role
+ * @returns {Boolean}
+ */
+function hasRole(user, role) {
+  const userRole = roleOf(user);
+  return userRole !== null && ROLES.indexOf(userRole) >= ROLES.indexOf(role);
+}
+
+/**
+ * Build the error returned when a user lacks a permission
+ * @param {String} reason - Message shown in the UI
+ * @param {String} [requiredRole] - Role that would allow the action
+ * @returns {HttpError}
+ */
+function forbidden(reason, requiredRole) {
+  return new HttpError(403, reason, requiredRole ? { requiredRole } : null);
+}
+
+/**
+ * Middleware requiring a minimum role
+ * @param {String} role - Minimum role
+ * @param {String} reason - Message returned with the 403
+ * @returns {Function} Express middleware
+ */
+function requireRole(role, reason) {
+  return function(req, res, next) {
+    if (!req.user) {
+      return next(new HttpError(401, 'Please log in to continue'));
+    }
+    if (!hasRole(req.user, role)) {
+      return next(forbidden(reason, role));
+    }
+    next();
+  };
+}
+
+/**
+ * Check whether a user may see a label
+ * Approved labels are public; contributors also see their own submissions
+ * @param {Object} user - Current user or null
+ * @param {Object} label - Label
+ * @returns {Boolean}
+ */
+function canViewLabel(user, label) {
+  if (label.status === 'approved') return true;
+  if (hasRole(user, 'moderator')) return true;
+  return Boolean(user) && label.createdBy === user.id;
+}
+
+/**
+ * Throw unless a user may create a label with the given fields
+ * @param {Object} user - Current user
+ * @param {Object} fields - Submitted label fields
+ */
+function assertCanCreateLabel(user, fields) {
+  if (!hasRole(user, 'contributor')) {
+    throw forbidden('Viewers cannot create labels', 'contributor');
+  }
+  if (fields.status && fields.status !== 'pending' && !hasRole(user, 'moderator')) {
+    throw forbidden('Contributors can only submit labels for approval', 'moderator');
+  }
+}
+
+/**
+ * Throw unless a user may apply the given changes to a label
+ * @param {Object} user - Current user
+ * @param {Object} label - Label as currently stored
+ * @param {Object} changes - Submitted changes
+ */
+function assertCanUpdateLabel(user, label, changes) {
+  if (hasRole(user, 'moderator')) return;
+
+  if (!hasRole(user, 'contributor')) {
+    throw forbidden('Viewers cannot edit labels', 'contributor');
+  }
+  if (label.createdBy !== user.id) {
+    throw forbidden('You can only edit labels you submitted', 'moderator');
+  }
+  if (label.status !== 'pending') {
+    throw forbidden('Only pending labels can be edited once reviewed', 'moderator');
+  }
+  if (changes.status !== undefined && changes.status !== label.status) {
+    throw forbidden('Only moderators can approve or reject labels', 'moderator');
+  }
+}
+
+/**
+ * Throw unless a user may delete a label
+ * Contributors may withdraw their own pending submissions
+ * @param {Object} user - Current user
+ * @param {Object} label - Label
+ */
+function assertCanDeleteLabel(user, label) {
+  if (hasRole(user, 'moderator')) return;
+
+  if (hasRole(user, 'contributor') && label.createdBy === user.id && label.status === 'pending') {
+    return;
+  }
+
+  throw forbidden('Only moderators can delete labels', 'moderator');
+}
+
+module.exports = {
+  ROLES,
+  roleOf,
+  hasRole,
+  requireRole,
+  canViewLabel,
+  assertCanCreateLabel,
+  assertCanUpdateLabel,
+  assertCanDeleteLabel
+};
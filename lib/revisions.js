@@ -0,0 +1,101 @@
+/**
+ * IxMaps - Label revisions
+ * Builds the entries appended to label.history on every change
+ */
+
+// Label fields tracked in revisions (bookkeeping fields are left out)
+const TRACKED_FIELDS = ['name', 'type', 'x', 'y', 'fontSize', 'color', 'minZoom', 'maxZoom', 'status', 'notes'];
+
+/**
+ * Copy the tracked fields of a label
+ * @param {Object} label - Label
+ * @returns {Object} Snapshot of the tracked fields
+ */
+function snapshotOf(label) {
+  const snapshot = {};
+  TRACKED_FIELDS.forEach(field => {
+    if (label[field] !== undefined) {
+      snapshot[field] = label[field];
+    }
+  });
+  return snapshot;
+}
+
+/**
+ * List the tracked fields that differ between two versions of a label
+ * @param {Object} before - Previous version
+ * @param {Object} after - New version
+ * @returns {Array} [{ field, from, to }]
+ */
+function diffLabels(before, after) {
+  return TRACKED_FIELDS
+    .filter(field => before[field] !== after[field])
+    .map(field => ({
+      field,
+      from: before[field] === undefined ? null : before[field],
+      to: after[field] === undefined ? null : after[field]
+    }));
+}
+
+/**
+ * Build a revision entry
+ * @param {Object} label - Label after the change
+ * @param {Object} options - { revision, action, changes, user, revertedTo, at }
+ * @returns {Object} Frozen revision entry
+ */
+function makeRevision(label, options) {
+  const revision = {
+    revision: options.revision,
+    action: options.action,
+    updatedAt: options.at || new Date().toISOString(),
+    updatedBy: options.user ? options.user.id : null,
+    updatedByName: options.user ? options.user.username : null,
+    changes: options.changes || [],
+    snapshot: snapshotOf(label)
+  };
+
+  if (options.revertedTo !== undefined) {
+    revision.revertedTo = options.revertedTo;
+  }
+
+  return Object.freeze(revision);
+}
+
+/**
+ * Append a revision to a label's history
+ * Labels stored before revisions existed get a baseline entry first,
+ * so their original state can still be reverted to.
+ * @param {Object} before - Label before the change
+ * @param {Object} after - Label after the change (history is replaced)
+ * @param {Object} options - { action, user, revertedTo }
+ * @returns {Array} The new history
+ */
+function appendRevision(before, after, options) {
+  const history = Array.isArray(before.history) ? before.history.slice() : [];
+  const at = after.updatedAt;
+
+  if (history.length === 0) {
+    history.push(makeRevision(before, {
+      revision: 1,
+      action: 'baseline',
+      at: before.updatedAt || before.createdAt || at
+    }));
+  }
+
+  const last = history[history.length - 1];
+  history.push(makeRevision(after, Object.assign({}, options, {
+    revision: (Number(last.revision) || history.length) + 1,
+    changes: diffLabels(before, after),
+    at
+  })));
+
+  return history;
+}
+
+module.exports = {
+  TRACKED_FIELDS,
+  snapshotOf,
+  diffLabels,
+  makeRevision,
+  appendRevision
+};
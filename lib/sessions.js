@@ -0,0 +1,140 @@
+/**
+ * IxMaps - Login sessions
+ * In-memory sessions identified by the X-Session-ID header
+ */
+
+const crypto = require('crypto');
+const { findUserById, publicUser } = require('./users');
+const { HttpError } = require('./http');
+
+// Sessions expire after this much inactivity (IXMAPS_SESSION_TTL_HOURS overrides)
+const SESSION_TTL_MS = (Number(process.env.IXMAPS_SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+
+// How often expired sessions are swept from memory
+const PURGE_INTERVAL_MS = 10 * 60 * 1000;
+
+// sessionId -> { id, userId, createdAt, expiresAt }
+const sessions = new Map();
+
+/**
+ * Start a session for a user
+ * @param {Object} user - User record
+ * @returns {Object} The session
+ */
+function createSession(user) {
+  const now = Date.now();
+  const session = {
+    id: crypto.randomBytes(32).toString('hex'),
+    userId: user.id,
+    createdAt: now,
+    expiresAt: now + SESSION_TTL_MS
+  };
+
+  sessions.set(session.id, session);
+  return session;
+}
+
+/**
+ * Look up a live session, extending its expiry
+ * @param {String} sessionId - Session id
+ * @returns {Object|null} The session, or null when unknown or expired
+ */
+function touchSession(sessionId) {
+  const session = sessionId ? sessions.get(sessionId) : null;
+  if (!session) return null;
+
+  const now = Date.now();
+  if (session.expiresAt <= now) {
+    sessions.delete(sessionId);
+    return null;
+  }
+
+  session.expiresAt = now + SESSION_TTL_MS;
+  return session;
+}
+
+/**
+ * End a session
+ * @param {String} sessionId - Session id
+ * @returns {Boolean} True when a session was removed
+ */
+function destroySession(sessionId) {
+  return sessions.delete(sessionId);
+}
+
+/**
+ * Remove expired sessions
+ */
+function purgeExpiredSessions() {
+  const now = Date.now();
+  sessions.forEach((session, id) => {
+    if (session.expiresAt <= now) {
+      sessions.delete(id);
+    }
+  });
+}
+
+setInterval(purgeExpiredSessions, PURGE_INTERVAL_MS).unref();
+
+/**
+ * Session id sent with a request
+ * EventSource cannot set headers, so event streams may pass ?sessionId= instead
+ * @param {Object} req - Express request
+ * @returns {String|undefined} Session id
+ */
+function requestSessionId(req) {
+  const header = req.get('X-Session-ID');
+  if (header) {
+    return header;
+  }
+  if (req.get('Accept') === 'text/event-stream') {
+    return req.query.sessionId;
+  }
+  return undefined;
+}
+
+/**
+ * Middleware attaching req.session and req.user from the X-Session-ID header
+ * Requests without a valid session continue anonymously
+ */
+async function loadSession(req, res, next) {
+  try {
+    req.session = null;
+    req.user = null;
+
+    const session = touchSession(requestSessionId(req));
+    if (session) {
+      const user = await findUserById(session.userId);
+      if (user) {
+        req.session = session;
+        req.user = publicUser(user);
+      } else {
+        // Account was removed while logged in
+        destroySession(session.id);
+      }
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Middleware rejecting requests without a logged-in user
+ */
+function requireAuth(req, res, next) {
+  if (!req.user) {
+    return next(new HttpError(401, 'Please log in to continue'));
+  }
+  next();
+}
+
+module.exports = {
+  SESSION_TTL_MS,
+  createSession,
+  touchSession,
+  destroySession,
+  loadSession,
+  requireAuth
+};
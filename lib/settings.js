@@ -0,0 +1,203 @@
+/**
+ * IxMaps - Map settings
+ * Viewer configuration kept in the "settings" document, including the
+ * registry of SVG overlays drawn over the master map and the map
+ * calibration (public/js/calibration.js)
+ */
+
+const { getStorage } = require('./storage');
+const { HttpError } = require('./http');
+const IxCalibration = require('../public/js/calibration');
+
+// Overlays used until an admin saves their own; the SVGs ship in public/
+const DEFAULT_OVERLAYS = [
+  { id: 'climate', name: 'Climate Zones', url: 'climate.svg', zIndex: 10, visible: false, opacity: 0.6 },
+  { id: 'political', name: 'Political Map', url: 'political.svg', zIndex: 20, visible: false, opacity: 0.7 },
+  { id: 'borders', name: 'Borders', url: 'borders.svg', zIndex: 30, visible: true, opacity: 1 }
+];
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+// Paths relative to the viewer, or http(s) URLs, of SVG files
+const URL_PATTERN = /^(?:https?:\/\/[^\s"'<>]+|[\w./-]+)\.svg$/i;
+const MAX_Z_INDEX = 199;
+const MAX_NAME_LENGTH = 60;
+
+/**
+ * Check that a value is [[south, west], [north, east]] in master map units
+ * @param {*} bounds - Raw value
+ * @returns {Boolean}
+ */
+function isBounds(bounds) {
+  if (!Array.isArray(bounds) || bounds.length !== 2) return false;
+  if (!bounds.every(corner => Array.isArray(corner) && corner.length === 2 && corner.every(Number.isFinite))) {
+    return false;
+  }
+  return bounds[1][0] > bounds[0][0] && bounds[1][1] > bounds[0][1];
+}
+
+/**
+ * Validate the overlay registry
+ * @param {Array} input - Overlays: { id, name, url, zIndex, visible, opacity, bounds }
+ * @returns {Array} The overlays with only known fields and defaults filled in
+ * @throws {HttpError} 400 listing every problem
+ */
+function assertValidOverlays(input) {
+  const errors = [];
+
+  if (!Array.isArray(input)) {
+    throw new HttpError(400, 'overlays must be an array');
+  }
+
+  const seen = new Set();
+  const overlays = input.map((source, index) => {
+    const path = `overlays[${index}]`;
+    const overlay = {};
+    source = source || {};
+
+    overlay.id = typeof source.id === 'string' ? source.id : '';
+    if (!ID_PATTERN.test(overlay.id)) {
+      errors.push(`${path}.id must contain only lowercase letters, digits and dashes`);
+    } else if (seen.has(overlay.id)) {
+      errors.push(`${path}.id "${overlay.id}" is used more than once`);
+    }
+    seen.add(overlay.id);
+
+    overlay.name = typeof source.name === 'string' ? source.name.trim() : '';
+    if (!overlay.name) {
+      errors.push(`${path}.name is required`);
+    } else if (overlay.name.length > MAX_NAME_LENGTH) {
+      errors.push(`${path}.name must be at most ${MAX_NAME_LENGTH} characters`);
+    }
+
+    overlay.url = source.url;
+    if (typeof overlay.url !== 'string' || !URL_PATTERN.test(overlay.url) || overlay.url.includes('..')) {
+      errors.push(`${path}.url must be the path or http(s) URL of an .svg file`);
+    }
+
+    overlay.zIndex = source.zIndex === undefined ? index : source.zIndex;
+    if (!Number.isInteger(overlay.zIndex) || overlay.zIndex < 0 || overlay.zIndex > MAX_Z_INDEX) {
+      errors.push(`${path}.zIndex must be a whole number between 0 and ${MAX_Z_INDEX}`);
+    }
+
+    overlay.visible = source.visible === undefined ? false : source.visible;
+    if (typeof overlay.visible !== 'boolean') {
+      errors.push(`${path}.visible must be true or false`);
+    }
+
+    overlay.opacity = source.opacity === undefined ? 1 : source.opacity;
+    if (typeof overlay.opacity !== 'number' || !(overlay.opacity >= 0 && overlay.opacity <= 1)) {
+      errors.push(`${path}.opacity must be a number between 0 and 1`);
+    }
+
+    // Without bounds the viewer fits the overlay to the master map's width
+    if (source.bounds !== undefined && source.bounds !== null) {
+      if (!isBounds(source.bounds)) {
+        errors.push(`${path}.bounds must be [[south, west], [north, east]] in master map units`);
+      }
+      overlay.bounds = source.bounds;
+    }
+
+    return overlay;
+  });
+
+  if (errors.length > 0) {
+    throw new HttpError(400, `Invalid overlays: ${errors.join('; ')}`, { details: errors });
+  }
+
+  return overlays;
+}
+
+/**
+ * Validate the map calibration
+ * @param {Object} input - Calibration: { mapWidth, mapHeight, equatorY, pixelsPerLatitudeDegree, primeMeridianX, milesPerPixel }
+ * @returns {Object} The calibration with only known fields and defaults filled in
+ * @throws {HttpError} 400 listing every problem
+ */
+function assertValidCalibration(input) {
+  const errors = [];
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new HttpError(400, 'calibration must be an object');
+  }
+
+  const calibration = {};
+  Object.keys(IxCalibration.DEFAULTS).forEach(field => {
+    calibration[field] = input[field] === undefined ? IxCalibration.DEFAULTS[field] : input[field];
+  });
+
+  ['mapWidth', 'mapHeight', 'pixelsPerLatitudeDegree', 'milesPerPixel'].forEach(field => {
+    if (!Number.isFinite(calibration[field]) || calibration[field] <= 0) {
+      errors.push(`calibration.${field} must be a positive number`);
+    }
+  });
+
+  if (!Number.isFinite(calibration.equatorY) || calibration.equatorY < 0 || calibration.equatorY > calibration.mapHeight) {
+    errors.push('calibration.equatorY must be a number between 0 and mapHeight');
+  }
+
+  if (!Number.isFinite(calibration.primeMeridianX) || calibration.primeMeridianX < 0 || calibration.primeMeridianX >= calibration.mapWidth) {
+    errors.push('calibration.primeMeridianX must be a number from 0 up to mapWidth');
+  }
+
+  if (errors.length > 0) {
+    throw new HttpError(400, `Invalid calibration: ${errors.join('; ')}`, { details: errors });
+  }
+
+  return calibration;
+}
+
+/**
+ * Load the settings, with the default overlays when none are saved and
+ * the default calibration for any value not saved
+ * @returns {Promise<Object>} Settings
+ */
+async function getSettings() {
+  const settings = await getStorage().readDocument('settings', {});
+  return Object.assign({}, settings, {
+    overlays: Array.isArray(settings.overlays) ? settings.overlays : DEFAULT_OVERLAYS,
+    calibration: Object.assign({}, IxCalibration.DEFAULTS, settings.calibration)
+  });
+}
+
+/**
+ * Load the map calibration
+ * @returns {Promise<IxCalibration>}
+ */
+async function getCalibration() {
+  const settings = await getSettings();
+  return new IxCalibration(settings.calibration);
+}
+
+/**
+ * Replace the overlay registry, keeping the other settings
+ * @param {Array} input - Overlays
+ * @returns {Promise<Array>} The saved overlays
+ */
+async function saveOverlays(input) {
+  const overlays = assertValidOverlays(input);
+  await getStorage().updateDocument('settings', {}, settings => {
+    settings.overlays = overlays;
+  });
+  return overlays;
+}
+
+/**
+ * Replace the map calibration, keeping the other settings
+ * @param {Object} input - Calibration
+ * @returns {Promise<Object>} The saved calibration
+ */
+async function saveCalibration(input) {
+  const calibration = assertValidCalibration(input);
+  await getStorage().updateDocument('settings', {}, settings => {
+    settings.calibration = calibration;
+  });
+  return calibration;
+}
+
+module.exports = {
+  DEFAULT_OVERLAYS,
+  getSettings,
+  getCalibration,
+  saveOverlays,
+  saveCalibration
+};
@@ -0,0 +1,372 @@
+/**
+ * IxMaps - Path simplification
+ * Douglas-Peucker simplification of SVG path data that keeps shared borders
+ * shared: rings are cut into arcs wherever the set of rings a point belongs
+ * to changes, and each arc is simplified once, so two neighbouring
+ * countries get exactly the same simplified border (as TopoJSON does).
+ * Curves are flattened to lines fine enough for the tolerance.
+ */
+
+// Points closer than this (in SVG units) are the same point when matching borders
+const SNAP = 0.05;
+
+// Most line segments a curve is flattened into
+const MAX_CURVE_STEPS = 16;
+
+const TOKEN = /[MmZzLlHhVvCcSsQqTtAa]|[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/g;
+
+// Numbers each path command takes
+const ARGUMENTS = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+
+/**
+ * Distance of a point from a line through two points
+ * @returns {Number}
+ */
+function distanceToLine(point, start, end) {
+  const dx = end[0] - start[0];
+  const dy = end[1] - start[1];
+  const length = Math.hypot(dx, dy);
+  if (length === 0) {
+    return Math.hypot(point[0] - start[0], point[1] - start[1]);
+  }
+  return Math.abs(dx * (start[1] - point[1]) - dy * (start[0] - point[0])) / length;
+}
+
+/**
+ * Flatten a Bézier curve into points, the start point excluded
+ * Steps depend only on how far the control points stray from the chord, so
+ * the same curve drawn backwards gives the same points.
+ * @param {Array} points - Start, control points and end
+ * @param {Number} tolerance - Allowed error in SVG units
+ * @returns {Array} Points along the curve, ending at its end point
+ */
+function flattenCurve(points, tolerance) {
+  const start = points[0];
+  const end = points[points.length - 1];
+  const bulge = Math.max(...points.slice(1, -1).map(point => distanceToLine(point, start, end)));
+  const steps = bulge <= tolerance ? 1 : Math.min(MAX_CURVE_STEPS, Math.ceil(Math.sqrt(bulge / tolerance)));
+
+  const result = [];
+  for (let step = 1; step < steps; step++) {
+    const t = step / steps;
+    // de Casteljau
+    let level = points;
+    while (level.length > 1) {
+      level = level.slice(1).map((point, i) => [
+        level[i][0] + (point[0] - level[i][0]) * t,
+        level[i][1] + (point[1] - level[i][1]) * t
+      ]);
+    }
+    result.push(level[0]);
+  }
+  result.push(end);
+  return result;
+}
+
+/**
+ * Read SVG path data into lines
+ * Arcs are replaced by a straight line to their end point.
+ * @param {String} d - Path data
+ * @param {Number} tolerance - Allowed error when flattening curves
+ * @returns {Array} Subpaths: { points: [[x, y], ...], closed }
+ */
+function parsePath(d, tolerance) {
+  const tokens = String(d).match(TOKEN) || [];
+  const subpaths = [];
+  let current = null;
+  let x = 0;
+  let y = 0;
+  let startX = 0;
+  let startY = 0;
+  let lastControl = null;
+  let lastCommand = '';
+  let command = '';
+  let index = 0;
+
+  const lineTo = (nextX, nextY) => {
+    current.points.push([nextX, nextY]);
+    x = nextX;
+    y = nextY;
+  };
+  const curveTo = (controls, nextX, nextY) => {
+    flattenCurve([[x, y]].concat(controls, [[nextX, nextY]]), tolerance).forEach(point => current.points.push(point));
+    x = nextX;
+    y = nextY;
+  };
+
+  while (index < tokens.length) {
+    if (/[A-Za-z]/.test(tokens[index])) {
+      command = tokens[index++];
+    } else if (!command) {
+      break;
+    }
+
+    const upper = command.toUpperCase();
+    const relative = command !== upper;
+    const count = ARGUMENTS[upper];
+
+    if (upper === 'Z') {
+      if (current) {
+        current.closed = true;
+        x = startX;
+        y = startY;
+      }
+      current = null;
+      lastCommand = 'Z';
+      continue;
+    }
+
+    if (index + count > tokens.length || tokens.slice(index, index + count).some(token => /[A-Za-z]/.test(token))) {
+      break;
+    }
+    const values = tokens.slice(index, index + count).map(Number);
+    index += count;
+
+    const dx = relative ? x : 0;
+    const dy = relative ? y : 0;
+
+    if (!current && upper !== 'M') {
+      current = { points: [[x, y]], closed: false };
+      subpaths.push(current);
+    }
+
+    switch (upper) {
+      case 'M':
+        current = { points: [], closed: false };
+        subpaths.push(current);
+        lineTo(values[0] + dx, values[1] + dy);
+        startX = x;
+        startY = y;
+        // Further pairs are lines
+        command = relative ? 'l' : 'L';
+        lastControl = null;
+        break;
+      case 'L':
+        lineTo(values[0] + dx, values[1] + dy);
+        lastControl = null;
+        break;
+      case 'H':
+        lineTo(values[0] + dx, y);
+        lastControl = null;
+        break;
+      case 'V':
+        lineTo(x, values[0] + dy);
+        lastControl = null;
+        break;
+      case 'C': {
+        const control = [values[2] + dx, values[3] + dy];
+        curveTo([[values[0] + dx, values[1] + dy], control], values[4] + dx, values[5] + dy);
+        lastControl = control;
+        break;
+      }
+      case 'S': {
+        const reflected = lastControl && /[CcSs]/.test(lastCommand)
+          ? [2 * x - lastControl[0], 2 * y - lastControl[1]] : [x, y];
+        const control = [values[0] + dx, values[1] + dy];
+        curveTo([reflected, control], values[2] + dx, values[3] + dy);
+        lastControl = control;
+        break;
+      }
+      case 'Q': {
+        const control = [values[0] + dx, values[1] + dy];
+        curveTo([control], values[2] + dx, values[3] + dy);
+        lastControl = control;
+        break;
+      }
+      case 'T': {
+        const control = lastControl && /[QqTt]/.test(lastCommand)
+          ? [2 * x - lastControl[0], 2 * y - lastControl[1]] : [x, y];
+        curveTo([control], values[0] + dx, values[1] + dy);
+        lastControl = control;
+        break;
+      }
+      case 'A':
+        lineTo(values[5] + dx, values[6] + dy);
+        lastControl = null;
+        break;
+    }
+    lastCommand = command;
+  }
+
+  return subpaths.filter(subpath => subpath.points.length > 1);
+}
+
+/**
+ * Douglas-Peucker simplification keeping both end points
+ * @param {Array} points - Line points
+ * @param {Number} tolerance - Allowed error in SVG units
+ * @returns {Array} Kept points
+ */
+function douglasPeucker(points, tolerance) {
+  if (points.length <= 2) return points.slice();
+
+  const keep = new Uint8Array(points.length);
+  keep[0] = 1;
+  keep[points.length - 1] = 1;
+
+  const stack = [[0, points.length - 1]];
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    let farthest = -1;
+    let distance = tolerance;
+    for (let i = first + 1; i < last; i++) {
+      const candidate = distanceToLine(points[i], points[first], points[last]);
+      if (candidate > distance) {
+        distance = candidate;
+        farthest = i;
+      }
+    }
+    if (farthest !== -1) {
+      keep[farthest] = 1;
+      stack.push([first, farthest], [farthest, last]);
+    }
+  }
+
+  return points.filter((point, i) => keep[i]);
+}
+
+/**
+ * Key matching a point to the same point in other rings
+ * @param {Array} point - [x, y]
+ * @returns {String}
+ */
+function pointKey(point) {
+  return `${Math.round(point[0] / SNAP)},${Math.round(point[1] / SNAP)}`;
+}
+
+/**
+ * Write numbers as compact path data
+ * @param {Array} numbers - Numbers, already rounded
+ * @returns {String} e.g. "12-3.5 4"
+ */
+function joinNumbers(numbers) {
+  return numbers.reduce((text, number, i) => {
+    const value = String(number);
+    return i === 0 || value.startsWith('-') ? text + value : `${text} ${value}`;
+  }, '');
+}
+
+/**
+ * Simplify the path data of a set of paths that share borders
+ * @param {Array} paths - Path data (d) of every path in the SVG
+ * @param {Number} tolerance - Allowed error in SVG units
+ * @returns {Array} New path data, in the same order; "" where nothing is left
+ */
+function simplifyPaths(paths, tolerance) {
+  const decimals = tolerance >= 1 ? 0 : tolerance >= 0.1 ? 1 : 2;
+  const round = value => Number(value.toFixed(decimals));
+
+  // Every subpath, without repeated points or a repeated closing point
+  const rings = [];
+  const pathRings = paths.map(d => parsePath(d, tolerance).map(subpath => {
+    const points = subpath.points.filter((point, i) => i === 0 || pointKey(point) !== pointKey(subpath.points[i - 1]));
+    if (subpath.closed && points.length > 1 && pointKey(points[0]) === pointKey(points[points.length - 1])) {
+      points.pop();
+    }
+    const ring = { id: rings.length, points: points, keys: points.map(pointKey), closed: subpath.closed };
+    rings.push(ring);
+    return ring;
+  }));
+
+  // The rings each point is on
+  const owners = new Map();
+  rings.forEach(ring => {
+    ring.keys.forEach(key => {
+      if (!owners.has(key)) owners.set(key, []);
+      const list = owners.get(key);
+      if (list[list.length - 1] !== ring.id) list.push(ring.id);
+    });
+  });
+  const signature = key => owners.get(key).join(',');
+
+  // Arcs already simplified, by their points in a canonical direction
+  const simplified = new Map();
+  const simplifyArc = (points, keys) => {
+    const reversed = keys[0] > keys[keys.length - 1] ||
+      (keys[0] === keys[keys.length - 1] && keys.length > 2 && keys[1] > keys[keys.length - 2]);
+    const canonicalKeys = reversed ? keys.slice().reverse() : keys;
+    const id = canonicalKeys.join(' ');
+    if (!simplified.has(id)) {
+      simplified.set(id, douglasPeucker(reversed ? points.slice().reverse() : points, tolerance));
+    }
+    const result = simplified.get(id);
+    return reversed ? result.slice().reverse() : result;
+  };
+
+  rings.forEach(ring => {
+    const { points, keys } = ring;
+    const count = points.length;
+
+    // Arcs end where the rings sharing a point change, and at line ends
+    const breaks = [];
+    for (let i = 0; i < count; i++) {
+      const here = signature(keys[i]);
+      const isEnd = !ring.closed && (i === 0 || i === count - 1);
+      const previous = ring.closed ? keys[(i - 1 + count) % count] : keys[i - 1];
+      const next = ring.closed ? keys[(i + 1) % count] : keys[i + 1];
+      if (isEnd || (previous !== undefined && signature(previous) !== here) ||
+          (next !== undefined && signature(next) !== here)) {
+        breaks.push(i);
+      }
+    }
+
+    let result;
+    if (!ring.closed) {
+      result = [];
+      for (let b = 0; b < breaks.length - 1; b++) {
+        const arc = simplifyArc(points.slice(breaks[b], breaks[b + 1] + 1), keys.slice(breaks[b], breaks[b + 1] + 1));
+        result = result.concat(b === 0 ? arc : arc.slice(1));
+      }
+    } else if (breaks.length === 0) {
+      // A ring with no junctions, started at its lowest point so every copy matches
+      let start = 0;
+      keys.forEach((key, i) => {
+        if (key < keys[start]) start = i;
+      });
+      const order = points.slice(start).concat(points.slice(0, start), [points[start]]);
+      const orderKeys = keys.slice(start).concat(keys.slice(0, start), [keys[start]]);
+      result = simplifyArc(order, orderKeys).slice(0, -1);
+    } else {
+      result = [];
+      breaks.forEach((from, b) => {
+        const to = breaks[(b + 1) % breaks.length];
+        const indexes = [];
+        for (let i = from; ; i = (i + 1) % count) {
+          indexes.push(i);
+          if (i === to && indexes.length > 1) break;
+        }
+        const arc = simplifyArc(indexes.map(i => points[i]), indexes.map(i => keys[i]));
+        result = result.concat(arc.slice(0, -1));
+      });
+    }
+
+    // Rounding can make neighbouring points the same
+    ring.result = result
+      .map(point => [round(point[0]), round(point[1])])
+      .filter((point, i, all) => i === 0 || point[0] !== all[i - 1][0] || point[1] !== all[i - 1][1]);
+    if (ring.closed && ring.result.length > 1) {
+      const first = ring.result[0];
+      const last = ring.result[ring.result.length - 1];
+      if (first[0] === last[0] && first[1] === last[1]) ring.result.pop();
+    }
+  });
+
+  return pathRings.map(ringsOfPath => ringsOfPath
+    .filter(ring => ring.result.length >= (ring.closed ? 3 : 2))
+    .map(ring => {
+      const [first, ...rest] = ring.result;
+      const moves = [];
+      rest.reduce((previous, point) => {
+        moves.push(round(point[0] - previous[0]), round(point[1] - previous[1]));
+        return point;
+      }, first);
+      return `M${joinNumbers(first)}${moves.length > 0 ? `l${joinNumbers(moves)}` : ''}${ring.closed ? 'z' : ''}`;
+    })
+    .join(''));
+}
+
+module.exports = {
+  parsePath,
+  douglasPeucker,
+  simplifyPaths
+};
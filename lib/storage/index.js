@@ -0,0 +1,82 @@
+/**
+ * IxMaps - Storage adapters
+ * Every store the API uses goes through one adapter, chosen with
+ * IXMAPS_STORAGE: "json" (default, data/*.json) or "sqlite".
+ *
+ * Adapter interface (all methods return promises):
+ *   list(collection)              - All records of a collection, in insertion order
+ *   get(collection, id)           - One record or null
+ *   transaction(collection, work) - Run work(tx) atomically and serialized;
+ *                                   tx has list(), get(id), put(record),
+ *                                   remove(id) and clear(). Nothing is kept
+ *                                   if work throws.
+ *   readLog(name)                 - All entries of an append-only log, oldest first
+ *   append(name, entry)           - Add an entry to the end of a log without
+ *                                   rewriting it; entries without an id get
+ *                                   the next one. Resolves to the stored entry
+ *   clearLog(name)                - Remove every entry of a log (migrations only)
+ *   readDocument(name, fallback)  - A single JSON value (e.g. settings)
+ *   writeDocument(name, value)    - Replace a single JSON value
+ *   updateDocument(name, fallback, update)
+ *                                 - Read a single JSON value, change it in
+ *                                   place with update(value) and write it
+ *                                   back, serialized with other writes.
+ *                                   Nothing is written if update throws.
+ *   close()                       - Release the underlying resources
+ * plus `type` and describe(), which names where the data lives.
+ */
+
+const JsonStorage = require('./json-adapter');
+
+const STORAGE_TYPES = ['json', 'sqlite'];
+
+// Stores holding records with an id
+const COLLECTIONS = ['labels', 'users', 'layers'];
+
+// Append-only stores whose entries are never changed or removed
+const LOGS = ['audit'];
+
+// Stores holding a single JSON value
+const DOCUMENTS = ['settings', 'legend'];
+
+let storage = null;
+
+/**
+ * Create a storage adapter
+ * @param {String} type - One of STORAGE_TYPES
+ * @param {Object} [options] - Adapter options (sqlite: { file })
+ * @returns {Object} Storage adapter
+ */
+function createStorage(type, options) {
+  switch (type) {
+    case 'json':
+      return new JsonStorage(options);
+    case 'sqlite': {
+      // Loaded on demand so the JSON default works without better-sqlite3
+      const SqliteStorage = require('./sqlite-adapter');
+      return new SqliteStorage(options);
+    }
+    default:
+      throw new Error(`Storage type must be one of: ${STORAGE_TYPES.join(', ')}`);
+  }
+}
+
+/**
+ * The adapter configured for this process
+ * @returns {Object} Storage adapter
+ */
+function getStorage() {
+  if (!storage) {
+    storage = createStorage(process.env.IXMAPS_STORAGE || 'json');
+  }
+  return storage;
+}
+
+module.exports = {
+  STORAGE_TYPES,
+  COLLECTIONS,
+  LOGS,
+  DOCUMENTS,
+  createStorage,
+  getStorage
+};
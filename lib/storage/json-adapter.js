@@ -0,0 +1,139 @@
+/**
+ * IxMaps - JSON file storage adapter
+ * Keeps each store in data/<name>.json through the atomic data store,
+ * and each log in data/<name>.jsonl
+ */
+
+const {
+  dataDir,
+  readJson,
+  writeJson,
+  updateJson,
+  readJsonLines,
+  appendJsonLine,
+  clearJsonLines
+} = require('../data-store');
+
+/**
+ * Record operations on a loaded collection array, changed in place
+ */
+class ArrayTransaction {
+  /**
+   * @param {Array} records - Stored records
+   */
+  constructor(records) {
+    this.records = records;
+  }
+
+  indexOf(id) {
+    return this.records.findIndex(record => String(record.id) === String(id));
+  }
+
+  async list() {
+    return this.records.slice();
+  }
+
+  async get(id) {
+    const index = this.indexOf(id);
+    return index === -1 ? null : this.records[index];
+  }
+
+  async put(record) {
+    const index = this.indexOf(record.id);
+    if (index === -1) {
+      this.records.push(record);
+    } else {
+      this.records[index] = record;
+    }
+    return record;
+  }
+
+  async remove(id) {
+    const index = this.indexOf(id);
+    return index === -1 ? null : this.records.splice(index, 1)[0];
+  }
+
+  async clear() {
+    this.records.splice(0);
+  }
+}
+
+/**
+ * Storage adapter backed by JSON files (the default)
+ */
+class JsonStorage {
+  constructor() {
+    this.type = 'json';
+
+    // Log name -> promise of the id of its last entry
+    this.lastIds = new Map();
+  }
+
+  describe() {
+    return dataDir;
+  }
+
+  list(collection) {
+    return readJson(collection, []);
+  }
+
+  async get(collection, id) {
+    const records = await this.list(collection);
+    return records.find(record => String(record.id) === String(id)) || null;
+  }
+
+  transaction(collection, work) {
+    return updateJson(collection, [], records => work(new ArrayTransaction(records)));
+  }
+
+  async readLog(name) {
+    // Logs written before they were append-only are a JSON array in <name>.json
+    const [earlier, entries] = await Promise.all([readJson(name, []), readJsonLines(name)]);
+    return earlier.concat(entries);
+  }
+
+  append(name, entry) {
+    const lastId = this.lastIds.get(name) || this.readLog(name).then(entries => {
+      return entries.length > 0 ? Number(entries[entries.length - 1].id) : 0;
+    });
+
+    const stored = lastId.then(async id => {
+      const record = entry.id === undefined ? Object.assign({ id: id + 1 }, entry) : entry;
+      await appendJsonLine(name, record);
+      return record;
+    });
+
+    // Ids are handed out in call order; the append after a failed one
+    // reuses its id, and a failed read is retried by the next append
+    const next = stored.then(record => Number(record.id), () => lastId);
+    this.lastIds.set(name, next);
+    next.catch(() => {
+      if (this.lastIds.get(name) === next) {
+        this.lastIds.delete(name);
+      }
+    });
+
+    return stored;
+  }
+
+  async clearLog(name) {
+    this.lastIds.delete(name);
+    await Promise.all([writeJson(name, []), clearJsonLines(name)]);
+  }
+
+  readDocument(name, fallback) {
+    return readJson(name, fallback);
+  }
+
+  writeDocument(name, value) {
+    return writeJson(name, value);
+  }
+
+  updateDocument(name, fallback, update) {
+    return updateJson(name, fallback, update);
+  }
+
+  async close() {}
+}
+
+module.exports = JsonStorage;
@@ -0,0 +1,248 @@
+/**
+ * IxMaps - SQLite storage adapter
+ * Keeps every store in one embedded database (data/ixmaps.sqlite by default),
+ * so changing a label rewrites one row instead of the whole collection
+ * and logging an entry inserts one row.
+ * Requires the optional better-sqlite3 package.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { dataDir } = require('../data-store');
+const { LOGS } = require('./index');
+
+// Database file (IXMAPS_SQLITE_FILE overrides)
+const defaultFile = process.env.IXMAPS_SQLITE_FILE || path.join(dataDir, 'ixmaps.sqlite');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS records (
+    collection TEXT NOT NULL,
+    id TEXT NOT NULL,
+    seq INTEGER NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (collection, id)
+  );
+  CREATE INDEX IF NOT EXISTS records_order ON records (collection, seq);
+  CREATE TABLE IF NOT EXISTS documents (
+    name TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS logs (
+    name TEXT NOT NULL,
+    id INTEGER NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (name, id)
+  );
+`;
+
+/**
+ * Open the database, creating the schema if needed
+ * @param {String} file - Database file
+ * @returns {Object} better-sqlite3 database
+ */
+function openDatabase(file) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw new Error('SQLite storage needs the better-sqlite3 package: npm install better-sqlite3');
+  }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('synchronous = FULL');
+  db.exec(SCHEMA);
+
+  // Logs were kept as records before they were append-only
+  const placeholders = LOGS.map(() => '?').join(', ');
+  db.transaction(() => {
+    db.prepare(`
+      INSERT OR IGNORE INTO logs (name, id, data)
+      SELECT collection, CAST(id AS INTEGER), data FROM records WHERE collection IN (${placeholders})
+    `).run(...LOGS);
+    db.prepare(`DELETE FROM records WHERE collection IN (${placeholders})`).run(...LOGS);
+  })();
+
+  return db;
+}
+
+/**
+ * Record operations on one collection inside an open transaction
+ */
+class SqliteTransaction {
+  /**
+   * @param {Object} statements - Prepared statements
+   * @param {String} collection - Collection name
+   */
+  constructor(statements, collection) {
+    this.statements = statements;
+    this.collection = collection;
+  }
+
+  async list() {
+    return this.statements.list.all(this.collection).map(row => JSON.parse(row.data));
+  }
+
+  async get(id) {
+    const row = this.statements.get.get(this.collection, String(id));
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async put(record) {
+    if (record.id === undefined || record.id === null) {
+      throw new Error(`Records in ${this.collection} need an id`);
+    }
+    this.statements.put.run(this.collection, String(record.id), this.collection, JSON.stringify(record));
+    return record;
+  }
+
+  async remove(id) {
+    const existing = await this.get(id);
+    if (existing) {
+      this.statements.remove.run(this.collection, String(id));
+    }
+    return existing;
+  }
+
+  async clear() {
+    this.statements.clear.run(this.collection);
+  }
+}
+
+/**
+ * Storage adapter backed by an embedded SQLite database
+ */
+class SqliteStorage {
+  /**
+   * @param {Object} [options] - { file } database path
+   */
+  constructor(options = {}) {
+    this.type = 'sqlite';
+    this.file = options.file || defaultFile;
+    this.db = openDatabase(this.file);
+    this.queue = Promise.resolve();
+
+    this.statements = {
+      list: this.db.prepare('SELECT data FROM records WHERE collection = ? ORDER BY seq'),
+      get: this.db.prepare('SELECT data FROM records WHERE collection = ? AND id = ?'),
+      put: this.db.prepare(`
+        INSERT INTO records (collection, id, seq, data)
+        VALUES (?, ?, (SELECT COALESCE(MAX(seq), 0) + 1 FROM records WHERE collection = ?), ?)
+        ON CONFLICT (collection, id) DO UPDATE SET data = excluded.data
+      `),
+      remove: this.db.prepare('DELETE FROM records WHERE collection = ? AND id = ?'),
+      clear: this.db.prepare('DELETE FROM records WHERE collection = ?'),
+      readLog: this.db.prepare('SELECT id, data FROM logs WHERE name = ? ORDER BY id'),
+      append: this.db.prepare(`
+        INSERT INTO logs (name, id, data)
+        VALUES (?, COALESCE(?, (SELECT COALESCE(MAX(id), 0) + 1 FROM logs WHERE name = ?)), ?)
+        RETURNING id
+      `),
+      clearLog: this.db.prepare('DELETE FROM logs WHERE name = ?'),
+      readDocument: this.db.prepare('SELECT data FROM documents WHERE name = ?'),
+      writeDocument: this.db.prepare(`
+        INSERT INTO documents (name, data) VALUES (?, ?)
+        ON CONFLICT (name) DO UPDATE SET data = excluded.data
+      `)
+    };
+  }
+
+  /**
+   * Run an operation after every earlier one has settled
+   * The connection is shared, so reads must not see another
+   * operation's uncommitted transaction.
+   * @param {Function} operation - Async operation
+   * @returns {Promise<*>} Result of the operation
+   */
+  enqueue(operation) {
+    const result = this.queue.then(operation);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  describe() {
+    return this.file;
+  }
+
+  list(collection) {
+    return this.enqueue(() => new SqliteTransaction(this.statements, collection).list());
+  }
+
+  get(collection, id) {
+    return this.enqueue(() => new SqliteTransaction(this.statements, collection).get(id));
+  }
+
+  transaction(collection, work) {
+    return this.enqueue(async () => {
+      this.db.exec('BEGIN IMMEDIATE');
+      try {
+        const result = await work(new SqliteTransaction(this.statements, collection));
+        this.db.exec('COMMIT');
+        return result;
+      } catch (error) {
+        this.db.exec('ROLLBACK');
+        throw error;
+      }
+    });
+  }
+
+  readLog(name) {
+    return this.enqueue(async () => {
+      return this.statements.readLog.all(name).map(row => Object.assign({ id: row.id }, JSON.parse(row.data)));
+    });
+  }
+
+  append(name, entry) {
+    return this.enqueue(async () => {
+      const { id, ...fields } = entry;
+      const row = this.statements.append.get(name, id === undefined ? null : Number(id), name, JSON.stringify(fields));
+      return Object.assign({ id: row.id }, fields);
+    });
+  }
+
+  clearLog(name) {
+    return this.enqueue(async () => {
+      this.statements.clearLog.run(name);
+    });
+  }
+
+  readDocument(name, fallback) {
+    return this.enqueue(async () => {
+      const row = this.statements.readDocument.get(name);
+      return row ? JSON.parse(row.data) : fallback;
+    });
+  }
+
+  writeDocument(name, value) {
+    return this.enqueue(async () => {
+      this.statements.writeDocument.run(name, JSON.stringify(value));
+    });
+  }
+
+  updateDocument(name, fallback, update) {
+    return this.enqueue(async () => {
+      this.db.exec('BEGIN IMMEDIATE');
+      try {
+        const row = this.statements.readDocument.get(name);
+        const value = row ? JSON.parse(row.data) : fallback;
+        const result = await update(value);
+        this.statements.writeDocument.run(name, JSON.stringify(value));
+        this.db.exec('COMMIT');
+        return result;
+      } catch (error) {
+        this.db.exec('ROLLBACK');
+        throw error;
+      }
+    });
+  }
+
+  close() {
+    return this.enqueue(async () => {
+      this.db.close();
+    });
+  }
+}
+
+module.exports = SqliteStorage;
@@ -0,0 +1,175 @@
+/**
+ * IxMaps - SVG source editing
+ * Reads and rewrites the few parts of an SVG's source the tile and detail
+ * builds need (root size, viewBox, Inkscape layers and path tags) without
+ * parsing the whole file.
+ */
+
+/**
+ * Read the attributes of one start tag
+ * @param {String} tag - e.g. '<g id="layer1" inkscape:label="Rivers">'
+ * @returns {Object} Attribute values by name
+ */
+function readAttributes(tag) {
+  const attributes = {};
+  const pattern = /([\w:.-]+)\s*=\s*(["'])([\s\S]*?)\2/g;
+  let match;
+  while ((match = pattern.exec(tag)) !== null) {
+    attributes[match[1]] = match[3];
+  }
+  return attributes;
+}
+
+/**
+ * Escape a value for a double-quoted attribute
+ * @param {*} value - Attribute value
+ * @returns {String}
+ */
+function escapeAttribute(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+/**
+ * Set attributes on a start tag, replacing any with the same names
+ * @param {String} tag - Start tag
+ * @param {Object} values - Attribute values by name
+ * @returns {String} The new start tag
+ */
+function setAttributes(tag, values) {
+  let result = tag;
+  Object.keys(values).forEach(name => {
+    const escaped = name.replace(/[.:-]/g, '\\$&');
+    result = result.replace(new RegExp(`\\s${escaped}\\s*=\\s*(["'])[\\s\\S]*?\\1`), '');
+  });
+
+  const added = Object.keys(values).map(name => ` ${name}="${escapeAttribute(values[name])}"`).join('');
+  return result.replace(/\s*(\/?)>$/, `${added}$1>`);
+}
+
+/**
+ * Read the size, viewBox and top-level Inkscape layers of an SVG
+ * @param {String} text - SVG source
+ * @returns {Object} { viewBox: { x, y, width, height }, layers: [{ id, name, hidden, start, end }] }
+ *   where start and end delimit each layer's start tag in text
+ * @throws {Error} When the SVG has no root element or no size
+ */
+function readSvgInfo(text) {
+  const rootTag = /<svg\b[^>]*>/.exec(text);
+  if (!rootTag) {
+    throw new Error('Not an SVG: no <svg> element');
+  }
+
+  const root = readAttributes(rootTag[0]);
+  const values = (root.viewBox || '').trim().split(/[\s,]+/).map(Number);
+  let viewBox;
+  if (values.length === 4 && values.every(Number.isFinite) && values[2] > 0 && values[3] > 0) {
+    viewBox = { x: values[0], y: values[1], width: values[2], height: values[3] };
+  } else if (parseFloat(root.width) > 0 && parseFloat(root.height) > 0) {
+    viewBox = { x: 0, y: 0, width: parseFloat(root.width), height: parseFloat(root.height) };
+  } else {
+    throw new Error('The SVG has neither a viewBox nor a width and height');
+  }
+
+  // Walk the <g> tags, keeping the layers not nested in another layer
+  const layers = [];
+  const open = [];
+  const pattern = /<(\/?)g\b[^>]*?(\/?)>/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (match[1]) {
+      open.pop();
+      continue;
+    }
+
+    const attributes = readAttributes(match[0]);
+    const isLayer = attributes['inkscape:groupmode'] === 'layer';
+    if (isLayer && !open.includes(true)) {
+      layers.push({
+        id: attributes.id || null,
+        name: attributes['inkscape:label'] || attributes.id || `Layer ${layers.length + 1}`,
+        hidden: /display\s*:\s*none/.test(attributes.style || ''),
+        start: match.index,
+        end: match.index + match[0].length
+      });
+    }
+    if (!match[2]) {
+      open.push(isLayer);
+    }
+  }
+
+  return { viewBox, layers };
+}
+
+/**
+ * Show only some top-level layers
+ * @param {String} text - SVG source
+ * @param {Array} layers - Layers from readSvgInfo(text)
+ * @param {Function} keep - layer => Boolean, whether to draw the layer
+ * @returns {String} The new source
+ */
+function showLayers(text, layers, keep) {
+  let result = text;
+
+  // From the end, so the earlier offsets stay valid
+  layers.slice().reverse().forEach(layer => {
+    const tag = result.slice(layer.start, layer.end);
+    const style = (readAttributes(tag).style || '')
+      .split(';')
+      .filter(rule => rule.trim() && !/^\s*display\s*:/.test(rule))
+      .concat(keep(layer) ? 'display:inline' : 'display:none')
+      .join(';');
+    result = result.slice(0, layer.start) + setAttributes(tag, { style }) + result.slice(layer.end);
+  });
+
+  return result;
+}
+
+/**
+ * Make the SVG draw one region at a given pixel size
+ * @param {String} text - SVG source
+ * @param {Object} region - { x, y, width, height } in SVG units
+ * @param {Number} pixelWidth - Output width
+ * @param {Number} pixelHeight - Output height
+ * @returns {String} The new source
+ */
+function setViewport(text, region, pixelWidth, pixelHeight) {
+  return text.replace(/<svg\b[^>]*>/, tag => setAttributes(tag, {
+    width: pixelWidth,
+    height: pixelHeight,
+    viewBox: `${region.x} ${region.y} ${region.width} ${region.height}`,
+    preserveAspectRatio: 'none'
+  }));
+}
+
+/**
+ * Read the data of every <path>, in document order
+ * @param {String} text - SVG source
+ * @returns {Array} d attributes ("" where missing)
+ */
+function readPathData(text) {
+  return (text.match(/<path\b[^>]*>/g) || []).map(tag => readAttributes(tag).d || '');
+}
+
+/**
+ * Replace the data of every <path>
+ * Empty <path/> elements are removed.
+ * @param {String} text - SVG source
+ * @param {Array} paths - New d attributes, in the order of readPathData
+ * @returns {String} The new source
+ */
+function writePathData(text, paths) {
+  let index = 0;
+  return text.replace(/<path\b[^>]*>/g, tag => {
+    const d = paths[index++];
+    if (!d && tag.endsWith('/>')) return '';
+    return setAttributes(tag, { d });
+  });
+}
+
+module.exports = {
+  readSvgInfo,
+  showLayers,
+  setViewport,
+  readPathData,
+  writePathData
+};
@@ -0,0 +1,256 @@
+/**
+ * IxMaps - Raster tiles
+ * Pre-renders the master map into z/x/y tiles for the viewer's L.CRS.Simple
+ * map, one pyramid for the whole map ("composite"), one per top-level
+ * Inkscape layer plus one ("base") for what is outside every layer, and
+ * serves them with long cache headers.
+ * Building requires the optional sharp package.
+ *
+ * At zoom z one map unit is 2^z pixels. Columns start at the map's west
+ * edge; rows are counted from the top of the first row holding the map's
+ * north edge, so the map's south edge ends exactly on a tile boundary as in
+ * Leaflet's own grid (tile row = Leaflet row + rows at that zoom).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { readSvgInfo, showLayers, setViewport } = require('./svg-source');
+
+// Directory holding the pyramids (IXMAPS_TILES_DIR overrides)
+const tilesDir = process.env.IXMAPS_TILES_DIR || path.join(__dirname, '..', 'public', 'tiles');
+
+const TILE_SIZE = 256;
+const TILE_FORMATS = ['webp', 'png'];
+const MANIFEST_FILE = 'manifest.json';
+const COMPOSITE = 'composite';
+const BASE = 'base';
+
+// Tiles rendered per SVG render, across and down (16 -> 4096 x 4096 pixels)
+const BLOCK_TILES = 16;
+
+/**
+ * Tile grid of the map at one zoom level
+ * @param {Number} width - Map width in map units
+ * @param {Number} height - Map height in map units
+ * @param {Number} zoom - Zoom level
+ * @returns {Object} { scale, columns, rows, top } with top the blank pixels above the map
+ */
+function tileGrid(width, height, zoom) {
+  const scale = Math.pow(2, zoom);
+  const columns = Math.ceil(width * scale / TILE_SIZE);
+  const rows = Math.ceil(height * scale / TILE_SIZE);
+  return { scale, columns, rows, top: rows * TILE_SIZE - height * scale };
+}
+
+/**
+ * Normalize a layer name to the viewer's layer key, as main.js does
+ * e.g. "Altitude 1" -> "altitude-1"
+ * @param {String} name - inkscape:label or id
+ * @returns {String}
+ */
+function layerKey(name) {
+  return String(name).trim().toLowerCase().replace(/[\s_]+/g, '-');
+}
+
+/**
+ * Load sharp
+ * @returns {Function} sharp
+ */
+function loadSharp() {
+  try {
+    return require('sharp');
+  } catch (error) {
+    throw new Error('Building tiles needs the sharp package: npm install sharp');
+  }
+}
+
+/**
+ * Copy one tile out of a rendered block
+ * @param {Buffer} block - RGBA pixels
+ * @param {Number} blockWidth - Block width in pixels
+ * @param {Number} left - Tile's left edge in the block
+ * @param {Number} top - Tile's top edge in the block
+ * @returns {Buffer|null} RGBA pixels of the tile, or null when fully transparent
+ */
+function cutTile(block, blockWidth, left, top) {
+  const tile = Buffer.alloc(TILE_SIZE * TILE_SIZE * 4);
+  let empty = true;
+
+  for (let row = 0; row < TILE_SIZE; row++) {
+    const start = ((top + row) * blockWidth + left) * 4;
+    block.copy(tile, row * TILE_SIZE * 4, start, start + TILE_SIZE * 4);
+  }
+  for (let alpha = 3; alpha < tile.length && empty; alpha += 4) {
+    empty = tile[alpha] === 0;
+  }
+
+  return empty ? null : tile;
+}
+
+/**
+ * Render one pyramid
+ * Fully transparent tiles are not written; the viewer draws nothing there.
+ * @param {Object} options - { svg, viewBox, dir, format, minZoom, maxZoom, log }
+ * @returns {Promise<Number>} Tiles written
+ */
+async function renderPyramid(options) {
+  const sharp = loadSharp();
+  const { svg, viewBox, dir, format } = options;
+  let written = 0;
+
+  for (let zoom = options.minZoom; zoom <= options.maxZoom; zoom++) {
+    const grid = tileGrid(viewBox.width, viewBox.height, zoom);
+
+    for (let blockRow = 0; blockRow < grid.rows; blockRow += BLOCK_TILES) {
+      for (let blockColumn = 0; blockColumn < grid.columns; blockColumn += BLOCK_TILES) {
+        const across = Math.min(BLOCK_TILES, grid.columns - blockColumn);
+        const down = Math.min(BLOCK_TILES, grid.rows - blockRow);
+        const width = across * TILE_SIZE;
+        const height = down * TILE_SIZE;
+
+        // The block's area in SVG units; above the map it is blank
+        const region = {
+          x: viewBox.x + blockColumn * TILE_SIZE / grid.scale,
+          y: viewBox.y + (blockRow * TILE_SIZE - grid.top) / grid.scale,
+          width: width / grid.scale,
+          height: height / grid.scale
+        };
+
+        const block = await sharp(Buffer.from(setViewport(svg, region, width, height)), { limitInputPixels: false })
+          .resize(width, height, { fit: 'fill' })
+          .ensureAlpha()
+          .raw()
+          .toBuffer();
+
+        for (let y = 0; y < down; y++) {
+          for (let x = 0; x < across; x++) {
+            const tile = cutTile(block, width, x * TILE_SIZE, y * TILE_SIZE);
+            if (!tile) continue;
+
+            const column = blockColumn + x;
+            const file = path.join(dir, String(zoom), String(column), `${blockRow + y}.${format}`);
+            const image = sharp(tile, { raw: { width: TILE_SIZE, height: TILE_SIZE, channels: 4 } });
+
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            await (format === 'png' ? image.png() : image.webp({ quality: 90 })).toFile(file);
+            written++;
+          }
+        }
+      }
+    }
+
+    options.log(`  zoom ${zoom}: ${grid.columns} x ${grid.rows} tiles`);
+  }
+
+  return written;
+}
+
+/**
+ * Build the tile pyramids and manifest for an SVG
+ * Everything is built in a new directory that then replaces the old one,
+ * so the viewer never sees a half-built pyramid.
+ * @param {Object} options - { svgFile, outDir, format, minZoom, maxZoom, layers, log }
+ *   layers false builds only the composite
+ * @returns {Promise<Object>} The manifest
+ */
+async function buildTiles(options) {
+  const format = options.format || 'webp';
+  if (!TILE_FORMATS.includes(format)) {
+    throw new Error(`Tile format must be one of: ${TILE_FORMATS.join(', ')}`);
+  }
+  if (!Number.isInteger(options.minZoom) || !Number.isInteger(options.maxZoom) || options.minZoom > options.maxZoom) {
+    throw new Error('Zoom levels must be whole numbers with min-zoom <= max-zoom');
+  }
+
+  const log = options.log || (() => {});
+  const outDir = options.outDir || tilesDir;
+  const svg = await fs.promises.readFile(options.svgFile, 'utf8');
+  const info = readSvgInfo(svg);
+  // One pyramid per layer key; a second layer with the same key is left in the composite only
+  const layers = options.layers === false ? [] : info.layers.filter((layer, index) =>
+    info.layers.findIndex(other => layerKey(other.name) === layerKey(layer.name)) === index);
+
+  const buildDir = `${outDir}.building-${process.pid}`;
+  await fs.promises.rm(buildDir, { recursive: true, force: true });
+
+  try {
+    const render = async (key, source) => {
+      log(`Rendering ${key}`);
+      const count = await renderPyramid({
+        svg: source,
+        viewBox: info.viewBox,
+        dir: path.join(buildDir, key),
+        format: format,
+        minZoom: options.minZoom,
+        maxZoom: options.maxZoom,
+        log: log
+      });
+      log(`✅ ${key}: ${count} tiles`);
+      return count;
+    };
+
+    await render(COMPOSITE, svg);
+
+    // Each layer is drawn even when hidden in Inkscape; the viewer decides
+    let baseTiles = 0;
+    if (layers.length > 0) {
+      baseTiles = await render(BASE, showLayers(svg, info.layers, () => false));
+    }
+    for (const layer of layers) {
+      await render(layerKey(layer.name), showLayers(svg, info.layers, other => other === layer));
+    }
+
+    const manifest = {
+      version: Date.now().toString(36),
+      format: format,
+      tileSize: TILE_SIZE,
+      minZoom: options.minZoom,
+      maxZoom: options.maxZoom,
+      width: info.viewBox.width,
+      height: info.viewBox.height,
+      composite: COMPOSITE,
+      base: baseTiles > 0 ? BASE : null,
+      layers: layers.map(layer => ({ key: layerKey(layer.name), name: layer.name, hidden: layer.hidden }))
+    };
+    await fs.promises.writeFile(path.join(buildDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+
+    await fs.promises.rm(outDir, { recursive: true, force: true });
+    await fs.promises.rename(buildDir, outDir);
+    return manifest;
+  } catch (error) {
+    await fs.promises.rm(buildDir, { recursive: true, force: true });
+    throw error;
+  }
+}
+
+/**
+ * Serve the pyramids
+ * Tile URLs carry the build version, so tiles are cached for a year; the
+ * manifest is revalidated so a rebuild is picked up on the next visit.
+ * Blank tiles are never built, so a missing tile is a quiet 404.
+ * @returns {Array} Express middleware
+ */
+function serveTiles() {
+  return [
+    express.static(tilesDir, {
+      immutable: true,
+      maxAge: '1y',
+      setHeaders(res, file) {
+        if (path.basename(file) === MANIFEST_FILE) {
+          res.setHeader('Cache-Control', 'no-cache');
+        }
+      }
+    }),
+    (req, res) => res.status(404).end()
+  ];
+}
+
+module.exports = {
+  tilesDir,
+  TILE_SIZE,
+  TILE_FORMATS,
+  tileGrid,
+  buildTiles,
+  serveTiles
+};
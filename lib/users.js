@@ -0,0 +1,156 @@
+/**
+ * IxMaps - User store
+ * Accounts kept in the "users" store
+ */
+
+const { getStorage } = require('./storage');
+const { hashPassword } = require('./passwords');
+const { ROLES, roleOf } = require('./permissions');
+
+/**
+ * Load all user records, including password hashes
+ * @returns {Promise<Array>} Users
+ */
+function loadUsers() {
+  return getStorage().list('users');
+}
+
+/**
+ * Find a user by username (case-insensitive)
+ * @param {String} username - Username
+ * @returns {Promise<Object|null>} User record
+ */
+async function findUserByUsername(username) {
+  const wanted = String(username || '').trim().toLowerCase();
+  const users = await loadUsers();
+  return users.find(user => String(user.username).toLowerCase() === wanted) || null;
+}
+
+/**
+ * Find a user by id
+ * @param {String} id - User id
+ * @returns {Promise<Object|null>} User record
+ */
+function findUserById(id) {
+  return getStorage().get('users', id);
+}
+
+/**
+ * Change one user inside a storage transaction
+ * @param {String} username - Username (case-insensitive)
+ * @param {Function} change - (user) => void, changes the record in place
+ * @returns {Promise<Object>} The updated user
+ */
+function modifyUser(username, change) {
+  return getStorage().transaction('users', async users => {
+    const wanted = String(username || '').trim().toLowerCase();
+    const user = (await users.list()).find(u => String(u.username).toLowerCase() === wanted);
+
+    if (!user) {
+      throw new Error(`User "${username}" not found`);
+    }
+
+    change(user);
+    return users.put(user);
+  });
+}
+
+/**
+ * Set a user's password
+ * @param {String} username - Username
+ * @param {String} password - New plain text password
+ * @returns {Promise<Object>} The updated user
+ */
+async function setPassword(username, password) {
+  const passwordHash = await hashPassword(password);
+
+  return modifyUser(username, user => {
+    user.passwordHash = passwordHash;
+  });
+}
+
+/**
+ * Change a user's role
+ * @param {String} username - Username
+ * @param {String} role - One of viewer, contributor, moderator, admin
+ * @returns {Promise<Object>} The updated user
+ */
+async function setRole(username, role) {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+  }
+
+  return modifyUser(username, user => {
+    user.role = role;
+    user.isAdmin = role === 'admin';
+  });
+}
+
+/**
+ * Create a new user
+ * @param {String} username - Username
+ * @param {String} password - Plain text password
+ * @param {Object} [options] - { role }, defaults to contributor
+ * @returns {Promise<Object>} The new user
+ */
+async function createUser(username, password, options = {}) {
+  const name = String(username || '').trim();
+  if (!name) {
+    throw new Error('Username is required');
+  }
+
+  const role = options.role || 'contributor';
+  if (!ROLES.includes(role)) {
+    throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+  }
+
+  const passwordHash = await hashPassword(password);
+
+  return getStorage().transaction('users', async store => {
+    const users = await store.list();
+    if (users.some(u => String(u.username).toLowerCase() === name.toLowerCase())) {
+      throw new Error(`User "${name}" already exists`);
+    }
+
+    const prefix = role === 'admin' ? 'admin' : 'user';
+    const lastNumber = users.reduce((max, u) => {
+      const match = String(u.id).match(new RegExp(`^${prefix}-(\\d+)$`));
+      return match ? Math.max(max, Number(match[1])) : max;
+    }, 0);
+
+    const user = {
+      id: `${prefix}-${lastNumber + 1}`,
+      username: name,
+      role,
+      isAdmin: role === 'admin',
+      passwordHash
+    };
+
+    return store.put(user);
+  });
+}
+
+/**
+ * Fields of a user record that are safe to send to clients
+ * @param {Object} user - User record
+ * @returns {Object} { id, username, role, isAdmin }
+ */
+function publicUser(user) {
+  const role = roleOf(user);
+  return {
+    id: user.id,
+    username: user.username,
+    role,
+    isAdmin: role === 'admin'
+  };
+}
+
+module.exports = {
+  loadUsers,
+  findUserByUsername,
+  findUserById,
+  setPassword,
+  setRole,
+  createUser,
+  publicUser
+};
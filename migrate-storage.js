@@ -0,0 +1,88 @@
+// migrate-storage.js - Copy IxMaps data between storage adapters
+// Usage:
+//   node migrate-storage.js <from> <to> [--force]
+// Adapters: json (data/*.json), sqlite (data/ixmaps.sqlite or IXMAPS_SQLITE_FILE)
+// Example: node migrate-storage.js json sqlite
+// Then start the server with IXMAPS_STORAGE=sqlite
+
+const { STORAGE_TYPES, COLLECTIONS, LOGS, DOCUMENTS, createStorage } = require('./lib/storage');
+
+const args = process.argv.slice(2);
+const [from, to] = args.filter(arg => !arg.startsWith('--'));
+const force = args.includes('--force');
+
+// Print usage and exit
+function usage() {
+  console.log('Usage:');
+  console.log('  node migrate-storage.js <from> <to> [--force]');
+  console.log(`Adapters: ${STORAGE_TYPES.join(', ')}`);
+  console.log('--force replaces data already present in the destination');
+  process.exit(1);
+}
+
+async function run() {
+  if (!STORAGE_TYPES.includes(from) || !STORAGE_TYPES.includes(to) || from === to) usage();
+
+  const source = createStorage(from);
+  const target = createStorage(to);
+
+  console.log(`Copying ${source.describe()} (${from}) -> ${target.describe()} (${to})`);
+
+  try {
+    if (!force) {
+      for (const name of COLLECTIONS) {
+        if ((await target.list(name)).length > 0) {
+          throw new Error(`Destination already has ${name}; use --force to replace it`);
+        }
+      }
+      for (const name of LOGS) {
+        if ((await target.readLog(name)).length > 0) {
+          throw new Error(`Destination already has ${name}; use --force to replace it`);
+        }
+      }
+      for (const name of DOCUMENTS) {
+        if ((await target.readDocument(name, null)) !== null) {
+          throw new Error(`Destination already has ${name}; use --force to replace it`);
+        }
+      }
+    }
+
+    for (const name of COLLECTIONS) {
+      const records = await source.list(name);
+      await target.transaction(name, async store => {
+        await store.clear();
+        for (const record of records) {
+          await store.put(record);
+        }
+      });
+      console.log(`✅ ${name}: ${records.length} records`);
+    }
+
+    for (const name of LOGS) {
+      const entries = await source.readLog(name);
+      await target.clearLog(name);
+      for (const entry of entries) {
+        await target.append(name, entry);
+      }
+      console.log(`✅ ${name}: ${entries.length} entries`);
+    }
+
+    for (const name of DOCUMENTS) {
+      const value = await source.readDocument(name, null);
+      if (value === null) {
+        console.log(`✓ ${name}: nothing to copy`);
+        continue;
+      }
+      await target.writeDocument(name, value);
+      console.log(`✅ ${name}`);
+    }
+  } finally {
+    await source.close();
+    await target.close();
+  }
+}
+
+run().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
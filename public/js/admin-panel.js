@@ -8,14 +8,8 @@ class IxMapAdmin {
   constructor(options) {
     // Set the API base URL
     this.apiBaseUrl = options.apiBaseUrl || '/data/maps/ixmaps/api';
-    this.sessionId = localStorage.getItem('ixmaps-session-id') || 'dummy-session-id';
-    
-    // Use dummy user data - automatically "logged in"
-    this.currentUser = {
-      id: 'admin-1',
-      username: 'Admin',
-      isAdmin: true
-    };
+    this.sessionId = localStorage.getItem('ixmaps-session-id') || null;
+    this.currentUser = null;
     
     this.categoryLabels = options.categoryLabels || {
       'continent': 'Continent',
@@ -26,7 +20,77 @@ class IxMapAdmin {
       'water': 'Water Body'
     };
     
+    // Display names for fields shown in label history
+    this.historyFieldLabels = {
+      'name': 'Text',
+      'type': 'Category',
+      'x': 'X',
+      'y': 'Y',
+      'fontSize': 'Font Size',
+      'color': 'Color',
+      'minZoom': 'Min Zoom',
+      'maxZoom': 'Max Zoom',
+      'status': 'Status',
+      'notes': 'Notes'
+    };
+    
+    // Display names for audit log actions, also offered as filters
+    this.auditActionLabels = {
+      'auth.login': 'Log in',
+      'auth.logout': 'Log out',
+      'label.create': 'Create label',
+      'label.update': 'Edit label',
+      'label.approve': 'Approve label',
+      'label.reject': 'Reject label',
+      'label.reset': 'Reset to pending',
+      'label.revert': 'Revert label',
+      'label.bulk': 'Bulk moderation',
+      'label.delete': 'Move to trash',
+      'label.restore': 'Restore from trash',
+      'label.purge': 'Delete permanently',
+      'label.empty-trash': 'Empty trash',
+      'label.clear': 'Clear all labels',
+      'label.import': 'Import labels',
+      'layer.create': 'Add layer group',
+      'layer.update': 'Edit layer group',
+      'layer.reorder': 'Reorder layer groups',
+      'layer.delete': 'Delete layer group',
+      'legend.update': 'Edit legend',
+      'settings.overlays': 'Change overlays',
+      'settings.calibration': 'Change calibration'
+    };
+    
     this.labels = [];
+    
+    // Loaded page of the audit log
+    this.auditEntries = [];
+    this.auditTotal = 0;
+    
+    // Dry-run report of the data in the import modal, set once previewed
+    this.importPreview = null;
+    
+    // CSV reading and writing, and the headers the column mapping was built for
+    // (with the default calibration until the saved one is loaded)
+    this.labelCsv = new IxLabelCsv();
+    this.importCsvHeaders = null;
+    
+    // Deleted labels awaiting restore or purge
+    this.trash = [];
+    
+    // Label layer groups, in display order
+    this.layerGroups = [];
+    
+    // Legend being edited in the Legend tab, and the scheme shown
+    this.legendDraft = null;
+    this.legendScheme = null;
+    
+    // Ids of labels ticked for bulk moderation
+    this.selectedIds = new Set();
+    
+    // Live label updates
+    this.labelEvents = null;
+    this.labelEventsLost = false;
+    
     this.init();
   }
   
@@ -38,23 +102,235 @@ class IxMapAdmin {
       // Set up event listeners
       this.initEventListeners();
       
-      // Update header with admin info
-      const headerTitle = document.querySelector('header h1');
-      if (headerTitle) {
-        headerTitle.textContent = `IxMaps Admin Panel - ${this.currentUser.username}`;
+      // Convert CSV positions with the saved map calibration
+      this.labelCsv = new IxLabelCsv({ calibration: await IxCalibration.load(this.apiBaseUrl) });
+      
+      // Check authentication, asking for a login if needed
+      const authenticated = await this.checkAuth();
+      if (!authenticated) {
+        this.showLoginModal();
+        return;
       }
       
-      // Load labels
+      // Load labels and follow changes made elsewhere
       await this.loadLabels();
-      
-      // Show welcome notification
-      this.showNotification('Admin panel initialized with server API', 'info');
+      this.connectLabelEvents();
     } catch (error) {
       console.error('Error initializing admin panel:', error);
       this.showNotification('Error initializing admin panel', 'error');
     }
   }
   
+  /**
+   * Check authentication and admin privileges
+   * @returns {Boolean} True when an admin is logged in
+   */
+  async checkAuth() {
+    try {
+      const response = await fetch(`${this.apiBaseUrl}/auth/status`, {
+        headers: {
+          'X-Session-ID': this.sessionId || ''
+        }
+      });
+      
+      if (!response.ok) {
+        throw new Error(`API error: ${response.status}`);
+      }
+      
+      const data = await response.json();
+      
+      if (!data.authenticated) {
+        this.clearSession();
+        return false;
+      }
+      
+      if (!this.isModeratorRole(data.role)) {
+        this.showNotification('Moderator or admin privileges required', 'error');
+        return false;
+      }
+      
+      this.setCurrentUser({
+        id: data.userId,
+        username: data.username,
+        role: data.role,
+        isAdmin: data.isAdmin || false
+      });
+      
+      return true;
+    } catch (error) {
+      console.error('Authentication error:', error);
+      this.showNotification('Authentication check failed: ' + error.message, 'error');
+      return false;
+    }
+  }
+  
+  /**
+   * Check whether a role may use the admin panel
+   */
+  isModeratorRole(role) {
+    return role === 'moderator' || role === 'admin';
+  }
+  
+  /**
+   * Store the logged-in user and update the header
+   */
+  setCurrentUser(user) {
+    this.currentUser = user;
+    
+    const headerTitle = document.querySelector('header h1');
+    if (headerTitle) {
+      headerTitle.textContent = user
+        ? `IxMaps Admin Panel - ${user.username} (${user.role})`
+        : 'IxMaps Admin Panel';
+    }
+    
+    const logoutButton = document.getElementById('logout-button');
+    if (logoutButton) {
+      logoutButton.style.display = user ? 'inline-block' : 'none';
+    }
+    
+    // Bulk import, clearing and purging the trash are admin-only on the server
+    const isAdmin = Boolean(user && user.role === 'admin');
+    ['import-button', 'clear-all-button', 'empty-trash-button'].forEach(id => {
+      const button = document.getElementById(id);
+      if (button) {
+        button.style.display = isAdmin ? '' : 'none';
+      }
+    });
+    
+    // So are the layer groups, the legend and the audit log
+    ['layers', 'legend', 'audit'].forEach(tabId => {
+      const tab = document.querySelector(`.tab[data-tab="${tabId}"]`);
+      if (tab) {
+        tab.style.display = isAdmin ? '' : 'none';
+      }
+    });
+  }
+  
+  /**
+   * Read the error message from a failed API response
+   * @param {Response} response - Fetch response
+   * @returns {String} Message to show the user
+   */
+  async getErrorMessage(response) {
+    try {
+      const data = await response.json();
+      if (data && data.error) {
+        return data.error;
+      }
+    } catch (error) {
+      // Response body was not JSON
+    }
+    return `API error: ${response.status}`;
+  }
+  
+  /**
+   * Forget the stored session and current user
+   */
+  clearSession() {
+    this.sessionId = null;
+    localStorage.removeItem('ixmaps-session-id');
+    this.setCurrentUser(null);
+    this.disconnectLabelEvents();
+  }
+  
+  /**
+   * Show login modal
+   */
+  showLoginModal() {
+    const modal = document.getElementById('login-modal');
+    if (modal) {
+      modal.style.display = 'flex';
+      document.getElementById('login-username').focus();
+    }
+  }
+  
+  /**
+   * Log in with the credentials from the login modal
+   */
+  async login() {
+    try {
+      const username = document.getElementById('login-username').value;
+      const password = document.getElementById('login-password').value;
+      
+      if (!username || !password) {
+        this.showNotification('Username and password are required', 'warning');
+        return;
+      }
+      
+      this.showLoading(true);
+      
+      const response = await fetch(`${this.apiBaseUrl}/auth/login`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ username, password })
+      });
+      
+      const data = await response.json();
+      
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || 'Login failed');
+      }
+      
+      if (!this.isModeratorRole(data.user.role)) {
+        // Don't keep a session the admin panel can't use
+        await fetch(`${this.apiBaseUrl}/auth/logout`, {
+          method: 'POST',
+          headers: {
+            'X-Session-ID': data.sessionId
+          }
+        });
+        throw new Error('Moderator or admin privileges required');
+      }
+      
+      // Store session ID
+      this.sessionId = data.sessionId;
+      localStorage.setItem('ixmaps-session-id', this.sessionId);
+      this.setCurrentUser(data.user);
+      
+      // Hide modal and clear the password field
+      document.getElementById('login-modal').style.display = 'none';
+      document.getElementById('login-password').value = '';
+      
+      this.showNotification(`Welcome, ${data.user.username}!`, 'success');
+      
+      await this.loadLabels();
+      this.connectLabelEvents();
+    } catch (error) {
+      console.error('Login error:', error);
+      this.showNotification('Login failed: ' + error.message, 'error');
+    } finally {
+      this.showLoading(false);
+    }
+  }
+  
+  /**
+   * Log out and return to the login modal
+   */
+  async logout() {
+    try {
+      await fetch(`${this.apiBaseUrl}/auth/logout`, {
+        method: 'POST',
+        headers: {
+          'X-Session-ID': this.sessionId || ''
+        }
+      });
+    } catch (error) {
+      console.error('Logout error:', error);
+    }
+    
+    this.clearSession();
+    this.labels = [];
+    ['pending-labels', 'approved-labels', 'rejected-labels', 'all-labels'].forEach(id => {
+      this.renderLabels(id, []);
+    });
+    
+    this.showNotification('Logged out successfully', 'info');
+    this.showLoginModal();
+  }
+  
   /**
    * Initialize event listeners
    */
@@ -79,9 +355,133 @@ class IxMapAdmin {
         const tabContents = document.querySelectorAll('.tab-content');
         tabContents.forEach(content => content.classList.remove('active'));
         document.getElementById(`${tabId}-tab`).classList.add('active');
+        
+        // Selections apply to one tab at a time
+        this.clearSelection();
+        
+        // Trashed labels are restored or purged from their cards instead
+        const bulkActions = document.getElementById('bulk-actions');
+        if (bulkActions) {
+          bulkActions.style.display = ['trash', 'layers', 'legend', 'audit'].includes(tabId) ? 'none' : '';
+        }
+        
+        if (tabId === 'layers') {
+          this.loadLayerGroups();
+        } else if (tabId === 'legend' && !this.legendDraft) {
+          this.loadLegend();
+        } else if (tabId === 'audit') {
+          this.loadAuditLog();
+        }
+      });
+    });
+    
+    // Audit log filters
+    const auditAction = document.getElementById('audit-action');
+    if (auditAction) {
+      Object.entries(this.auditActionLabels).forEach(([action, label]) => {
+        const option = document.createElement('option');
+        option.value = action;
+        option.textContent = label;
+        auditAction.appendChild(option);
+      });
+    }
+    const auditFilters = document.getElementById('audit-filters');
+    if (auditFilters) {
+      auditFilters.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.loadAuditLog();
+      });
+    }
+    const auditMore = document.getElementById('audit-more');
+    if (auditMore) {
+      auditMore.addEventListener('click', () => this.loadAuditLog(true));
+    }
+    
+    // New layer group form
+    const layerAddTypes = document.getElementById('layer-add-types');
+    if (layerAddTypes) {
+      this.renderLayerTypeCheckboxes(layerAddTypes, 'layer-add', []);
+    }
+    const layerAddForm = document.getElementById('layer-add-form');
+    if (layerAddForm) {
+      layerAddForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.addLayerGroup();
+      });
+    }
+    
+    // Legend editor
+    const legendScheme = document.getElementById('legend-scheme');
+    if (legendScheme) {
+      legendScheme.addEventListener('change', () => {
+        this.legendScheme = legendScheme.value;
+        this.renderLegendEditor();
       });
+    }
+    const legendSchemeName = document.getElementById('legend-scheme-name');
+    if (legendSchemeName) {
+      legendSchemeName.addEventListener('input', () => {
+        this.legendDraft.schemes[this.legendScheme].name = legendSchemeName.value;
+      });
+    }
+    const legendDefault = document.getElementById('legend-default');
+    if (legendDefault) {
+      legendDefault.addEventListener('change', () => {
+        // A default is always needed, so it can only be moved to another scheme
+        legendDefault.checked = true;
+        this.legendDraft.defaultScheme = this.legendScheme;
+      });
+    }
+    const legendButtons = {
+      'legend-add-scheme': () => this.addLegendScheme(),
+      'legend-delete-scheme': () => this.deleteLegendScheme(),
+      'legend-add-section': () => this.addLegendSection(),
+      'legend-save': () => this.saveLegend()
+    };
+    Object.entries(legendButtons).forEach(([id, handler]) => {
+      const button = document.getElementById(id);
+      if (button) {
+        button.addEventListener('click', handler);
+      }
+    });
+    
+    // Empty trash button
+    const emptyTrashButton = document.getElementById('empty-trash-button');
+    if (emptyTrashButton) {
+      emptyTrashButton.addEventListener('click', () => {
+        if (confirm(`Permanently delete all ${this.trash.length} labels in the trash? This cannot be undone.`)) {
+          this.emptyTrash();
+        }
+      });
+    }
+    
+    // Bulk moderation
+    const selectAll = document.getElementById('bulk-select-all');
+    if (selectAll) {
+      selectAll.addEventListener('change', () => this.selectAllInTab(selectAll.checked));
+    }
+    ['approve', 'reject', 'reset', 'delete'].forEach(action => {
+      const button = document.getElementById(`bulk-${action}`);
+      if (button) {
+        button.addEventListener('click', () => this.bulkModerate(action));
+      }
     });
     
+    // Login form
+    const loginForm = document.getElementById('login-form');
+    if (loginForm) {
+      loginForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.login();
+      });
+    }
+    
+    // Logout button
+    const logoutButton = document.getElementById('logout-button');
+    if (logoutButton) {
+      logoutButton.addEventListener('click', () => this.logout());
+    }
+    
     // Modal close
     const closeModalButtons = document.querySelectorAll('.close-modal');
     closeModalButtons.forEach(button => {
@@ -98,11 +498,38 @@ class IxMapAdmin {
       const exportButton = document.createElement('button');
       exportButton.id = 'export-all-button';
       exportButton.className = 'btn';
-      exportButton.textContent = 'Export All Labels';
+      exportButton.textContent = 'Export JSON';
       exportButton.addEventListener('click', () => this.exportAllLabels());
       
       headerActions.appendChild(exportButton);
       
+      // Add CSV export button
+      const exportCsvButton = document.createElement('button');
+      exportCsvButton.id = 'export-csv-button';
+      exportCsvButton.className = 'btn';
+      exportCsvButton.textContent = 'Export CSV';
+      exportCsvButton.addEventListener('click', () => this.exportLabelsCsv());
+      
+      headerActions.appendChild(exportCsvButton);
+      
+      // Add GeoJSON export button
+      const exportGeoJsonButton = document.createElement('button');
+      exportGeoJsonButton.id = 'export-geojson-button';
+      exportGeoJsonButton.className = 'btn';
+      exportGeoJsonButton.textContent = 'Export GeoJSON';
+      exportGeoJsonButton.addEventListener('click', () => this.exportLabelsGeoJSON());
+      
+      headerActions.appendChild(exportGeoJsonButton);
+      
+      // Add KML export button
+      const exportKmlButton = document.createElement('button');
+      exportKmlButton.id = 'export-kml-button';
+      exportKmlButton.className = 'btn';
+      exportKmlButton.textContent = 'Export KML';
+      exportKmlButton.addEventListener('click', () => this.exportLabelsKml());
+      
+      headerActions.appendChild(exportKmlButton);
+      
       // Add import button
       const importButton = document.createElement('button');
       importButton.id = 'import-button';
@@ -123,7 +550,7 @@ class IxMapAdmin {
       clearAllButton.style.marginLeft = 'auto';
       
       clearAllButton.addEventListener('click', () => {
-        if (confirm('WARNING: This will delete ALL labels from the server. This cannot be undone. Continue?')) {
+        if (confirm('This will move ALL labels to the trash. Continue?')) {
           this.clearAllLabels();
         }
       });
@@ -153,17 +580,20 @@ class IxMapAdmin {
         </div>
         <div id="import-modal-body">
           <div class="form-group">
-            <label for="import-json">Paste JSON data or drag and drop file:</label>
-            <textarea id="import-json" rows="10" placeholder='Paste JSON here or drop a file...'></textarea>
+            <label for="import-json">Paste JSON, GeoJSON or CSV data, or drag and drop a file:</label>
+            <textarea id="import-json" rows="10" placeholder='Paste JSON, GeoJSON or CSV here, or rows copied from a spreadsheet...'></textarea>
           </div>
+          <div id="import-mapping"></div>
           <div class="form-group">
             <label>
-              <input type="checkbox" id="import-clear-existing" checked>
-              Clear existing labels before import
+              <input type="checkbox" id="import-clear-existing">
+              Move labels missing from the import to the trash
             </label>
           </div>
+          <div id="import-preview"></div>
           <div class="form-actions">
-            <button id="confirm-import" class="btn btn-primary">Import Data</button>
+            <button id="preview-import" class="btn">Preview Import</button>
+            <button id="confirm-import" class="btn btn-primary" disabled>Import Data</button>
             <button class="btn close-modal">Cancel</button>
           </div>
         </div>
@@ -179,6 +609,12 @@ class IxMapAdmin {
         importTextarea.addEventListener(eventName, preventDefaults, false);
       });
       
+      // Editing the data invalidates the preview
+      importTextarea.addEventListener('input', () => {
+        this.updateImportMapping();
+        this.resetImportPreview();
+      });
+      
       function preventDefaults(e) {
         e.preventDefault();
         e.stopPropagation();
@@ -202,13 +638,27 @@ class IxMapAdmin {
           const reader = new FileReader();
           reader.onload = (event) => {
             importTextarea.value = event.target.result;
+            this.updateImportMapping();
+            this.resetImportPreview();
           };
           reader.readAsText(file);
         }
       }, false);
     }
     
-    // Set up confirm import button
+    const clearExisting = document.getElementById('import-clear-existing');
+    if (clearExisting) {
+      clearExisting.addEventListener('change', () => this.resetImportPreview());
+    }
+    
+    // Set up preview and confirm import buttons
+    const previewImportButton = document.getElementById('preview-import');
+    if (previewImportButton) {
+      previewImportButton.addEventListener('click', () => {
+        this.previewImport();
+      });
+    }
+    
     const confirmImportButton = document.getElementById('confirm-import');
     if (confirmImportButton) {
       confirmImportButton.addEventListener('click', () => {
@@ -227,6 +677,37 @@ class IxMapAdmin {
         width: 90%;
         max-width: 800px;
       }
+      #import-modal-body {
+        padding: 20px;
+        max-height: 80vh;
+        overflow-y: auto;
+      }
+      .import-mapping-table {
+        border-collapse: collapse;
+        margin-bottom: 15px;
+        font-size: 14px;
+      }
+      .import-mapping-table td {
+        padding: 4px 10px 4px 0;
+      }
+      .import-preview-section {
+        margin-bottom: 15px;
+        font-size: 14px;
+      }
+      .import-preview-section h3 {
+        font-size: 15px;
+        margin: 0 0 5px;
+      }
+      .import-preview-section ul {
+        margin: 0;
+        padding-left: 18px;
+        max-height: 200px;
+        overflow-y: auto;
+      }
+      .import-preview-invalid h3,
+      .import-preview-deleted h3 {
+        color: #e74c3c;
+      }
     `;
     document.head.appendChild(style);
   }
@@ -237,99 +718,453 @@ class IxMapAdmin {
   showImportModal() {
     const modal = document.getElementById('import-modal');
     if (modal) {
+      this.resetImportPreview();
       modal.style.display = 'flex';
     }
   }
   
   /**
-   * Import labels from JSON
+   * Check whether the import text is CSV rather than JSON
+   * @param {String} text - Import text
+   * @returns {Boolean}
    */
-  async importLabelsFromJSON() {
-    try {
-      const jsonText = document.getElementById('import-json').value;
-      if (!jsonText.trim()) {
-        this.showNotification('Please provide JSON data to import', 'warning');
-        return;
-      }
-      
-      const importedLabels = JSON.parse(jsonText);
-      if (!Array.isArray(importedLabels)) {
-        this.showNotification('Invalid format. Expected an array of labels.', 'error');
-        return;
-      }
-      
-      const clearExisting = document.getElementById('import-clear-existing').checked;
-      
-      // Submit to API
-      const response = await fetch(`${this.apiBaseUrl}/labels/import`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Session-ID': this.sessionId || ''
-        },
-        body: JSON.stringify({
-          labels: importedLabels,
-          clearExisting: clearExisting
-        })
-      });
-      
-      if (!response.ok) {
-        throw new Error(`API error: ${response.status}`);
-      }
-      
-      // Close import modal
-      document.getElementById('import-modal').style.display = 'none';
-      
-      // Reload labels
-      await this.loadLabels();
-      
-      this.showNotification(`Successfully imported ${importedLabels.length} labels`, 'success');
-    } catch (error) {
-      console.error('Error importing labels:', error);
-      this.showNotification('Failed to import labels: ' + error.message, 'error');
-    }
+  isCsvImport(text) {
+    const start = text.trim().charAt(0);
+    return start !== '' && start !== '[' && start !== '{';
   }
   
   /**
-   * Export all labels
+   * Show the column mapping for CSV data in the import modal
+   * The mapping is only rebuilt when the CSV headers change, so edits to
+   * the rows keep the user's choices.
    */
-  exportAllLabels() {
-    try {
-      const allLabels = [...this.labels];
-      
-      if (allLabels.length === 0) {
-        this.showNotification('No labels to export', 'warning');
-        return;
-      }
-      
-      // Create JSON blob
-      const data = JSON.stringify(allLabels, null, 2);
-      const blob = new Blob([data], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
-      
-      // Create download link
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = `ixmaps-labels-export-${new Date().toISOString().slice(0, 10)}.json`;
-      document.body.appendChild(link);
-      link.click();
-      
-      // Clean up
-      document.body.removeChild(link);
-      URL.revokeObjectURL(url);
-      
-      this.showNotification('Labels exported successfully', 'success');
-    } catch (error) {
-      console.error('Error exporting labels:', error);
-      this.showNotification('Failed to export labels: ' + error.message, 'error');
+  updateImportMapping() {
+    const container = document.getElementById('import-mapping');
+    if (!container) return;
+    
+    const text = document.getElementById('import-json').value;
+    if (!this.isCsvImport(text)) {
+      container.innerHTML = '';
+      this.importCsvHeaders = null;
+      return;
+    }
+    
+    const { headers } = this.labelCsv.parse(text.split(/\r?\n/, 1)[0]);
+    if (this.importCsvHeaders && this.importCsvHeaders.join('\n') === headers.join('\n')) {
+      return;
     }
+    this.importCsvHeaders = headers;
+    
+    const mapping = this.labelCsv.guessMapping(headers);
+    const useLatLng = mapping.lat !== undefined && mapping.lng !== undefined &&
+      (mapping.x === undefined || mapping.y === undefined);
+    
+    const fields = [
+      ['name', 'Text'],
+      ['type', 'Category'],
+      ['x', 'X', 'svg'],
+      ['y', 'Y', 'svg'],
+      ['lat', 'Latitude (°)', 'latlng'],
+      ['lng', 'Longitude (°)', 'latlng'],
+      ['fontSize', 'Font Size'],
+      ['color', 'Color'],
+      ['minZoom', 'Min Zoom'],
+      ['maxZoom', 'Max Zoom'],
+      ['status', 'Status'],
+      ['notes', 'Notes'],
+      ['id', 'Id (to update existing labels)']
+    ];
+    
+    const options = selected => ['<option value="">(not imported)</option>'].concat(headers.map((header, index) => `
+      <option value="${index}" ${selected === index ? 'selected' : ''}>${this.escapeHtml(header || `Column ${index + 1}`)}</option>
+    `)).join('');
+    
+    container.innerHTML = `
+      <div class="form-group">
+        <label for="import-coordinates">Positions are given as:</label>
+        <select id="import-coordinates">
+          <option value="svg" ${useLatLng ? '' : 'selected'}>X/Y map pixels</option>
+          <option value="latlng" ${useLatLng ? 'selected' : ''}>Latitude/longitude in degrees</option>
+        </select>
+      </div>
+      <table class="import-mapping-table">
+        ${fields.map(([field, label, coordinates]) => `
+          <tr ${coordinates ? `data-coordinates="${coordinates}"` : ''}>
+            <td><label for="import-map-${field}">${label}</label></td>
+            <td><select id="import-map-${field}" data-field="${field}">${options(mapping[field])}</select></td>
+          </tr>
+        `).join('')}
+      </table>
+    `;
+    
+    const coordinates = document.getElementById('import-coordinates');
+    const showCoordinateRows = () => {
+      container.querySelectorAll('tr[data-coordinates]').forEach(row => {
+        row.style.display = row.dataset.coordinates === coordinates.value ? '' : 'none';
+      });
+    };
+    showCoordinateRows();
+    
+    coordinates.addEventListener('change', () => {
+      showCoordinateRows();
+      this.resetImportPreview();
+    });
+    container.querySelectorAll('select[data-field]').forEach(select => {
+      select.addEventListener('change', () => this.resetImportPreview());
+    });
   }
   
   /**
-   * Clear all labels
+   * Turn the CSV in the import modal into labels using the column mapping
+   * @param {String} text - CSV text
+   * @returns {Array|null} Labels, or null after telling the user what is wrong
    */
-  async clearAllLabels() {
-    try {
+  readImportCsv(text) {
+    const { rows } = this.labelCsv.parse(text);
+    const coordinates = document.getElementById('import-coordinates').value;
+    
+    const mapping = {};
+    document.querySelectorAll('#import-mapping select[data-field]').forEach(select => {
+      if (select.value !== '') {
+        mapping[select.dataset.field] = Number(select.value);
+      }
+    });
+    
+    const required = coordinates === 'latlng' ? ['name', 'type', 'lat', 'lng'] : ['name', 'type', 'x', 'y'];
+    const missing = required.filter(field => mapping[field] === undefined);
+    if (missing.length > 0) {
+      this.showNotification(`Choose the columns for: ${missing.join(', ')}`, 'warning');
+      return null;
+    }
+    
+    if (rows.length === 0) {
+      this.showNotification('The CSV has no rows below the header', 'warning');
+      return null;
+    }
+    
+    // Accept category display names such as "Water Body"
+    const types = {};
+    Object.entries(this.categoryLabels).forEach(([type, label]) => {
+      types[label.toLowerCase()] = type;
+    });
+    
+    return this.labelCsv.toLabels(rows, mapping, { coordinates, types });
+  }
+  
+  /**
+   * Read the labels pasted into the import modal
+   * @returns {Array|Object|null} Labels, a GeoJSON FeatureCollection, or null
+   *   after telling the user what is wrong
+   */
+  readImportData() {
+    const jsonText = document.getElementById('import-json').value;
+    if (!jsonText.trim()) {
+      this.showNotification('Please provide JSON, GeoJSON or CSV data to import', 'warning');
+      return null;
+    }
+    
+    if (this.isCsvImport(jsonText)) {
+      return this.readImportCsv(jsonText);
+    }
+    
+    let importedLabels;
+    try {
+      importedLabels = JSON.parse(jsonText);
+    } catch (error) {
+      this.showNotification('Invalid JSON: ' + error.message, 'error');
+      return null;
+    }
+    
+    if (!Array.isArray(importedLabels) && !this.isFeatureCollection(importedLabels)) {
+      this.showNotification('Invalid format. Expected an array of labels or a GeoJSON FeatureCollection.', 'error');
+      return null;
+    }
+    
+    return importedLabels;
+  }
+  
+  /**
+   * Check whether parsed import data is GeoJSON
+   * @param {*} data - Parsed JSON
+   * @returns {Boolean}
+   */
+  isFeatureCollection(data) {
+    return Boolean(data) && data.type === 'FeatureCollection';
+  }
+  
+  /**
+   * Post the import data to the server
+   * GeoJSON goes to its own endpoint, which converts the coordinates.
+   * @param {Array|Object} importedLabels - Labels or a FeatureCollection
+   * @param {Boolean} dryRun - Only report what would change
+   * @returns {Promise<Object>} Server response
+   */
+  async sendImport(importedLabels, dryRun) {
+    const geojson = this.isFeatureCollection(importedLabels);
+    const response = await fetch(`${this.apiBaseUrl}/labels/import${geojson ? '/geojson' : ''}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Session-ID': this.sessionId || ''
+      },
+      body: JSON.stringify({
+        [geojson ? 'geojson' : 'labels']: importedLabels,
+        clearExisting: document.getElementById('import-clear-existing').checked,
+        dryRun
+      })
+    });
+    
+    if (!response.ok) {
+      throw new Error(await this.getErrorMessage(response));
+    }
+    
+    return response.json();
+  }
+  
+  /**
+   * Forget the import preview, so the data has to be previewed again
+   */
+  resetImportPreview() {
+    this.importPreview = null;
+    
+    const preview = document.getElementById('import-preview');
+    if (preview) {
+      preview.innerHTML = '';
+    }
+    
+    const confirmButton = document.getElementById('confirm-import');
+    if (confirmButton) {
+      confirmButton.disabled = true;
+      confirmButton.textContent = 'Import Data';
+    }
+  }
+  
+  /**
+   * Ask the server what the import would change and show the result
+   */
+  async previewImport() {
+    const importedLabels = this.readImportData();
+    if (!importedLabels) return;
+    
+    try {
+      this.showLoading(true);
+      
+      const report = await this.sendImport(importedLabels, true);
+      this.renderImportPreview(report);
+      
+      const changes = report.added.length + report.updated.length + report.deleted.length;
+      const confirmButton = document.getElementById('confirm-import');
+      
+      // Only a clean batch that changes something can be imported
+      if (report.valid && changes > 0) {
+        this.importPreview = report;
+        confirmButton.disabled = false;
+        confirmButton.textContent = report.deleted.length > 0
+          ? `Import and Trash ${report.deleted.length} Labels`
+          : 'Import Data';
+      }
+    } catch (error) {
+      console.error('Error previewing import:', error);
+      this.showNotification('Failed to preview import: ' + error.message, 'error');
+    } finally {
+      this.showLoading(false);
+    }
+  }
+  
+  /**
+   * Show the dry-run report of an import
+   * @param {Object} report - Dry-run response from the import API
+   */
+  renderImportPreview(report) {
+    const preview = document.getElementById('import-preview');
+    if (!preview) return;
+    
+    const labelName = entry => `${this.escapeHtml(entry.name || 'Untitled')} <small>(${this.escapeHtml(this.categoryLabels[entry.type] || entry.type || 'Unknown')})</small>`;
+    
+    const section = (className, title, items) => items.length === 0 ? '' : `
+      <div class="import-preview-section ${className}">
+        <h3>${title} (${items.length})</h3>
+        <ul>${items.join('')}</ul>
+      </div>
+    `;
+    
+    const invalid = report.invalid.map(entry => `
+      <li>Record ${entry.index + 1}${entry.name ? ` "${this.escapeHtml(entry.name)}"` : ''}: ${this.escapeHtml(entry.errors.join('; '))}</li>
+    `);
+    
+    const updated = report.updated.map(entry => `
+      <li>${labelName(entry)}
+        <ul class="history-changes">
+          ${entry.changes.map(change => `
+            <li>${this.escapeHtml(this.historyFieldLabels[change.field] || change.field)}:
+              <span class="history-removed">${this.formatHistoryValue(change.field, change.from)}</span>
+              &rarr;
+              <span class="history-added">${this.formatHistoryValue(change.field, change.to)}</span>
+            </li>
+          `).join('')}
+        </ul>
+      </li>
+    `);
+    
+    preview.innerHTML = `
+      <p>
+        ${report.added.length} to add, ${report.updated.length} to update,
+        ${report.unchanged.length} unchanged, ${report.deleted.length} to move to the trash.
+        ${report.total} labels after import.
+      </p>
+      ${section('import-preview-invalid', 'Invalid records, fix these to import', invalid)}
+      ${section('import-preview-deleted', 'Moved to the trash', report.deleted.map(entry => `<li>${labelName(entry)}</li>`))}
+      ${section('import-preview-added', 'Added', report.added.map(entry => `<li>${labelName(entry)}</li>`))}
+      ${section('import-preview-updated', 'Updated', updated)}
+    `;
+  }
+  
+  /**
+   * Import the previewed labels
+   */
+  async importLabelsFromJSON() {
+    if (!this.importPreview) {
+      this.showNotification('Please preview the import first', 'warning');
+      return;
+    }
+    
+    const importedLabels = this.readImportData();
+    if (!importedLabels) return;
+    
+    try {
+      this.showLoading(true);
+      
+      const result = await this.sendImport(importedLabels, false);
+      
+      // Close import modal
+      document.getElementById('import-modal').style.display = 'none';
+      this.resetImportPreview();
+      
+      // Reload labels
+      await this.loadLabels();
+      
+      this.showNotification(`Imported labels: ${result.added} added, ${result.updated} updated, ${result.deleted} moved to the trash`, 'success');
+    } catch (error) {
+      console.error('Error importing labels:', error);
+      this.showNotification('Failed to import labels: ' + error.message, 'error');
+    } finally {
+      this.showLoading(false);
+    }
+  }
+  
+  /**
+   * Export all labels
+   */
+  exportAllLabels() {
+    try {
+      const allLabels = [...this.labels];
+      
+      if (allLabels.length === 0) {
+        this.showNotification('No labels to export', 'warning');
+        return;
+      }
+      
+      const data = JSON.stringify(allLabels, null, 2);
+      this.downloadFile(data, 'application/json', `ixmaps-labels-export-${new Date().toISOString().slice(0, 10)}.json`);
+      
+      this.showNotification('Labels exported successfully', 'success');
+    } catch (error) {
+      console.error('Error exporting labels:', error);
+      this.showNotification('Failed to export labels: ' + error.message, 'error');
+    }
+  }
+  
+  /**
+   * Export all labels as CSV for spreadsheets
+   * Positions are written both as map pixels and as lat/lng degrees.
+   */
+  exportLabelsCsv() {
+    try {
+      if (this.labels.length === 0) {
+        this.showNotification('No labels to export', 'warning');
+        return;
+      }
+      
+      const data = this.labelCsv.stringify(this.labels);
+      this.downloadFile(data, 'text/csv', `ixmaps-labels-export-${new Date().toISOString().slice(0, 10)}.csv`);
+      
+      this.showNotification('Labels exported successfully', 'success');
+    } catch (error) {
+      console.error('Error exporting labels:', error);
+      this.showNotification('Failed to export labels: ' + error.message, 'error');
+    }
+  }
+  
+  /**
+   * Export the labels as GeoJSON for GIS tools
+   * The server converts positions to the custom lat/lng system.
+   */
+  exportLabelsGeoJSON() {
+    return this.downloadExport('geojson', 'application/geo+json', 'geojson');
+  }
+  
+  /**
+   * Export the labels as KML for Google Earth-style tools
+   */
+  exportLabelsKml() {
+    return this.downloadExport('kml', 'application/vnd.google-earth.kml+xml', 'kml');
+  }
+  
+  /**
+   * Download a label export produced by the server
+   * @param {String} format - Export endpoint under /labels
+   * @param {String} type - MIME type
+   * @param {String} extension - File extension
+   */
+  async downloadExport(format, type, extension) {
+    try {
+      const response = await fetch(`${this.apiBaseUrl}/labels/${format}`, {
+        headers: {
+          'X-Session-ID': this.sessionId || ''
+        }
+      });
+      
+      if (!response.ok) {
+        throw new Error(await this.getErrorMessage(response));
+      }
+      
+      const data = await response.text();
+      this.downloadFile(data, type, `ixmaps-labels-export-${new Date().toISOString().slice(0, 10)}.${extension}`);
+      
+      this.showNotification('Labels exported successfully', 'success');
+    } catch (error) {
+      console.error('Error exporting labels:', error);
+      this.showNotification('Failed to export labels: ' + error.message, 'error');
+    }
+  }
+  
+  /**
+   * Offer text as a file download
+   * @param {String} data - File contents
+   * @param {String} type - MIME type
+   * @param {String} filename - Suggested file name
+   */
+  downloadFile(data, type, filename) {
+    const blob = new Blob([data], { type });
+    const url = URL.createObjectURL(blob);
+    
+    // Create download link
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    
+    // Clean up
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  }
+  
+  /**
+   * Move all labels to the trash
+   */
+  async clearAllLabels() {
+    try {
       // Call the API to clear all labels
       const response = await fetch(`${this.apiBaseUrl}/labels`, {
         method: 'DELETE',
@@ -339,13 +1174,13 @@ class IxMapAdmin {
       });
       
       if (!response.ok) {
-        throw new Error(`API error: ${response.status}`);
+        throw new Error(await this.getErrorMessage(response));
       }
       
       // Reload labels
       await this.loadLabels();
       
-      this.showNotification('All labels have been cleared from the server', 'success');
+      this.showNotification('All labels have been moved to the trash', 'success');
     } catch (error) {
       console.error('Error clearing labels:', error);
       this.showNotification('Failed to clear labels: ' + error.message, 'error');
@@ -366,12 +1201,27 @@ class IxMapAdmin {
         }
       });
       
+      if (response.status === 401) {
+        // Session expired
+        this.clearSession();
+        this.showLoading(false);
+        this.showLoginModal();
+        return;
+      }
+      
       if (!response.ok) {
-        throw new Error(`API error: ${response.status}`);
+        throw new Error(await this.getErrorMessage(response));
       }
       
       this.labels = await response.json();
       
+      // Forget selections of labels that are gone
+      const ids = new Set(this.labels.map(label => String(label.id)));
+      this.selectedIds.forEach(id => {
+        if (!ids.has(id)) this.selectedIds.delete(id);
+      });
+      this.updateBulkActions();
+      
       // Sort labels by status
       const approvedLabels = this.labels.filter(label => label.status === 'approved');
       const pendingLabels = this.labels.filter(label => label.status === 'pending');
@@ -383,76 +1233,158 @@ class IxMapAdmin {
       this.renderLabels('rejected-labels', rejectedLabels);
       this.renderLabels('all-labels', this.labels);
       
+      await this.loadTrash();
+      
       this.showNotification(`${this.labels.length} labels loaded from server`, 'info');
       this.showLoading(false);
     } catch (error) {
       console.error('Error loading labels:', error);
       this.showNotification('Failed to load labels: ' + error.message, 'error');
-      
-      // If API fails, create sample data for testing
-      if (this.labels.length === 0) {
-        this.createSampleLabels();
-      }
-      
+      this.renderLoadError(error.message);
       this.showLoading(false);
     }
   }
   
   /**
-   * Create sample labels if none exist
+   * Subscribe to the server's label event stream
    */
-  createSampleLabels() {
-    const sampleLabels = [
-      {
-        id: 'sample-1',
-        name: 'Example Continent',
-        type: 'continent',
-        minZoom: -3,
-        status: 'approved',
-        createdBy: 'admin-1',
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
-        x: 0.25,
-        y: 0.25,
-        notes: 'Sample approved label'
-      },
-      {
-        id: 'sample-2',
-        name: 'Example Country',
-        type: 'country',
-        minZoom: -1,
-        status: 'pending',
-        createdBy: 'user-1',
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
-        x: 0.5,
-        y: 0.5,
-        notes: 'Sample pending label'
-      },
-      {
-        id: 'sample-3',
-        name: 'Example City',
-        type: 'city',
-        minZoom: 1,
-        status: 'rejected',
-        createdBy: 'user-1',
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
-        x: 0.75,
-        y: 0.75,
-        notes: 'Sample rejected label'
+  connectLabelEvents() {
+    if (typeof EventSource === 'undefined') return;
+    
+    this.disconnectLabelEvents();
+    
+    // EventSource cannot send headers, so the session goes in the query
+    const query = this.sessionId ? `?sessionId=${encodeURIComponent(this.sessionId)}` : '';
+    this.labelEvents = new EventSource(`${this.apiBaseUrl}/labels/events${query}`);
+    
+    ['created', 'updated', 'status-changed', 'restored', 'deleted', 'purged', 'reset'].forEach(type => {
+      this.labelEvents.addEventListener(type, event => {
+        this.applyLabelEvent(type, JSON.parse(event.data));
+      });
+    });
+    
+    // Reload after a dropped connection to catch up on missed changes
+    this.labelEvents.addEventListener('error', () => {
+      this.labelEventsLost = true;
+    });
+    this.labelEvents.addEventListener('open', () => {
+      if (this.labelEventsLost) {
+        this.labelEventsLost = false;
+        this.loadLabels();
       }
-    ];
+    });
+  }
+  
+  /**
+   * Close the label event stream
+   */
+  disconnectLabelEvents() {
+    if (this.labelEvents) {
+      this.labelEvents.close();
+      this.labelEvents = null;
+    }
+  }
+  
+  /**
+   * Apply a label event to the tabs without reloading every label
+   */
+  applyLabelEvent(type, data) {
+    if (type === 'reset') {
+      this.loadLabels();
+      return;
+    }
+    
+    // Moving labels in or out of the trash changes the Trash tab
+    if (type === 'deleted' || type === 'restored' || type === 'purged') {
+      this.loadTrash();
+    }
+    if (type === 'purged') {
+      return;
+    }
+    
+    const id = String(type === 'deleted' ? data.id : data.label.id);
+    const statusContainers = {
+      'pending': 'pending-labels',
+      'approved': 'approved-labels',
+      'rejected': 'rejected-labels'
+    };
+    
+    this.labels = this.labels.filter(label => String(label.id) !== id);
+    Object.values(statusContainers).concat('all-labels').forEach(containerId => {
+      this.removeLabelCard(containerId, id);
+    });
+    
+    if (type === 'deleted') {
+      this.selectedIds.delete(id);
+      this.updateBulkActions();
+      return;
+    }
+    
+    const label = data.label;
+    this.labels.push(label);
+    this.insertLabelCard('all-labels', label);
+    if (statusContainers[label.status]) {
+      this.insertLabelCard(statusContainers[label.status], label);
+    }
+  }
+  
+  /**
+   * Remove a label's card from a container
+   */
+  removeLabelCard(containerId, labelId) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    
+    const card = container.querySelector(`.label-card[data-id="${CSS.escape(labelId)}"]`);
+    if (!card) return;
+    
+    card.remove();
+    if (!container.querySelector('.label-card')) {
+      this.renderLabels(containerId, []);
+    }
+  }
+  
+  /**
+   * Insert a label's card into a container, keeping newest first
+   */
+  insertLabelCard(containerId, label) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    
+    const emptyState = container.querySelector('.empty-state');
+    if (emptyState) {
+      emptyState.remove();
+    }
     
-    this.labels = sampleLabels;
+    const createdAt = label.createdAt ? new Date(label.createdAt).getTime() : 0;
+    const next = Array.from(container.querySelectorAll('.label-card')).find(card => {
+      const other = this.labels.find(item => String(item.id) === card.dataset.id);
+      return !other || (other.createdAt ? new Date(other.createdAt).getTime() : 0) < createdAt;
+    });
     
-    // Render labels
-    this.renderLabels('pending-labels', sampleLabels.filter(label => label.status === 'pending'));
-    this.renderLabels('approved-labels', sampleLabels.filter(label => label.status === 'approved'));
-    this.renderLabels('rejected-labels', sampleLabels.filter(label => label.status === 'rejected'));
-    this.renderLabels('all-labels', sampleLabels);
+    container.insertBefore(this.createLabelCard(label), next || null);
+  }
+  
+  /**
+   * Show that the labels could not be loaded in place of every label list
+   */
+  renderLoadError(message) {
+    this.labels = [];
     
-    this.showNotification('Using sample labels for testing', 'warning');
+    ['pending-labels', 'approved-labels', 'rejected-labels', 'all-labels'].forEach(containerId => {
+      const container = document.getElementById(containerId);
+      if (!container) return;
+      
+      container.innerHTML = `
+        <div class="empty-state">
+          <i>⚠️</i>
+          <p>Could not load labels.</p>
+        </div>
+      `;
+      const detail = document.createElement('p');
+      detail.textContent = message;
+      container.querySelector('.empty-state').appendChild(detail);
+    });
   }
   
   /**
@@ -503,6 +1435,15 @@ class IxMapAdmin {
     const labelName = document.createElement('h3');
     labelName.textContent = label.name || 'Untitled';
     
+    // Bulk selection checkbox
+    const select = document.createElement('input');
+    select.type = 'checkbox';
+    select.className = 'label-select';
+    select.dataset.id = label.id;
+    select.checked = this.selectedIds.has(String(label.id));
+    select.addEventListener('change', () => this.setLabelSelected(label.id, select.checked));
+    labelName.insertBefore(select, labelName.firstChild);
+    
     const category = document.createElement('span');
     category.className = 'label-category';
     category.textContent = this.categoryLabels[label.type] || label.type || 'Unknown';
@@ -595,7 +1536,7 @@ class IxMapAdmin {
     deleteButton.className = 'btn btn-danger';
     deleteButton.textContent = 'Delete';
     deleteButton.onclick = () => {
-      if (confirm(`Are you sure you want to delete the label "${label.name}"?`)) {
+      if (confirm(`Move the label "${label.name}" to the trash?`)) {
         this.deleteLabel(label.id);
       }
     };
@@ -613,54 +1554,238 @@ class IxMapAdmin {
       const historyToggle = document.createElement('button');
       historyToggle.className = 'history-toggle';
       historyToggle.textContent = 'Show History';
-      historyToggle.dataset.labelId = label.id;
       
       const historyContainer = document.createElement('div');
       historyContainer.className = 'label-history';
       historyContainer.id = `history-${label.id}`;
       
-      // Add history items
-      const sortedHistory = [...label.history].sort((a, b) => {
-        const dateA = a.updatedAt ? new Date(a.updatedAt).getTime() : 0;
-        const dateB = b.updatedAt ? new Date(b.updatedAt).getTime() : 0;
-        return dateB - dateA; // Newest first
+      // Toggle history visibility, fetching the latest revisions when opened
+      historyToggle.addEventListener('click', async () => {
+        if (historyContainer.style.display === 'block') {
+          historyContainer.style.display = 'none';
+          historyToggle.textContent = 'Show History';
+          return;
+        }
+        
+        historyContainer.style.display = 'block';
+        historyToggle.textContent = 'Hide History';
+        historyContainer.innerHTML = '<div class="history-date">Loading history...</div>';
+        
+        const history = await this.loadLabelHistory(label);
+        this.renderLabelHistory(historyContainer, label, history);
       });
       
-      sortedHistory.forEach(historyItem => {
-        const itemDate = historyItem.updatedAt ? new Date(historyItem.updatedAt).toLocaleString() : 'Unknown';
-        
-        const historyEntry = document.createElement('div');
-        historyEntry.className = 'history-item';
+      card.appendChild(historyToggle);
+      card.appendChild(historyContainer);
+    }
+    
+    return card;
+  }
+  
+  /**
+   * Load the revision history of a label
+   * Falls back to the history included in the label list
+   * @param {Object} label - Label
+   * @returns {Promise<Array>} Revisions
+   */
+  async loadLabelHistory(label) {
+    try {
+      const response = await fetch(`${this.apiBaseUrl}/labels/${label.id}/history`, {
+        headers: {
+          'X-Session-ID': this.sessionId
+        }
+      });
+      
+      if (!response.ok) {
+        throw new Error(await this.getErrorMessage(response));
+      }
+      
+      return await response.json();
+    } catch (error) {
+      console.error('Error loading label history:', error);
+      return label.history || [];
+    }
+  }
+  
+  /**
+   * Render a label's revisions, newest first
+   * @param {HTMLElement} container - History container
+   * @param {Object} label - Label
+   * @param {Array} history - Revisions
+   */
+  renderLabelHistory(container, label, history) {
+    container.innerHTML = '';
+    
+    if (history.length === 0) {
+      container.innerHTML = '<div class="history-date">No history recorded</div>';
+      return;
+    }
+    
+    const latestRevision = Math.max(...history.map(item => Number(item.revision) || 0));
+    const sortedHistory = [...history].sort((a, b) => {
+      if (a.revision !== undefined && b.revision !== undefined) {
+        return b.revision - a.revision; // Newest first
+      }
+      const dateA = a.updatedAt ? new Date(a.updatedAt).getTime() : 0;
+      const dateB = b.updatedAt ? new Date(b.updatedAt).getTime() : 0;
+      return dateB - dateA;
+    });
+    
+    sortedHistory.forEach(historyItem => {
+      const itemDate = historyItem.updatedAt ? new Date(historyItem.updatedAt).toLocaleString() : 'Unknown';
+      
+      const historyEntry = document.createElement('div');
+      historyEntry.className = 'history-item';
+      
+      if (historyItem.revision === undefined) {
+        // Entry written before revisions were recorded
         historyEntry.innerHTML = `
           <div class="history-date">${itemDate}</div>
           <div>
-            <strong>Status:</strong> ${historyItem.status || 'Unknown'}<br>
-            <strong>Text:</strong> ${historyItem.name || 'Unknown'}<br>
-            <strong>Category:</strong> ${this.categoryLabels[historyItem.type] || historyItem.type || 'Unknown'}<br>
-            ${historyItem.notes ? `<strong>Notes:</strong> ${historyItem.notes}<br>` : ''}
+            <strong>Status:</strong> ${this.escapeHtml(historyItem.status || 'Unknown')}<br>
+            <strong>Text:</strong> ${this.escapeHtml(historyItem.name || 'Unknown')}<br>
+            <strong>Category:</strong> ${this.escapeHtml(this.categoryLabels[historyItem.type] || historyItem.type || 'Unknown')}<br>
+            ${historyItem.notes ? `<strong>Notes:</strong> ${this.escapeHtml(historyItem.notes)}<br>` : ''}
           </div>
         `;
-        
-        historyContainer.appendChild(historyEntry);
-      });
+        container.appendChild(historyEntry);
+        return;
+      }
       
-      // Toggle history visibility
-      historyToggle.addEventListener('click', function() {
-        const historyDiv = document.getElementById(`history-${this.dataset.labelId}`);
-        if (historyDiv.style.display === 'block') {
-          historyDiv.style.display = 'none';
-          this.textContent = 'Show History';
-        } else {
-          historyDiv.style.display = 'block';
-          this.textContent = 'Hide History';
-        }
-      });
+      // Creations and baselines list the full state, updates list what changed;
+      // moving to and from the trash changes no field
+      const trashMove = historyItem.action === 'delete' || historyItem.action === 'restore';
+      const rows = historyItem.changes && historyItem.changes.length > 0
+        ? historyItem.changes.map(change => `
+            <li>
+              <strong>${this.historyFieldLabels[change.field] || change.field}:</strong>
+              <span class="history-removed">${this.formatHistoryValue(change.field, change.from)}</span>
+              &rarr;
+              <span class="history-added">${this.formatHistoryValue(change.field, change.to)}</span>
+            </li>
+          `)
+        : trashMove ? [] : Object.keys(historyItem.snapshot || {}).map(field => `
+            <li>
+              <strong>${this.historyFieldLabels[field] || field}:</strong>
+              ${this.formatHistoryValue(field, historyItem.snapshot[field])}
+            </li>
+          `);
+      
+      const author = historyItem.updatedByName ? ` by ${this.escapeHtml(historyItem.updatedByName)}` : '';
+      
+      historyEntry.innerHTML = `
+        <div class="history-date">${itemDate}</div>
+        <div class="history-details">
+          <div><strong>Revision ${historyItem.revision}</strong> &ndash; ${this.describeHistoryAction(historyItem)}${author}</div>
+          <ul class="history-changes">${rows.join('')}</ul>
+        </div>
+      `;
       
-      card.appendChild(historyToggle);
-      card.appendChild(historyContainer);
+      if (historyItem.revision !== latestRevision && historyItem.snapshot) {
+        const revertButton = document.createElement('button');
+        revertButton.className = 'btn';
+        revertButton.textContent = 'Revert to this revision';
+        revertButton.onclick = () => this.revertLabel(label, historyItem.revision);
+        historyEntry.querySelector('.history-details').appendChild(revertButton);
+      }
+      
+      container.appendChild(historyEntry);
+    });
+  }
+  
+  /**
+   * Describe the action recorded in a revision
+   * @param {Object} historyItem - Revision
+   * @returns {String} Description
+   */
+  describeHistoryAction(historyItem) {
+    switch (historyItem.action) {
+      case 'create':
+        return 'Created';
+      case 'baseline':
+        return 'State before history was recorded';
+      case 'revert':
+        return `Reverted to revision ${historyItem.revertedTo}`;
+      case 'import':
+        return 'Imported';
+      case 'delete':
+        return 'Moved to the trash';
+      case 'restore':
+        return 'Restored from the trash';
+      default:
+        return 'Updated';
+    }
+  }
+  
+  /**
+   * Format a field value for the history view
+   * @param {String} field - Label field
+   * @param {*} value - Field value
+   * @returns {String} Escaped display value
+   */
+  formatHistoryValue(field, value) {
+    if (value === null || value === undefined || value === '') {
+      return '<em>empty</em>';
+    }
+    if (field === 'type') {
+      return this.escapeHtml(this.categoryLabels[value] || value);
+    }
+    if (typeof value === 'number' && (field === 'x' || field === 'y')) {
+      return value.toFixed(2);
+    }
+    return this.escapeHtml(value);
+  }
+  
+  /**
+   * Escape text for use in HTML markup
+   * @param {*} value - Value to escape
+   * @returns {String} Escaped text
+   */
+  escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+  
+  /**
+   * Revert a label to an earlier revision
+   * @param {Object} label - Label
+   * @param {Number} revision - Revision number to restore
+   */
+  async revertLabel(label, revision) {
+    if (!confirm(`Revert "${label.name}" to revision ${revision}?`)) {
+      return;
     }
     
-    return card;
+    try {
+      const response = await fetch(`${this.apiBaseUrl}/labels/${label.id}/revert`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Session-ID': this.sessionId
+        },
+        body: JSON.stringify({ revision, version: label.version })
+      });
+      
+      if (response.status === 409) {
+        await this.loadLabels();
+        this.showNotification('The label was changed by someone else. Check its history and try again.', 'warning');
+        return;
+      }
+      
+      if (!response.ok) {
+        throw new Error(await this.getErrorMessage(response));
+      }
+      
+      await this.loadLabels();
+      this.showNotification(`Label reverted to revision ${revision}`, 'success');
+    } catch (error) {
+      console.error('Error reverting label:', error);
+      this.showNotification(`Failed to revert label: ${error.message}`, 'error');
+    }
   }
   
   /**
@@ -744,23 +1869,15 @@ class IxMapAdmin {
         notes: notes || label.notes
       };
       
-      // Call API to update the label
-      const response = await fetch(`${this.apiBaseUrl}/labels/${labelId}`, {
-        method: 'PUT',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Session-ID': this.sessionId || ''
-        },
-        body: JSON.stringify(updateData)
-      });
-      
-      if (!response.ok) {
-        throw new Error(`API error: ${response.status}`);
-      }
+      const saved = await this.saveLabelChanges(label, updateData);
       
       // Close modal
       document.getElementById('action-modal').style.display = 'none';
       
+      if (!saved) {
+        return;
+      }
+      
       // Reload labels
       await this.loadLabels();
       
@@ -774,6 +1891,258 @@ class IxMapAdmin {
     }
   }
   
+  /**
+   * Tick or untick a label for bulk moderation
+   * The same label can have a card in two tabs, so both checkboxes follow.
+   */
+  setLabelSelected(labelId, selected) {
+    const id = String(labelId);
+    if (selected) {
+      this.selectedIds.add(id);
+    } else {
+      this.selectedIds.delete(id);
+    }
+    
+    document.querySelectorAll(`.label-select[data-id="${CSS.escape(id)}"]`).forEach(checkbox => {
+      checkbox.checked = selected;
+    });
+    this.updateBulkActions();
+  }
+  
+  /**
+   * Tick or untick every label in the active tab
+   */
+  selectAllInTab(selected) {
+    const activeTab = document.querySelector('.tab-content.active');
+    if (!activeTab) return;
+    
+    activeTab.querySelectorAll('.label-select').forEach(checkbox => {
+      this.setLabelSelected(checkbox.dataset.id, selected);
+    });
+  }
+  
+  /**
+   * Untick every label
+   */
+  clearSelection() {
+    Array.from(this.selectedIds).forEach(id => this.setLabelSelected(id, false));
+    this.updateBulkActions();
+  }
+  
+  /**
+   * Refresh the bulk toolbar for the current selection
+   */
+  updateBulkActions() {
+    const count = this.selectedIds.size;
+    
+    const countLabel = document.getElementById('bulk-count');
+    if (countLabel) {
+      countLabel.textContent = `${count} selected`;
+    }
+    
+    ['approve', 'reject', 'reset', 'delete'].forEach(action => {
+      const button = document.getElementById(`bulk-${action}`);
+      if (button) {
+        button.disabled = count === 0;
+      }
+    });
+    
+    const selectAll = document.getElementById('bulk-select-all');
+    const activeTab = document.querySelector('.tab-content.active');
+    if (selectAll && activeTab) {
+      const checkboxes = Array.from(activeTab.querySelectorAll('.label-select'));
+      selectAll.checked = checkboxes.length > 0 && checkboxes.every(checkbox => checkbox.checked);
+    }
+  }
+  
+  /**
+   * Approve, reject, reset or delete every selected label in one request
+   * Nothing is changed if any label fails; the user may then apply the
+   * action to the labels that can be changed.
+   * @param {String} action - approve, reject, reset or delete
+   * @param {Array} [ids] - Labels to change, defaults to the selection
+   */
+  async bulkModerate(action, ids = Array.from(this.selectedIds)) {
+    if (ids.length === 0) return;
+    
+    const notes = document.getElementById('bulk-notes').value.trim();
+    const pastTense = {
+      approve: 'approved',
+      reject: 'rejected',
+      reset: 'reset to pending',
+      delete: 'moved to the trash'
+    };
+    
+    if (action === 'reject' && !notes) {
+      this.showNotification('Please provide a reason for rejection', 'warning');
+      return;
+    }
+    
+    if (action === 'delete' && !confirm(`Move ${ids.length} labels to the trash?`)) {
+      return;
+    }
+    
+    // Guard against labels changed since they were loaded
+    const versions = {};
+    ids.forEach(id => {
+      const label = this.labels.find(l => String(l.id) === id);
+      if (label && label.version !== undefined) {
+        versions[id] = label.version;
+      }
+    });
+    
+    try {
+      this.showLoading(true);
+      
+      const response = await fetch(`${this.apiBaseUrl}/labels/bulk`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Session-ID': this.sessionId || ''
+        },
+        body: JSON.stringify({
+          action,
+          ids,
+          notes: notes || undefined,
+          versions
+        })
+      });
+      
+      if (response.status === 409) {
+        const data = await response.json();
+        const failures = data.results.filter(result => !result.success);
+        const remaining = data.results.filter(result => result.success).map(result => result.id);
+        const details = failures.map(result => {
+          const label = this.labels.find(l => String(l.id) === result.id);
+          return `- ${label ? label.name : result.id}: ${result.error}`;
+        }).join('\n');
+        
+        this.showLoading(false);
+        
+        if (remaining.length > 0 &&
+            confirm(`${failures.length} labels could not be ${pastTense[action]}:\n${details}\n\nApply to the other ${remaining.length}?`)) {
+          await this.bulkModerate(action, remaining);
+        } else {
+          this.showNotification(`${failures.length} labels could not be ${pastTense[action]}; nothing was changed`, 'warning');
+          await this.loadLabels();
+        }
+        return;
+      }
+      
+      if (!response.ok) {
+        throw new Error(await this.getErrorMessage(response));
+      }
+      
+      this.clearSelection();
+      document.getElementById('bulk-notes').value = '';
+      await this.loadLabels();
+      
+      this.showNotification(`${ids.length} labels ${pastTense[action]}`, 'success');
+    } catch (error) {
+      console.error(`Error with bulk ${action}:`, error);
+      this.showNotification(`Bulk ${action} failed: ${error.message}`, 'error');
+    } finally {
+      this.showLoading(false);
+    }
+  }
+  
+  /**
+   * Save changes made against the version of a label this panel last saw
+   * @param {Object} label - Label as loaded
+   * @param {Object} updateData - Fields to change
+   * @returns {Promise<Boolean>} False when the label changed meanwhile and
+   *   the merge modal was shown instead
+   */
+  async saveLabelChanges(label, updateData) {
+    const response = await fetch(`${this.apiBaseUrl}/labels/${label.id}`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Session-ID': this.sessionId || ''
+      },
+      body: JSON.stringify(Object.assign({}, updateData, { version: label.version }))
+    });
+    
+    if (response.status === 409) {
+      const conflict = await response.json();
+      this.showMergeModal(label, updateData, conflict.current);
+      return false;
+    }
+    
+    if (!response.ok) {
+      throw new Error(await this.getErrorMessage(response));
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Let the user merge their change with the server's current copy
+   * Fields both sides changed are offered as a choice, defaulting to the
+   * user's change; the rest keep whichever side changed them.
+   * @param {Object} original - Label the change was made against
+   * @param {Object} updateData - The user's change
+   * @param {Object} current - Label as currently stored
+   */
+  showMergeModal(original, updateData, current) {
+    const merged = {};
+    const rows = document.getElementById('merge-fields');
+    rows.innerHTML = '';
+    
+    Object.keys(updateData).forEach(field => {
+      const mine = updateData[field];
+      const theirs = current[field];
+      const iChanged = mine !== original[field];
+      merged[field] = iChanged ? mine : theirs;
+      
+      if (mine === theirs || !iChanged || theirs === original[field]) return;
+      
+      const row = document.createElement('tr');
+      row.innerHTML = `
+        <td>${this.historyFieldLabels[field] || field}</td>
+        <td><label><input type="radio" name="merge-${field}" value="mine" checked> ${this.formatHistoryValue(field, mine)}</label></td>
+        <td><label><input type="radio" name="merge-${field}" value="theirs"> ${this.formatHistoryValue(field, theirs)}</label></td>
+      `;
+      
+      row.querySelectorAll('input').forEach(input => {
+        input.addEventListener('change', () => {
+          merged[field] = input.value === 'mine' ? mine : theirs;
+        });
+      });
+      
+      rows.appendChild(row);
+    });
+    
+    if (!rows.children.length) {
+      rows.innerHTML = '<tr><td colspan="3">Your change does not conflict with the other one.</td></tr>';
+    }
+    
+    const modal = document.getElementById('merge-modal');
+    modal.style.display = 'flex';
+    
+    document.getElementById('merge-save').onclick = async () => {
+      modal.style.display = 'none';
+      try {
+        this.showLoading(true);
+        if (await this.saveLabelChanges(current, merged)) {
+          await this.loadLabels();
+          this.showNotification('Merged changes saved', 'success');
+        }
+      } catch (error) {
+        console.error('Error saving merged label:', error);
+        this.showNotification(`Failed to save label: ${error.message}`, 'error');
+      } finally {
+        this.showLoading(false);
+      }
+    };
+    
+    document.getElementById('merge-discard').onclick = async () => {
+      modal.style.display = 'none';
+      await this.loadLabels();
+      this.showNotification('Kept the current version of the label', 'info');
+    };
+  }
+  
   /**
    * Reset a label status to pending
    */
@@ -794,18 +2163,8 @@ class IxMapAdmin {
         notes: 'Reset to pending by administrator'
       };
       
-      // Call API to update the label
-      const response = await fetch(`${this.apiBaseUrl}/labels/${labelId}`, {
-        method: 'PUT',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Session-ID': this.sessionId || ''
-        },
-        body: JSON.stringify(updateData)
-      });
-      
-      if (!response.ok) {
-        throw new Error(`API error: ${response.status}`);
+      if (!await this.saveLabelChanges(label, updateData)) {
+        return;
       }
       
       // Reload labels
@@ -822,7 +2181,7 @@ class IxMapAdmin {
   }
   
   /**
-   * Delete a label
+   * Move a label to the trash
    */
   async deleteLabel(labelId) {
     try {
@@ -837,7 +2196,7 @@ class IxMapAdmin {
       });
       
       if (!response.ok) {
-        throw new Error(`API error: ${response.status}`);
+        throw new Error(await this.getErrorMessage(response));
       }
       
       // Remove from local collection
@@ -849,8 +2208,10 @@ class IxMapAdmin {
         card.remove();
       });
       
+      await this.loadTrash();
+      
       // Show success notification
-      this.showNotification('Label deleted successfully', 'success');
+      this.showNotification('Label moved to the trash', 'success');
     } catch (error) {
       console.error('Error deleting label:', error);
       this.showNotification('Failed to delete label: ' + error.message, 'error');
@@ -859,6 +2220,820 @@ class IxMapAdmin {
     }
   }
   
+  /**
+   * Load the labels in the trash and render the Trash tab
+   */
+  async loadTrash() {
+    try {
+      const response = await fetch(`${this.apiBaseUrl}/labels/trash`, {
+        headers: {
+          'X-Session-ID': this.sessionId || ''
+        }
+      });
+      
+      if (!response.ok) {
+        throw new Error(await this.getErrorMessage(response));
+      }
+      
+      this.trash = await response.json();
+      this.renderTrash();
+    } catch (error) {
+      console.error('Error loading trash:', error);
+      this.showNotification('Failed to load trash: ' + error.message, 'error');
+    }
+  }
+  
+  /**
+   * Render the Trash tab, most recently deleted first
+   */
+  renderTrash() {
+    const container = document.getElementById('trash-labels');
+    if (!container) return;
+    
+    container.innerHTML = '';
+    
+    const emptyTrashButton = document.getElementById('empty-trash-button');
+    if (emptyTrashButton) {
+      emptyTrashButton.disabled = this.trash.length === 0;
+    }
+    
+    if (this.trash.length === 0) {
+      container.innerHTML = `
+        <div class="empty-state">
+          <i>🗑️</i>
+          <p>The trash is empty.</p>
+        </div>
+      `;
+      return;
+    }
+    
+    this.trash.forEach(label => {
+      container.appendChild(this.createTrashCard(label));
+    });
+  }
+  
+  /**
+   * Create a card for a label in the trash
+   * @param {Object} label - Trashed label, with deletedAt, deletedByName and purgeAt
+   * @returns {HTMLElement} Card
+   */
+  createTrashCard(label) {
+    const card = document.createElement('div');
+    card.className = 'label-card status-trashed';
+    card.dataset.id = label.id;
+    
+    const header = document.createElement('div');
+    header.className = 'label-card-header';
+    
+    const labelName = document.createElement('h3');
+    labelName.textContent = label.name || 'Untitled';
+    
+    const category = document.createElement('span');
+    category.className = 'label-category';
+    category.textContent = this.categoryLabels[label.type] || label.type || 'Unknown';
+    
+    header.appendChild(labelName);
+    header.appendChild(category);
+    
+    const content = document.createElement('div');
+    content.className = 'label-content';
+    
+    const deletedDate = label.deletedAt ? new Date(label.deletedAt).toLocaleString() : 'Unknown';
+    const purgeDate = label.purgeAt ? new Date(label.purgeAt).toLocaleString() : 'Never';
+    
+    content.innerHTML = `
+      <div class="label-info">
+        <div class="label-info-item">
+          <div class="label-info-label">Status:</div>
+          <div>${this.escapeHtml(label.status || 'pending')}</div>
+        </div>
+        <div class="label-info-item">
+          <div class="label-info-label">Deleted:</div>
+          <div>${deletedDate}</div>
+        </div>
+        <div class="label-info-item">
+          <div class="label-info-label">Deleted by:</div>
+          <div>${this.escapeHtml(label.deletedByName || 'Unknown')}</div>
+        </div>
+        <div class="label-info-item">
+          <div class="label-info-label">Purged on:</div>
+          <div>${purgeDate}</div>
+        </div>
+      </div>
+    `;
+    
+    const actions = document.createElement('div');
+    actions.className = 'label-actions';
+    
+    const restoreButton = document.createElement('button');
+    restoreButton.className = 'btn btn-primary';
+    restoreButton.textContent = 'Restore';
+    restoreButton.onclick = () => this.restoreLabel(label.id);
+    actions.appendChild(restoreButton);
+    
+    // Only admins may delete for good
+    if (this.currentUser && this.currentUser.role === 'admin') {
+      const purgeButton = document.createElement('button');
+      purgeButton.className = 'btn btn-danger';
+      purgeButton.textContent = 'Delete Permanently';
+      purgeButton.onclick = () => {
+        if (confirm(`Permanently delete the label "${label.name}"? This cannot be undone.`)) {
+          this.purgeLabel(label.id);
+        }
+      };
+      actions.appendChild(purgeButton);
+    }
+    
+    content.appendChild(actions);
+    
+    card.appendChild(header);
+    card.appendChild(content);
+    
+    return card;
+  }
+  
+  /**
+   * Move a label out of the trash
+   */
+  async restoreLabel(labelId) {
+    try {
+      this.showLoading(true);
+      
+      const response = await fetch(`${this.apiBaseUrl}/labels/trash/${labelId}/restore`, {
+        method: 'POST',
+        headers: {
+          'X-Session-ID': this.sessionId || ''
+        }
+      });
+      
+      if (!response.ok) {
+        throw new Error(await this.getErrorMessage(response));
+      }
+      
+      await this.loadLabels();
+      
+      this.showNotification('Label restored', 'success');
+    } catch (error) {
+      console.error('Error restoring label:', error);
+      this.showNotification('Failed to restore label: ' + error.message, 'error');
+    } finally {
+      this.showLoading(false);
+    }
+  }
+  
+  /**
+   * Permanently delete a label from the trash
+   */
+  async purgeLabel(labelId) {
+    try {
+      this.showLoading(true);
+      
+      const response = await fetch(`${this.apiBaseUrl}/labels/trash/${labelId}`, {
+        method: 'DELETE',
+        headers: {
+          'X-Session-ID': this.sessionId || ''
+        }
+      });
+      
+      if (!response.ok) {
+        throw new Error(await this.getErrorMessage(response));
+      }
+      
+      await this.loadTrash();
+      
+      this.showNotification('Label permanently deleted', 'success');
+    } catch (error) {
+      console.error('Error purging label:', error);
+      this.showNotification('Failed to delete label: ' + error.message, 'error');
+    } finally {
+      this.showLoading(false);
+    }
+  }
+  
+  /**
+   * Permanently delete every label in the trash
+   */
+  async emptyTrash() {
+    try {
+      this.showLoading(true);
+      
+      const response = await fetch(`${this.apiBaseUrl}/labels/trash`, {
+        method: 'DELETE',
+        headers: {
+          'X-Session-ID': this.sessionId || ''
+        }
+      });
+      
+      if (!response.ok) {
+        throw new Error(await this.getErrorMessage(response));
+      }
+      
+      const data = await response.json();
+      await this.loadTrash();
+      
+      this.showNotification(`${data.purged} labels permanently deleted`, 'success');
+    } catch (error) {
+      console.error('Error emptying trash:', error);
+      this.showNotification('Failed to empty trash: ' + error.message, 'error');
+    } finally {
+      this.showLoading(false);
+    }
+  }
+  
+  /**
+   * Load the audit log using the filters in the Audit tab
+   * @param {Boolean} [more] - Append the next page instead of starting over
+   */
+  async loadAuditLog(more = false) {
+    const params = new URLSearchParams();
+    const user = document.getElementById('audit-user').value.trim();
+    const action = document.getElementById('audit-action').value;
+    const from = document.getElementById('audit-from').value;
+    const to = document.getElementById('audit-to').value;
+    
+    if (user) params.set('user', user);
+    if (action) params.set('action', action);
+    // Date inputs are in local time; send the whole days as timestamps
+    if (from) params.set('from', new Date(`${from}T00:00:00`).toISOString());
+    if (to) params.set('to', new Date(`${to}T23:59:59.999`).toISOString());
+    if (more) params.set('offset', this.auditEntries.length);
+    
+    try {
+      this.showLoading(true);
+      
+      const response = await fetch(`${this.apiBaseUrl}/audit?${params}`, {
+        headers: {
+          'X-Session-ID': this.sessionId || ''
+        }
+      });
+      
+      if (!response.ok) {
+        throw new Error(await this.getErrorMessage(response));
+      }
+      
+      const data = await response.json();
+      this.auditEntries = more ? this.auditEntries.concat(data.entries) : data.entries;
+      this.auditTotal = data.total;
+      this.renderAuditLog();
+    } catch (error) {
+      console.error('Error loading audit log:', error);
+      this.showNotification('Failed to load audit log: ' + error.message, 'error');
+    } finally {
+      this.showLoading(false);
+    }
+  }
+  
+  /**
+   * Render the loaded audit log entries, newest first
+   */
+  renderAuditLog() {
+    const tbody = document.getElementById('audit-entries');
+    if (!tbody) return;
+    
+    tbody.innerHTML = '';
+    
+    if (this.auditEntries.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="6" class="empty-state">No audit entries found.</td></tr>';
+    }
+    
+    this.auditEntries.forEach(entry => {
+      const row = document.createElement('tr');
+      const failed = entry.status >= 400;
+      
+      row.innerHTML = `
+        <td>${new Date(entry.at).toLocaleString()}</td>
+        <td>${this.escapeHtml(entry.username || 'Anonymous')}</td>
+        <td title="${this.escapeHtml(`${entry.method} ${entry.path}`)}">${this.escapeHtml(this.auditActionLabels[entry.action] || entry.action)}</td>
+        <td>${entry.target ? this.escapeHtml(entry.target) : ''}</td>
+        <td class="${failed ? 'audit-failed' : ''}">${failed ? `Failed (${entry.status})` : 'OK'}</td>
+        <td class="audit-details">${this.formatAuditDetails(entry.details)}</td>
+      `;
+      
+      tbody.appendChild(row);
+    });
+    
+    const count = document.getElementById('audit-count');
+    if (count) {
+      count.textContent = `Showing ${this.auditEntries.length} of ${this.auditTotal} entries`;
+    }
+    
+    const more = document.getElementById('audit-more');
+    if (more) {
+      more.style.display = this.auditEntries.length < this.auditTotal ? '' : 'none';
+    }
+  }
+  
+  /**
+   * Format the details of an audit entry as escaped HTML
+   * @param {Object|null} details - Entry details
+   * @returns {String} HTML
+   */
+  formatAuditDetails(details) {
+    if (!details) return '';
+    
+    return Object.entries(details)
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .map(([key, value]) => {
+        const text = Array.isArray(value) ? value.join(', ') : String(value);
+        return `${this.escapeHtml(key)}: ${this.escapeHtml(text)}`;
+      })
+      .join('<br>');
+  }
+  
+  /**
+   * Load the label layer groups for the Layers tab
+   */
+  async loadLayerGroups() {
+    try {
+      const response = await fetch(`${this.apiBaseUrl}/layers`, {
+        headers: {
+          'X-Session-ID': this.sessionId || ''
+        }
+      });
+      
+      if (!response.ok) {
+        throw new Error(await this.getErrorMessage(response));
+      }
+      
+      this.layerGroups = await response.json();
+      this.renderLayerGroups();
+    } catch (error) {
+      console.error('Error loading layer groups:', error);
+      this.showNotification('Failed to load layer groups: ' + error.message, 'error');
+    }
+  }
+  
+  /**
+   * Add a checkbox per label category
+   * @param {HTMLElement} container - Element to fill
+   * @param {String} prefix - Prefix for the checkbox ids
+   * @param {Array} selected - Categories to tick
+   */
+  renderLayerTypeCheckboxes(container, prefix, selected) {
+    container.innerHTML = '';
+    
+    Object.entries(this.categoryLabels).forEach(([type, name]) => {
+      const label = document.createElement('label');
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.id = `${prefix}-type-${type}`;
+      input.value = type;
+      input.checked = selected.includes(type);
+      
+      label.appendChild(input);
+      label.appendChild(document.createTextNode(` ${name}`));
+      container.appendChild(label);
+    });
+  }
+  
+  /**
+   * Read the ticked categories from checkboxes made by renderLayerTypeCheckboxes
+   * @param {HTMLElement} container - Element holding the checkboxes
+   * @returns {Array} Label types
+   */
+  readLayerTypes(container) {
+    return Array.from(container.querySelectorAll('input:checked')).map(input => input.value);
+  }
+  
+  /**
+   * Render the Layers tab
+   */
+  renderLayerGroups() {
+    const container = document.getElementById('layer-groups');
+    if (!container) return;
+    
+    container.innerHTML = '';
+    
+    this.layerGroups.forEach((group, index) => {
+      container.appendChild(this.createLayerGroupCard(group, index));
+    });
+  }
+  
+  /**
+   * Create an editable card for a layer group
+   * @param {Object} group - Layer group
+   * @param {Number} index - Position in the display order
+   * @returns {HTMLElement} Card
+   */
+  createLayerGroupCard(group, index) {
+    const card = document.createElement('div');
+    card.className = 'layer-group-card';
+    card.dataset.id = group.id;
+    
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.value = group.label;
+    nameInput.setAttribute('aria-label', 'Name');
+    
+    const types = document.createElement('div');
+    types.className = 'layer-types';
+    this.renderLayerTypeCheckboxes(types, `layer-${group.id}`, group.labelTypes);
+    
+    const visibleLabel = document.createElement('label');
+    const visibleInput = document.createElement('input');
+    visibleInput.type = 'checkbox';
+    visibleInput.checked = group.defaultVisible !== false;
+    visibleLabel.appendChild(visibleInput);
+    visibleLabel.appendChild(document.createTextNode(' Shown by default'));
+    
+    const actions = document.createElement('div');
+    actions.className = 'label-actions';
+    
+    const saveButton = document.createElement('button');
+    saveButton.className = 'btn btn-primary';
+    saveButton.textContent = 'Save';
+    saveButton.onclick = () => this.saveLayerGroup(group.id, {
+      label: nameInput.value,
+      labelTypes: this.readLayerTypes(types),
+      defaultVisible: visibleInput.checked
+    });
+    
+    const upButton = document.createElement('button');
+    upButton.className = 'btn';
+    upButton.textContent = 'Move Up';
+    upButton.disabled = index === 0;
+    upButton.onclick = () => this.moveLayerGroup(index, -1);
+    
+    const downButton = document.createElement('button');
+    downButton.className = 'btn';
+    downButton.textContent = 'Move Down';
+    downButton.disabled = index === this.layerGroups.length - 1;
+    downButton.onclick = () => this.moveLayerGroup(index, 1);
+    
+    const deleteButton = document.createElement('button');
+    deleteButton.className = 'btn btn-danger';
+    deleteButton.textContent = 'Delete';
+    deleteButton.disabled = this.layerGroups.length === 1;
+    deleteButton.onclick = () => {
+      if (confirm(`Delete the layer group "${group.label}"? Its labels will be shown without a toggle.`)) {
+        this.deleteLayerGroup(group.id);
+      }
+    };
+    
+    actions.appendChild(visibleLabel);
+    actions.appendChild(saveButton);
+    actions.appendChild(upButton);
+    actions.appendChild(downButton);
+    actions.appendChild(deleteButton);
+    
+    card.appendChild(nameInput);
+    card.appendChild(types);
+    card.appendChild(actions);
+    
+    return card;
+  }
+  
+  /**
+   * Send a change to the layer groups and reload them
+   * @param {String} path - Path under /layers
+   * @param {String} method - HTTP method
+   * @param {Object} [body] - JSON body
+   * @param {String} success - Notification shown when it worked
+   */
+  async changeLayerGroups(path, method, body, success) {
+    try {
+      this.showLoading(true);
+      
+      const response = await fetch(`${this.apiBaseUrl}/layers${path}`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Session-ID': this.sessionId || ''
+        },
+        body: body ? JSON.stringify(body) : undefined
+      });
+      
+      if (!response.ok) {
+        throw new Error(await this.getErrorMessage(response));
+      }
+      
+      await this.loadLayerGroups();
+      this.showNotification(success, 'success');
+      return true;
+    } catch (error) {
+      console.error('Error changing layer groups:', error);
+      this.showNotification('Failed to save layer groups: ' + error.message, 'error');
+      return false;
+    } finally {
+      this.showLoading(false);
+    }
+  }
+  
+  /**
+   * Add a layer group from the New Layer Group form
+   */
+  async addLayerGroup() {
+    const types = document.getElementById('layer-add-types');
+    const added = await this.changeLayerGroups('', 'POST', {
+      label: document.getElementById('layer-add-label').value,
+      labelTypes: this.readLayerTypes(types),
+      defaultVisible: document.getElementById('layer-add-visible').checked
+    }, 'Layer group added');
+    
+    if (added) {
+      document.getElementById('layer-add-form').reset();
+    }
+  }
+  
+  /**
+   * Save changes to a layer group
+   * @param {String} groupId - Layer group id
+   * @param {Object} data - { label, labelTypes, defaultVisible }
+   */
+  saveLayerGroup(groupId, data) {
+    return this.changeLayerGroups(`/${encodeURIComponent(groupId)}`, 'PUT', data, 'Layer group saved');
+  }
+  
+  /**
+   * Move a layer group up or down the display order
+   * @param {Number} index - Current position
+   * @param {Number} offset - -1 for up, 1 for down
+   */
+  moveLayerGroup(index, offset) {
+    const ids = this.layerGroups.map(group => group.id);
+    const [moved] = ids.splice(index, 1);
+    ids.splice(index + offset, 0, moved);
+    
+    return this.changeLayerGroups('/order', 'PUT', { ids }, 'Layer groups reordered');
+  }
+  
+  /**
+   * Delete a layer group
+   * @param {String} groupId - Layer group id
+   */
+  deleteLayerGroup(groupId) {
+    return this.changeLayerGroups(`/${encodeURIComponent(groupId)}`, 'DELETE', null, 'Layer group deleted');
+  }
+  
+  /**
+   * Load the legend into the Legend tab, dropping unsaved edits
+   */
+  async loadLegend() {
+    try {
+      const response = await fetch(`${this.apiBaseUrl}/legend`, {
+        headers: {
+          'X-Session-ID': this.sessionId || ''
+        }
+      });
+      
+      if (!response.ok) {
+        throw new Error(await this.getErrorMessage(response));
+      }
+      
+      this.legendDraft = await response.json();
+      if (!this.legendDraft.schemes) {
+        this.legendDraft.schemes = {};
+      }
+      
+      const schemeIds = Object.keys(this.legendDraft.schemes);
+      if (!schemeIds.includes(this.legendScheme)) {
+        this.legendScheme = this.legendDraft.defaultScheme || schemeIds[0] || null;
+      }
+      this.renderLegendEditor();
+    } catch (error) {
+      console.error('Error loading legend:', error);
+      this.showNotification('Failed to load legend: ' + error.message, 'error');
+    }
+  }
+  
+  /**
+   * Render the Legend tab for the selected color scheme
+   */
+  renderLegendEditor() {
+    const select = document.getElementById('legend-scheme');
+    const container = document.getElementById('legend-sections');
+    if (!select || !container || !this.legendDraft) return;
+    
+    const schemes = this.legendDraft.schemes;
+    const scheme = schemes[this.legendScheme];
+    
+    select.innerHTML = '';
+    Object.entries(schemes).forEach(([id, entry]) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = entry.name || id;
+      option.selected = id === this.legendScheme;
+      select.appendChild(option);
+    });
+    
+    const nameInput = document.getElementById('legend-scheme-name');
+    nameInput.value = scheme ? scheme.name : '';
+    nameInput.disabled = !scheme;
+    
+    const defaultInput = document.getElementById('legend-default');
+    defaultInput.checked = Boolean(scheme) && this.legendDraft.defaultScheme === this.legendScheme;
+    defaultInput.disabled = !scheme;
+    
+    document.getElementById('legend-delete-scheme').disabled = Object.keys(schemes).length <= 1;
+    document.getElementById('legend-add-section').disabled = !scheme;
+    
+    container.innerHTML = '';
+    
+    if (!scheme) {
+      container.innerHTML = `
+        <div class="empty-state">
+          <p>No color schemes yet. Add one to start the legend.</p>
+        </div>
+      `;
+      return;
+    }
+    
+    scheme.sections.forEach((section, index) => {
+      container.appendChild(this.createLegendSectionCard(scheme, section, index));
+    });
+  }
+  
+  /**
+   * Create an editable card for a legend section
+   * @param {Object} scheme - Scheme the section belongs to
+   * @param {Object} section - Section with title and items
+   * @param {Number} index - Position of the section in the scheme
+   * @returns {HTMLElement} Card
+   */
+  createLegendSectionCard(scheme, section, index) {
+    const card = document.createElement('div');
+    card.className = 'layer-group-card';
+    
+    const titleInput = document.createElement('input');
+    titleInput.type = 'text';
+    titleInput.value = section.title;
+    titleInput.placeholder = 'Section title';
+    titleInput.setAttribute('aria-label', 'Section title');
+    titleInput.addEventListener('input', () => {
+      section.title = titleInput.value;
+    });
+    card.appendChild(titleInput);
+    
+    const items = document.createElement('div');
+    items.className = 'legend-items';
+    
+    section.items.forEach((item, itemIndex) => {
+      const row = document.createElement('div');
+      row.className = 'legend-item-row';
+      
+      const colorInput = document.createElement('input');
+      colorInput.type = 'color';
+      colorInput.value = this.toColorInputValue(item.color);
+      colorInput.setAttribute('aria-label', 'Color');
+      colorInput.addEventListener('input', () => {
+        item.color = colorInput.value;
+      });
+      
+      const labelInput = document.createElement('input');
+      labelInput.type = 'text';
+      labelInput.value = item.label;
+      labelInput.placeholder = 'Item label';
+      labelInput.setAttribute('aria-label', 'Item label');
+      labelInput.addEventListener('input', () => {
+        item.label = labelInput.value;
+      });
+      
+      const removeButton = document.createElement('button');
+      removeButton.className = 'btn';
+      removeButton.textContent = 'Remove';
+      removeButton.onclick = () => {
+        section.items.splice(itemIndex, 1);
+        this.renderLegendEditor();
+      };
+      
+      row.appendChild(colorInput);
+      row.appendChild(labelInput);
+      row.appendChild(removeButton);
+      items.appendChild(row);
+    });
+    
+    card.appendChild(items);
+    
+    const actions = document.createElement('div');
+    actions.className = 'label-actions';
+    
+    const addItemButton = document.createElement('button');
+    addItemButton.className = 'btn';
+    addItemButton.textContent = 'Add Item';
+    addItemButton.onclick = () => {
+      section.items.push({ color: '#cccccc', label: '' });
+      this.renderLegendEditor();
+    };
+    
+    const removeSectionButton = document.createElement('button');
+    removeSectionButton.className = 'btn btn-danger';
+    removeSectionButton.textContent = 'Remove Section';
+    removeSectionButton.onclick = () => {
+      scheme.sections.splice(index, 1);
+      this.renderLegendEditor();
+    };
+    
+    actions.appendChild(addItemButton);
+    actions.appendChild(removeSectionButton);
+    card.appendChild(actions);
+    
+    return card;
+  }
+  
+  /**
+   * Expand a hex color to the #rrggbb form color inputs require
+   * @param {String} color - #rgb or #rrggbb
+   * @returns {String}
+   */
+  toColorInputValue(color) {
+    const hex = String(color || '').replace('#', '');
+    if (/^[0-9a-fA-F]{3}$/.test(hex)) {
+      return `#${hex.split('').map(digit => digit + digit).join('')}`.toLowerCase();
+    }
+    return /^[0-9a-fA-F]{6}$/.test(hex) ? `#${hex}`.toLowerCase() : '#000000';
+  }
+  
+  /**
+   * Add a color scheme to the legend being edited
+   */
+  addLegendScheme() {
+    if (!this.legendDraft) return;
+    
+    const name = prompt('Name of the new color scheme (e.g. "Satellite"):');
+    if (!name || !name.trim()) return;
+    
+    // Scheme ids are what SVGLayerHandler calls the scheme
+    const id = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    if (!id) {
+      this.showNotification('The scheme name needs at least one letter or digit', 'warning');
+      return;
+    }
+    if (this.legendDraft.schemes[id]) {
+      this.showNotification(`A scheme called "${id}" already exists`, 'warning');
+      return;
+    }
+    
+    this.legendDraft.schemes[id] = { name: name.trim(), sections: [] };
+    if (!this.legendDraft.defaultScheme) {
+      this.legendDraft.defaultScheme = id;
+    }
+    this.legendScheme = id;
+    this.renderLegendEditor();
+  }
+  
+  /**
+   * Remove the selected color scheme from the legend being edited
+   */
+  deleteLegendScheme() {
+    const schemes = this.legendDraft && this.legendDraft.schemes;
+    if (!schemes || !schemes[this.legendScheme] || Object.keys(schemes).length <= 1) return;
+    
+    if (!confirm(`Remove the "${schemes[this.legendScheme].name}" scheme from the legend?`)) return;
+    
+    delete schemes[this.legendScheme];
+    const remaining = Object.keys(schemes);
+    if (!schemes[this.legendDraft.defaultScheme]) {
+      this.legendDraft.defaultScheme = remaining[0];
+    }
+    this.legendScheme = remaining[0];
+    this.renderLegendEditor();
+  }
+  
+  /**
+   * Add an empty section to the selected color scheme
+   */
+  addLegendSection() {
+    const scheme = this.legendDraft && this.legendDraft.schemes[this.legendScheme];
+    if (!scheme) return;
+    
+    scheme.sections.push({ title: '', items: [{ color: '#cccccc', label: '' }] });
+    this.renderLegendEditor();
+  }
+  
+  /**
+   * Save the edited legend
+   */
+  async saveLegend() {
+    if (!this.legendDraft) return;
+    
+    try {
+      this.showLoading(true);
+      
+      const response = await fetch(`${this.apiBaseUrl}/legend`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Session-ID': this.sessionId || ''
+        },
+        body: JSON.stringify(this.legendDraft)
+      });
+      
+      if (!response.ok) {
+        throw new Error(await this.getErrorMessage(response));
+      }
+      
+      this.legendDraft = await response.json();
+      this.renderLegendEditor();
+      
+      this.showNotification('Legend saved', 'success');
+    } catch (error) {
+      console.error('Error saving legend:', error);
+      this.showNotification('Failed to save legend: ' + error.message, 'error');
+    } finally {
+      this.showLoading(false);
+    }
+  }
+  
   /**
    * Show loading indicator
    */
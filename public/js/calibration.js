@@ -0,0 +1,215 @@
+/**
+ * IxMaps - Map Calibration
+ * The one place map positions become degrees and map pixels become miles:
+ * the map's size, where the equator and prime meridian lie and how many
+ * miles a map pixel spans, from the "calibration" settings
+ * (data/settings.json). The viewer, the admin panel and the server (through
+ * require) all convert with it, so the measurement tool, scale bar,
+ * coordinate display and exports agree.
+ *
+ * Positions are map pixels with y up from the south edge, as Leaflet's
+ * L.CRS.Simple and the stored labels have them. Latitude is linear in y;
+ * longitude is linear in x and makes one full turn across the map's width.
+ */
+
+class IxCalibration {
+  /**
+   * @param {Object} [values] - Calibration settings; missing ones take IxCalibration.DEFAULTS
+   */
+  constructor(values = {}) {
+    const settings = Object.assign({}, IxCalibration.DEFAULTS, values);
+
+    // Map size in map pixels
+    this.mapWidth = settings.mapWidth;
+    this.mapHeight = settings.mapHeight;
+
+    // y of the equator and map pixels per degree of latitude
+    this.equatorY = settings.equatorY;
+    this.pixelsPerLatitudeDegree = settings.pixelsPerLatitudeDegree;
+
+    // x of the prime meridian (0° longitude)
+    this.primeMeridianX = settings.primeMeridianX;
+
+    // Miles across one map pixel, in any direction
+    this.milesPerPixel = settings.milesPerPixel;
+  }
+
+  /**
+   * Fetch the viewer settings, which hold the calibration
+   * @param {String} apiBaseUrl - e.g. '/api'
+   * @returns {Promise<Object>} Settings
+   */
+  static async fetchSettings(apiBaseUrl) {
+    const response = await fetch(`${apiBaseUrl}/settings`);
+    if (!response.ok) {
+      throw new Error(`API error: ${response.status}`);
+    }
+    return response.json();
+  }
+
+  /**
+   * Load the calibration from the settings API
+   * Falls back to the defaults when the settings cannot be read.
+   * @param {String} apiBaseUrl - e.g. '/api'
+   * @param {Promise<Object>} [settingsRequest] - Settings already being
+   *   fetched with fetchSettings, for callers that use the rest of them too
+   * @returns {Promise<IxCalibration>}
+   */
+  static async load(apiBaseUrl, settingsRequest = IxCalibration.fetchSettings(apiBaseUrl)) {
+    try {
+      const settings = await settingsRequest;
+      return new IxCalibration(settings.calibration);
+    } catch (error) {
+      console.warn('Using the default map calibration:', error);
+      return new IxCalibration();
+    }
+  }
+
+  /**
+   * @returns {Object} The calibration settings
+   */
+  toJSON() {
+    return {
+      mapWidth: this.mapWidth,
+      mapHeight: this.mapHeight,
+      equatorY: this.equatorY,
+      pixelsPerLatitudeDegree: this.pixelsPerLatitudeDegree,
+      primeMeridianX: this.primeMeridianX,
+      milesPerPixel: this.milesPerPixel
+    };
+  }
+
+  /**
+   * @returns {Number} Map pixels per degree of longitude
+   */
+  get pixelsPerLongitudeDegree() {
+    return this.mapWidth / 360;
+  }
+
+  /**
+   * @returns {Number} Latitude of the map's north edge
+   */
+  get northLatitude() {
+    return (this.mapHeight - this.equatorY) / this.pixelsPerLatitudeDegree;
+  }
+
+  /**
+   * @returns {Number} Latitude of the map's south edge
+   */
+  get southLatitude() {
+    return -this.equatorY / this.pixelsPerLatitudeDegree;
+  }
+
+  /**
+   * Bring an x on any copy of the world onto the map
+   * @param {Number} x - x in map pixels
+   * @returns {Number} x from 0 up to the map width
+   */
+  wrapX(x) {
+    return ((x % this.mapWidth) + this.mapWidth) % this.mapWidth;
+  }
+
+  /**
+   * y of a latitude
+   * @param {Number} lat - Latitude in degrees
+   * @returns {Number}
+   */
+  latitudeY(lat) {
+    return this.equatorY + lat * this.pixelsPerLatitudeDegree;
+  }
+
+  /**
+   * Convert map coordinates to custom lat/lng
+   * @param {Number} x - x in map pixels, on any copy of the world
+   * @param {Number} y - y in map pixels
+   * @returns {Object} { lat, lng } with lng from -180 to 180 around the prime meridian
+   */
+  svgToCustomLatLng(x, y) {
+    const lat = (y - this.equatorY) / this.pixelsPerLatitudeDegree;
+
+    let lngOffset = this.wrapX(x) - this.wrapX(this.primeMeridianX);
+
+    // Take the shorter way round to the prime meridian
+    if (Math.abs(lngOffset) > this.mapWidth / 2) {
+      lngOffset += lngOffset > 0 ? -this.mapWidth : this.mapWidth;
+    }
+
+    return { lat, lng: lngOffset / this.pixelsPerLongitudeDegree };
+  }
+
+  /**
+   * Convert custom lat/lng to map coordinates (inverse of svgToCustomLatLng)
+   * Results are rounded to IxCalibration.DECIMALS, so converting a stored
+   * position to degrees and back gives the exact stored pixels.
+   * @param {Number} lat - Latitude in degrees
+   * @param {Number} lng - Longitude in degrees from the prime meridian
+   * @returns {Object} { x, y } with x within the map width
+   */
+  customLatLngToSvg(lat, lng) {
+    const factor = Math.pow(10, IxCalibration.DECIMALS);
+    const round = value => Math.round(value * factor) / factor;
+
+    return {
+      x: round(this.wrapX(this.primeMeridianX + lng * this.pixelsPerLongitudeDegree)),
+      y: round(this.latitudeY(lat))
+    };
+  }
+
+  /**
+   * Straight-line distance between two positions
+   * @param {Object} from - { lat, lng } in map pixels, e.g. an L.LatLng
+   * @param {Object} to - { lat, lng } in map pixels
+   * @returns {Object} { pixels, miles, km } with pixels in map pixels
+   */
+  distance(from, to) {
+    const pixels = Math.hypot(to.lng - from.lng, to.lat - from.lat);
+    const miles = pixels * this.milesPerPixel;
+    return { pixels, miles, km: miles * IxCalibration.KM_PER_MILE };
+  }
+
+  /**
+   * Miles across one screen pixel
+   * At zoom z one map pixel is drawn 2^z screen pixels wide.
+   * @param {Number} zoom - Map zoom
+   * @returns {Number}
+   */
+  milesPerScreenPixel(zoom) {
+    return this.milesPerPixel / Math.pow(2, zoom);
+  }
+
+  /**
+   * Representative fraction of the map on screen, e.g. 5000000 for 1:5,000,000
+   * @param {Number} zoom - Map zoom
+   * @returns {Number}
+   */
+  scaleRatio(zoom) {
+    const metresPerScreenPixel = this.milesPerScreenPixel(zoom) * IxCalibration.METRES_PER_MILE;
+    return metresPerScreenPixel / IxCalibration.METRES_PER_CSS_PIXEL;
+  }
+}
+
+IxCalibration.KM_PER_MILE = 1.609344;
+IxCalibration.METRES_PER_MILE = 1609.344;
+
+// A CSS pixel is 1/96 inch
+IxCalibration.METRES_PER_CSS_PIXEL = 0.0254 / 96;
+
+// Decimals kept by customLatLngToSvg
+IxCalibration.DECIMALS = 6;
+
+// The map as it has always been measured: 8200 x 4900 pixels, latitude
+// linear from 70° S to 70° N, the prime meridian where 26.22° east of the
+// map's middle falls, and the calibrated 2.7 miles per pixel
+IxCalibration.DEFAULTS = Object.freeze({
+  mapWidth: 8200,
+  mapHeight: 4900,
+  equatorY: 2450,
+  pixelsPerLatitudeDegree: 35,
+  primeMeridianX: (26.22 + 180) / 360 * 8200,
+  milesPerPixel: 2.7
+});
+
+// The server requires this file too
+if (typeof module === 'object' && module.exports) {
+  module.exports = IxCalibration;
+}
@@ -1,7 +1,7 @@
 /**
  * IxMaps Coordinate System - Clean Implementation
- * Compatible with linear distance calculations
- * With proper hemisphere orientation and prime meridian
+ * Grid, position display and prime meridian, positioned with the map
+ * calibration (calibration.js) in mapConfig.calibration
  */
 
 // Only initialize once
@@ -12,7 +12,8 @@ if (window.coordSystemInitialized) {
     // Try to initialize after the map is loaded
     setTimeout(function checkAndInitialize() {
       if (window.map && window.mapConfig) {
-        initCoordinateSystem();
+        // Start once the saved calibration is loaded
+        mapConfig.calibrationReady.then(initCoordinateSystem);
       } else {
         console.log('Map not available yet, waiting...');
         setTimeout(checkAndInitialize, 1000);
@@ -21,24 +22,10 @@ if (window.coordSystemInitialized) {
   });
 }
 
-// Map constants and reference points
-const RAW_MAP_WIDTH = 8202;
-const RAW_MAP_HEIGHT = 4900;
-const EQUATOR_Y_POSITION = 2450;
-const PRIME_MERIDIAN_X_POSITION = 4101;
-const PIXELS_PER_LONGITUDE_DEGREE = 45.5666;
-const PIXELS_PER_LATITUDE_DEGREE = 27.2222;
-
 // Layer groups for coordinate system elements
 const gridLayer = L.layerGroup();
 const primeMeridianLayer = L.layerGroup();
 
-// Visible latitude bounds
-const visibleBounds = {
-  northLat: 70,  // Northern visible limit in degrees
-  southLat: -70, // Southern visible limit in degrees
-};
-
 // Prime meridian reference point
 const primeMeridianRef = {
   lat: -14.08, // Negative value for Southern hemisphere
@@ -48,48 +35,6 @@ const primeMeridianRef = {
 // Will store SVG coordinates of prime meridian
 let primeMeridianSvg = null;
 
-/**
- * Convert SVG coordinates to geographic coordinates
- * @param {Number} x - SVG x coordinate
- * @param {Number} y - SVG y coordinate
- * @returns {Object} - {lat, lng} in geographic coordinates
- */
-function svgToLatLng(x, y) {
-  // Map y-coordinate to latitude range with proper N/S orientation
-  const latRange = visibleBounds.northLat - visibleBounds.southLat;
-  // Invert latitude calculation to correct hemisphere
-  const lat = -1 * (visibleBounds.southLat + (y / mapConfig.svgHeight * latRange));
-  
-  // Calculate longitude in standard way
-  const lng = (x / mapConfig.svgWidth * 360) - 180;
-  
-  return { lat, lng };
-}
-
-/**
- * Convert geographic coordinates to SVG coordinates
- * @param {Number} lat - Latitude in geographic coordinates
- * @param {Number} lng - Longitude in geographic coordinates
- * @returns {Object} - {x, y} in SVG coordinates
- */
-function latLngToSvg(lat, lng) {
-  // Invert latitude for correct hemisphere mapping
-  const invertedLat = -lat;
-  
-  // Clamp to visible bounds
-  const clampedLat = Math.max(visibleBounds.southLat, Math.min(visibleBounds.northLat, invertedLat));
-  
-  // Convert latitude to y coordinate
-  const latRange = visibleBounds.northLat - visibleBounds.southLat;
-  const y = ((clampedLat - visibleBounds.southLat) / latRange) * mapConfig.svgHeight;
-  
-  // Convert longitude to x coordinate with wraparound
-  const normalizedLng = ((lng + 180) % 360) / 360;
-  const x = normalizedLng * mapConfig.svgWidth;
-  
-  return { x, y };
-}
-
 /**
  * Convert SVG coordinates to custom lat/lng using prime meridian as reference
  * @param {Number} x - SVG x coordinate
@@ -97,35 +42,7 @@ function latLngToSvg(lat, lng) {
  * @returns {Object} - {lat, lng} with lng relative to prime meridian
  */
 function svgToCustomLatLng(x, y) {
-  // Calculate latitude with proper hemisphere orientation
-  const latRange = visibleBounds.northLat - visibleBounds.southLat;
-  const lat = 1 * (visibleBounds.southLat + (y / mapConfig.svgHeight * latRange));
-  
-  // Ensure prime meridian reference exists
-  if (!primeMeridianSvg || !primeMeridianSvg.x) {
-    console.error("Prime meridian reference not initialized");
-    return { lat, lng: 0 };
-  }
-  
-  // Calculate longitude relative to prime meridian with wraparound
-  const normalizedX = ((x % mapConfig.svgWidth) + mapConfig.svgWidth) % mapConfig.svgWidth;
-  const normalizedPrimeMeridianX = ((primeMeridianSvg.x % mapConfig.svgWidth) + mapConfig.svgWidth) % mapConfig.svgWidth;
-  
-  let lngOffset = normalizedX - normalizedPrimeMeridianX;
-  
-  // Minimize the offset to handle wraparound edge cases
-  if (Math.abs(lngOffset) > mapConfig.svgWidth / 2) {
-    if (lngOffset > 0) {
-      lngOffset -= mapConfig.svgWidth;
-    } else {
-      lngOffset += mapConfig.svgWidth;
-    }
-  }
-  
-  const lngScale = 360 / mapConfig.svgWidth;
-  const lng = lngOffset * lngScale;
-  
-  return { lat, lng };
+  return mapConfig.calibration.svgToCustomLatLng(x, y);
 }
 
 /**
@@ -154,15 +71,6 @@ function addCoordinateMarker(e) {
   // Get coordinates using custom system
   const customCoord = svgToCustomLatLng(e.latlng.lng, e.latlng.lat);
   
-  // Create marker
-  window.clickMarker = L.circleMarker(e.latlng, {
-    radius: 5,
-    color: '#FF4500',
-    fillColor: '#FFA07A',
-    fillOpacity: 1,
-    weight: 2
-  }).addTo(map);
-  
   // Create popup with coordinates
   const coordText = `
     <div style="text-align:center;">
@@ -172,7 +80,17 @@ function addCoordinateMarker(e) {
     </div>
   `;
   
-  window.clickMarker.bindPopup(coordText).openPopup();
+  // Create marker on every copy of the world, offsets counted from the clicked copy
+  const clickedOffset = map.options.crs.worldOffset(e.latlng.lng);
+  window.clickMarker = new IxWorldCopies(offset => L.circleMarker([e.latlng.lat, e.latlng.lng - clickedOffset + offset], {
+    radius: 5,
+    color: '#FF4500',
+    fillColor: '#FFA07A',
+    fillOpacity: 1,
+    weight: 2
+  }).bindPopup(coordText)).addTo(map);
+  
+  window.clickMarker.getCopy(clickedOffset).openPopup();
   
   // Show toast notification
   if (typeof window.showToast === 'function') {
@@ -199,12 +117,14 @@ function drawGrid() {
   const labelsCheckbox = document.getElementById('toggle-coords-labels');
   const showLabels = labelsCheckbox ? labelsCheckbox.checked : true;
   
+  const calibration = mapConfig.calibration;
+  
   // Prime meridian is our 0° longitude reference
   const primeMeridianX = primeMeridianSvg.x;
   
-  // Get visible bounds in SVG coordinates
-  const southPoint = latLngToSvg(visibleBounds.southLat, 0);
-  const northPoint = latLngToSvg(visibleBounds.northLat, 0);
+  // Top and bottom of the map in SVG coordinates
+  const topY = calibration.latitudeY(calibration.northLatitude);
+  const bottomY = calibration.latitudeY(calibration.southLatitude);
   
   // Get current view bounds for clipping
   const bounds = map.getBounds();
@@ -214,8 +134,15 @@ function drawGrid() {
   // Add buffer to ensure grid lines appear smoothly when scrolling
   const bufferWidth = mapConfig.svgWidth * 0.1; // 10% buffer
   
+  // Copies of the world to draw on: the lines are laid out up to a world
+  // away from the prime meridian, so one more copy is needed on each side
+  const offsets = map.options.crs.worldOffsets(
+    visibleWest - bufferWidth - mapConfig.svgWidth,
+    visibleEast + bufferWidth + mapConfig.svgWidth
+  );
+  
   // Calculate pixels per degree for longitude
-  const pixelsPerDegree = mapConfig.svgWidth / 360;
+  const pixelsPerDegree = calibration.pixelsPerLongitudeDegree;
   
   // Track labeled positions to prevent overlap
   const labeledPositions = [];
@@ -239,8 +166,8 @@ function drawGrid() {
   const drawMeridian = function(xPosition) {
     if (xPosition >= visibleWest - bufferWidth && xPosition <= visibleEast + bufferWidth) {
       L.polyline([
-        [southPoint.y, xPosition], // Bottom of visible map
-        [northPoint.y, xPosition]  // Top of visible map
+        [bottomY, xPosition], // Bottom of visible map
+        [topY, xPosition]     // Top of visible map
       ], {
         color: '#FF8000', // Orange for prime meridian
         weight: 2,
@@ -250,7 +177,7 @@ function drawGrid() {
       
       // Prime meridian label
       if (showLabels) {
-        const meridianLabelPos = L.latLng(southPoint.y + 20, xPosition);
+        const meridianLabelPos = L.latLng(topY + 20, xPosition);
         // Add label only if it won't overlap with existing ones
         if (isLabelPositionSafe(xPosition)) {
           L.marker(meridianLabelPos, {
@@ -269,10 +196,8 @@ function drawGrid() {
     }
   };
   
-  // Draw all instances of prime meridian
-  drawMeridian(primeMeridianX);
-  drawMeridian(primeMeridianX + mapConfig.svgWidth);  // Right wraparound
-  drawMeridian(primeMeridianX - mapConfig.svgWidth);  // Left wraparound
+  // Draw the prime meridian on every copy of the world
+  offsets.forEach(offset => drawMeridian(primeMeridianX + offset));
   
   // Function to draw a longitude line
   const drawLongitudeLine = function(svgX, labelText, isMajor) {
@@ -280,8 +205,8 @@ function drawGrid() {
     if (svgX >= visibleWest - bufferWidth && svgX <= visibleEast + bufferWidth) {
       // Draw the line
       L.polyline([
-        [southPoint.y, svgX], // Bottom of visible map
-        [northPoint.y, svgX]  // Top of visible map
+        [bottomY, svgX], // Bottom of visible map
+        [topY, svgX]     // Top of visible map
       ], {
         color: '#666',
         weight: isMajor ? 1.5 : 0.8,
@@ -291,7 +216,7 @@ function drawGrid() {
       
       // Add label if it's a major line and labels are enabled
       if (isMajor && showLabels) {
-        const labelPos = L.latLng(southPoint.y + 20, svgX);
+        const labelPos = L.latLng(topY + 20, svgX);
         
         // Only add label if position is safe (not overlapping)
         if (isLabelPositionSafe(svgX)) {
@@ -323,39 +248,21 @@ function drawGrid() {
     // Calculate pixels from prime meridian
     const offsetPixels = lng * pixelsPerDegree;
     
-    // Draw original line and wraparounds
+    // Draw the line on every copy of the world
     const svgX = primeMeridianX + offsetPixels;
     
     // Draw lines without labels first
-    L.polyline([
-      [southPoint.y, svgX], // Bottom of visible map
-      [northPoint.y, svgX]  // Top of visible map
-    ], {
-      color: '#666',
-      weight: isMajor ? 1.5 : 0.8,
-      opacity: 0.6,
-      dashArray: isMajor ? null : '3,5'
-    }).addTo(gridLayer);
-    
-    L.polyline([
-      [southPoint.y, svgX - mapConfig.svgWidth], // Bottom of visible map
-      [northPoint.y, svgX - mapConfig.svgWidth]  // Top of visible map
-    ], {
-      color: '#666',
-      weight: isMajor ? 1.5 : 0.8,
-      opacity: 0.6,
-      dashArray: isMajor ? null : '3,5'
-    }).addTo(gridLayer);
-    
-    L.polyline([
-      [southPoint.y, svgX + mapConfig.svgWidth], // Bottom of visible map
-      [northPoint.y, svgX + mapConfig.svgWidth]  // Top of visible map
-    ], {
-      color: '#666',
-      weight: isMajor ? 1.5 : 0.8,
-      opacity: 0.6,
-      dashArray: isMajor ? null : '3,5'
-    }).addTo(gridLayer);
+    offsets.forEach(offset => {
+      L.polyline([
+        [bottomY, svgX + offset], // Bottom of visible map
+        [topY, svgX + offset]     // Top of visible map
+      ], {
+        color: '#666',
+        weight: isMajor ? 1.5 : 0.8,
+        opacity: 0.6,
+        dashArray: isMajor ? null : '3,5'
+      }).addTo(gridLayer);
+    });
   }
   
   // Draw lines west of prime meridian
@@ -366,39 +273,21 @@ function drawGrid() {
     // Calculate pixels from prime meridian
     const offsetPixels = lng * pixelsPerDegree;
     
-    // Draw original line and wraparounds
+    // Draw the line on every copy of the world
     const svgX = primeMeridianX - offsetPixels;
     
     // Draw lines without labels first
-    L.polyline([
-      [southPoint.y, svgX], // Bottom of visible map
-      [northPoint.y, svgX]  // Top of visible map
-    ], {
-      color: '#666',
-      weight: isMajor ? 1.5 : 0.8,
-      opacity: 0.6,
-      dashArray: isMajor ? null : '3,5'
-    }).addTo(gridLayer);
-    
-    L.polyline([
-      [southPoint.y, svgX - mapConfig.svgWidth], // Bottom of visible map
-      [northPoint.y, svgX - mapConfig.svgWidth]  // Top of visible map
-    ], {
-      color: '#666',
-      weight: isMajor ? 1.5 : 0.8,
-      opacity: 0.6,
-      dashArray: isMajor ? null : '3,5'
-    }).addTo(gridLayer);
-    
-    L.polyline([
-      [southPoint.y, svgX + mapConfig.svgWidth], // Bottom of visible map
-      [northPoint.y, svgX + mapConfig.svgWidth]  // Top of visible map
-    ], {
-      color: '#666',
-      weight: isMajor ? 1.5 : 0.8,
-      opacity: 0.6,
-      dashArray: isMajor ? null : '3,5'
-    }).addTo(gridLayer);
+    offsets.forEach(offset => {
+      L.polyline([
+        [bottomY, svgX + offset], // Bottom of visible map
+        [topY, svgX + offset]     // Top of visible map
+      ], {
+        color: '#666',
+        weight: isMajor ? 1.5 : 0.8,
+        opacity: 0.6,
+        dashArray: isMajor ? null : '3,5'
+      }).addTo(gridLayer);
+    });
   }
   
   // Second pass: Add labels with overlap prevention
@@ -411,16 +300,11 @@ function drawGrid() {
     const offsetPixels = lng * pixelsPerDegree;
     const svgX = primeMeridianX + offsetPixels;
     
-    // Try all three possible positions (original, left wrap, right wrap)
-    // in order of visibility priority
-    if (svgX >= visibleWest && svgX <= visibleEast && isLabelPositionSafe(svgX)) {
-      addLongitudeLabel(svgX, `${lng}° E`);
-    } else if (svgX - mapConfig.svgWidth >= visibleWest && svgX - mapConfig.svgWidth <= visibleEast && 
-               isLabelPositionSafe(svgX - mapConfig.svgWidth)) {
-      addLongitudeLabel(svgX - mapConfig.svgWidth, `${lng}° E`);
-    } else if (svgX + mapConfig.svgWidth >= visibleWest && svgX + mapConfig.svgWidth <= visibleEast && 
-               isLabelPositionSafe(svgX + mapConfig.svgWidth)) {
-      addLongitudeLabel(svgX + mapConfig.svgWidth, `${lng}° E`);
+    // Label the first copy of the line that is in view and clear of others
+    const labelX = offsets.map(offset => svgX + offset).find(x =>
+      x >= visibleWest && x <= visibleEast && isLabelPositionSafe(x));
+    if (labelX !== undefined) {
+      addLongitudeLabel(labelX, `${lng}° E`);
     }
   }
   
@@ -433,22 +317,17 @@ function drawGrid() {
     const offsetPixels = lng * pixelsPerDegree;
     const svgX = primeMeridianX - offsetPixels;
     
-    // Try all three possible positions (original, left wrap, right wrap)
-    // in order of visibility priority
-    if (svgX >= visibleWest && svgX <= visibleEast && isLabelPositionSafe(svgX)) {
-      addLongitudeLabel(svgX, `${lng}° W`);
-    } else if (svgX - mapConfig.svgWidth >= visibleWest && svgX - mapConfig.svgWidth <= visibleEast && 
-               isLabelPositionSafe(svgX - mapConfig.svgWidth)) {
-      addLongitudeLabel(svgX - mapConfig.svgWidth, `${lng}° W`);
-    } else if (svgX + mapConfig.svgWidth >= visibleWest && svgX + mapConfig.svgWidth <= visibleEast && 
-               isLabelPositionSafe(svgX + mapConfig.svgWidth)) {
-      addLongitudeLabel(svgX + mapConfig.svgWidth, `${lng}° W`);
+    // Label the first copy of the line that is in view and clear of others
+    const labelX = offsets.map(offset => svgX + offset).find(x =>
+      x >= visibleWest && x <= visibleEast && isLabelPositionSafe(x));
+    if (labelX !== undefined) {
+      addLongitudeLabel(labelX, `${lng}° W`);
     }
   }
   
   // Helper function to add a longitude label and track its position
   function addLongitudeLabel(xPosition, labelText) {
-    const labelPos = L.latLng(southPoint.y + 20, xPosition);
+    const labelPos = L.latLng(topY + 20, xPosition);
     L.marker(labelPos, {
       icon: L.divIcon({
         className: 'grid-label',
@@ -462,15 +341,15 @@ function drawGrid() {
   }
   
   // Draw latitude lines - only within visible bounds
-  for (let lat = Math.ceil(visibleBounds.southLat / spacing) * spacing; 
-       lat <= visibleBounds.northLat; 
+  for (let lat = Math.ceil(calibration.southLatitude / spacing) * spacing; 
+       lat <= calibration.northLatitude; 
        lat += spacing) {
     
     const isMajor = lat % 30 === 0;
     const isEquator = Math.abs(lat) < 0.001;
     
     // Get SVG coordinates for this latitude
-    const svgY = latLngToSvg(lat, 0).y;
+    const svgY = calibration.latitudeY(lat);
     
     // Draw the line across the full visible width
     const visibleWidth = visibleEast - visibleWest + (2 * bufferWidth);
@@ -490,13 +369,10 @@ function drawGrid() {
     if ((isMajor || isEquator) && showLabels) {
       const labelPos = L.latLng(svgY, visibleWest + 20);
       
-      // Correct the display of N/S labels
-      const displayLat = -lat; // Invert for display
-      
       L.marker(labelPos, {
         icon: L.divIcon({
           className: 'grid-label',
-          html: `${Math.abs(displayLat)}° ${displayLat >= 0 ? 'N' : 'S'}`,
+          html: `${Math.abs(lat)}° ${lat >= 0 ? 'N' : 'S'}`,
           iconSize: [40, 20],
           iconAnchor: [0, 10]
         })
@@ -517,9 +393,10 @@ function drawPrimeMeridian() {
     return;
   }
   
-  // Get SVG coordinates for visible bounds
-  const southPoint = latLngToSvg(visibleBounds.southLat, 0);
-  const northPoint = latLngToSvg(visibleBounds.northLat, 0);
+  // Top and bottom of the map in SVG coordinates
+  const calibration = mapConfig.calibration;
+  const topY = calibration.latitudeY(calibration.northLatitude);
+  const bottomY = calibration.latitudeY(calibration.southLatitude);
   
   // Get current map view bounds
   const bounds = map.getBounds();
@@ -529,14 +406,17 @@ function drawPrimeMeridian() {
   // Add buffer for smooth appearance/disappearance
   const bufferWidth = mapConfig.svgWidth * 0.1;
   
+  // Copies of the world the meridian can be in view on
+  const offsets = map.options.crs.worldOffsets(westBound - bufferWidth, eastBound + bufferWidth);
+  
   // Function to draw a meridian instance
   const drawMeridianLine = function(xPosition) {
     // Only draw if in visible area (with buffer)
     if (xPosition >= westBound - bufferWidth && xPosition <= eastBound + bufferWidth) {
       // Draw the meridian line
       L.polyline([
-        [southPoint.y, xPosition], 
-        [northPoint.y, xPosition]
+        [bottomY, xPosition], 
+        [topY, xPosition]
       ], {
         color: '#FF8000',
         weight: 2.5,
@@ -545,7 +425,7 @@ function drawPrimeMeridian() {
       }).addTo(primeMeridianLayer);
       
       // Add meridian label
-      L.marker(L.latLng(southPoint.y - 20, xPosition), {
+      L.marker(L.latLng(topY - 20, xPosition), {
         icon: L.divIcon({
           className: 'prime-meridian-label',
           html: 'Prime Meridian (0°)',
@@ -556,7 +436,7 @@ function drawPrimeMeridian() {
       
       // Add reference point marker
       const markerY = primeMeridianSvg.y;
-      if (markerY >= southPoint.y && markerY <= northPoint.y) {
+      if (markerY >= bottomY && markerY <= topY) {
         L.circleMarker(L.latLng(markerY, xPosition), {
           radius: 8,
           color: '#FF8000',
@@ -565,88 +445,15 @@ function drawPrimeMeridian() {
           weight: 2
         }).bindPopup(`
           <strong>Prime Meridian Reference</strong><br>
-          Geographic: ${formatCoord(Math.abs(primeMeridianRef.lat), 'S', 'N')}, ${formatCoord(primeMeridianRef.lng, 'E', 'W')}<br>
+          Geographic: ${formatCoord(primeMeridianRef.lat, 'N', 'S')}, ${formatCoord(primeMeridianRef.lng, 'E', 'W')}<br>
           Map Reference: 0° Longitude
         `).addTo(primeMeridianLayer);
       }
     }
   };
   
-  // Draw all instances of the meridian
-  drawMeridianLine(primeMeridianSvg.x);  // Original
-  drawMeridianLine(primeMeridianSvg.x + mapConfig.svgWidth);  // Right wraparound
-  drawMeridianLine(primeMeridianSvg.x - mapConfig.svgWidth);  // Left wraparound
-}
-
-/**
- * Smooth wraparound during map movement
- */
-function updateMapWraparound() {
-  const center = map.getCenter();
-  const svgWidth = mapConfig.svgWidth;
-  
-  // If panned beyond bounds, wrap around immediately without animation
-  if (center.lng < 0) {
-    map.panTo([center.lat, center.lng + svgWidth], {
-      animate: false,
-      duration: 0,
-      easeLinearity: 1,
-      noMoveStart: true
-    });
-  } else if (center.lng > svgWidth) {
-    map.panTo([center.lat, center.lng - svgWidth], {
-      animate: false,
-      duration: 0,
-      easeLinearity: 1,
-      noMoveStart: true
-    });
-  }
-}
-
-/**
- * Modify map wraparound behavior for seamless transitions
- */
-function modifyMapWraparound() {
-  // Store original function
-  const originalWrapLatLng = L.Util.wrapLatLng;
-  
-  // Override to apply custom wrapping
-  L.Util.wrapLatLng = function(latlng) {
-    const wrapped = originalWrapLatLng.call(this, latlng);
-    
-    // Apply vertical bounds
-    if (wrapped.lat < 0) {
-      wrapped.lat = Math.max(wrapped.lat, -mapConfig.svgHeight);
-    } else {
-      wrapped.lat = Math.min(wrapped.lat, 0);
-    }
-    
-    return wrapped;
-  };
-  
-  // Update the map panning logic
-  L.Map.include({
-    _originalGetPanOffset: L.Map.prototype._getPanOffset,
-    
-    _getPanOffset: function(center) {
-      const offset = this._originalGetPanOffset.call(this, center);
-      
-      // Only apply horizontal wrapping
-      const bounds = this.getPixelBounds();
-      const mapWidth = bounds.max.x - bounds.min.x;
-      
-      // If the offset is more than half the map width, wrap around
-      if (Math.abs(offset.x) > mapWidth / 2) {
-        if (offset.x > 0) {
-          offset.x -= mapWidth;
-        } else {
-          offset.x += mapWidth;
-        }
-      }
-      
-      return offset;
-    }
-  });
+  // Draw the meridian on every copy of the world
+  offsets.forEach(offset => drawMeridianLine(primeMeridianSvg.x + offset));
 }
 
 // Coordinate display control (position indicator)
@@ -800,47 +607,6 @@ function addCoordinateStyles() {
   document.head.appendChild(coordStyles);
 }
 
-/**
- * Calibrated distance calculation compatible with coordinate system
- * Should be used to overwrite the main file's calculation
- * @param {L.LatLng} latlng1 - First point
- * @param {L.LatLng} latlng2 - Second point
- * @returns {Object} Object with distances in miles and kilometers
- */
-function coordSystemCalculateDistance(latlng1, latlng2) {
-  try {
-    const point1 = map.latLngToContainerPoint(latlng1);
-    const point2 = map.latLngToContainerPoint(latlng2);
-    
-    if (!point1 || !point2) return { miles: 0, km: 0 };
-    
-    const dx = point2.x - point1.x;
-    const dy = point2.y - point1.y;
-    
-    // Calculate pixel distance
-    const pixelDistance = Math.sqrt(dx * dx + dy * dy);
-    
-    // Use calibrated value for this map with coord system
-    const CALIBRATED_MILES_PER_PIXEL = 2.7;
-    
-    // Apply zoom level scaling but skip latitude factor
-    const zoom = map.getZoom();
-    const milesPerPixel = CALIBRATED_MILES_PER_PIXEL / Math.pow(2, zoom);
-    const miles = pixelDistance * milesPerPixel;
-    
-    // Convert to kilometers
-    const km = miles * 1.60934;
-    
-    return {
-      miles: miles,
-      km: km
-    };
-  } catch (e) {
-    console.error('Error calculating distance:', e);
-    return { miles: 0, km: 0 };
-  }
-}
-
 /**
  * Initialize the coordinate system
  */
@@ -859,13 +625,7 @@ function initCoordinateSystem() {
   // Add CSS styles
   addCoordinateStyles();
   
-  // Override the distance calculation function with our calibrated version
-  window.originalCalculateDistance = window.calculateDistance;
-  window.calculateDistance = coordSystemCalculateDistance;
-  
   // Replace global functions with our versions
-  window.svgToLatLng = svgToLatLng;
-  window.latLngToSvg = latLngToSvg;
   window.svgToCustomLatLng = svgToCustomLatLng;
   window.drawGrid = drawGrid;
   window.drawPrimeMeridian = drawPrimeMeridian;
@@ -883,20 +643,18 @@ function initCoordinateSystem() {
   // Add grid layer to map
   gridLayer.addTo(map);
   
-  // Calculate prime meridian position
-  primeMeridianSvg = latLngToSvg(primeMeridianRef.lat, primeMeridianRef.lng);
+  // Calculate prime meridian position: on the calibrated meridian, at the reference latitude
+  const calibration = mapConfig.calibration;
+  primeMeridianSvg = { x: calibration.primeMeridianX, y: calibration.latitudeY(primeMeridianRef.lat) };
   console.log('Prime meridian positioned at:', primeMeridianSvg);
   
-  // Restrict vertical panning but allow horizontal wrapping
+  // Restrict vertical panning; the map repeats east and west (world-copies.js)
   const southWest = L.latLng(mapConfig.svgHeight, -Infinity);
   const northEast = L.latLng(0, Infinity);
   map.setMaxBounds(L.latLngBounds(southWest, northEast));
   
  // Center map at prime meridian
- const centerY = mapConfig.svgHeight / 2;
- map.panTo([centerY, primeMeridianSvg.x], {animate: true, duration: 1});
-  // Make horizontal wraparound seamless
-  modifyMapWraparound();
+ map.panTo([calibration.equatorY, primeMeridianSvg.x], {animate: true, duration: 1});
   
   // Draw initial grid
   drawGrid();
@@ -922,7 +680,6 @@ function initCoordinateSystem() {
   // Update grid on zoom or pan
   map.on('zoomend', updateCoordinateDisplays);
   map.on('moveend', updateCoordinateDisplays);
-  map.on('move', updateMapWraparound);
   
   // Update all coordinate displays (grid, meridian)
   function updateCoordinateDisplays() {
@@ -985,7 +742,7 @@ function initCoordinateSystem() {
   
   // Show success notification
   if (typeof window.showToast === 'function') {
-    window.showToast('Coordinate system initialized with calibrated distance measurements', 'success', 3000);
+    window.showToast('Coordinate system initialized', 'success', 3000);
   }
 }
 
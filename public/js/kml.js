@@ -0,0 +1,118 @@
+/**
+ * IxMaps - KML
+ * Builds KML documents for Google Earth-style tools. Positions are written
+ * in the custom lat/lng system of the map calibration (calibration.js).
+ * The viewer exports measured routes with it; the server (through require)
+ * builds the label export (lib/kml.js) on the same document and escaping.
+ */
+
+class IxKml {
+  /**
+   * Escape text for XML content and attributes
+   * @param {*} value - Value to escape
+   * @returns {String}
+   */
+  static escape(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  /**
+   * Convert a CSS hex color to KML's aabbggrr
+   * @param {String} color - #rgb or #rrggbb
+   * @returns {String} Opaque KML color
+   */
+  static color(color) {
+    let hex = String(color || '#000000').replace('#', '');
+    if (hex.length === 3) {
+      hex = hex.split('').map(digit => digit + digit).join('');
+    }
+    return `ff${hex.slice(4, 6)}${hex.slice(2, 4)}${hex.slice(0, 2)}`.toLowerCase();
+  }
+
+  /**
+   * Wrap styles and features in a KML document
+   * @param {Object} parts - { name, description, styles, features }; styles
+   *   and features are arrays of KML elements indented for the Document
+   * @returns {String} KML
+   */
+  static document({ name, description, styles = [], features = [] }) {
+    const lines = [`    <name>${IxKml.escape(name)}</name>`];
+    if (description) {
+      lines.push(`    <description>${IxKml.escape(description)}</description>`);
+    }
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+${lines.concat(styles, features).join('\n')}
+  </Document>
+</kml>
+`;
+  }
+
+  /**
+   * Build a KML document for a measured route: the line, with the total
+   * and each leg's distance, and a placemark per point
+   * @param {Array} points - { lat, lng } in map pixels, e.g. L.LatLng
+   * @param {IxCalibration} calibration - Map calibration
+   * @returns {String} KML
+   */
+  static route(points, calibration) {
+    const coordinates = points.map(point => {
+      const position = calibration.svgToCustomLatLng(point.lng, point.lat);
+      return `${position.lng.toFixed(6)},${position.lat.toFixed(6)}`;
+    });
+
+    const legs = [];
+    const total = { miles: 0, km: 0 };
+    for (let i = 1; i < points.length; i++) {
+      const distance = calibration.distance(points[i - 1], points[i]);
+      total.miles += distance.miles;
+      total.km += distance.km;
+      legs.push(`Leg ${i}: ${distance.miles.toFixed(1)} mi (${distance.km.toFixed(1)} km)`);
+    }
+    const description = [`Total: ${total.miles.toFixed(1)} mi (${total.km.toFixed(1)} km)`].concat(legs).join('\n');
+
+    const color = IxKml.color(IxKml.ROUTE_COLOR);
+    const line = `    <Placemark>
+      <name>Measured route</name>
+      <description>${IxKml.escape(description)}</description>
+      <styleUrl>#measure-line</styleUrl>
+      <LineString>
+        <tessellate>1</tessellate>
+        <coordinates>${coordinates.join(' ')}</coordinates>
+      </LineString>
+    </Placemark>`;
+    const placemarks = coordinates.map((coordinate, index) => `    <Placemark>
+      <name>Point ${index + 1}</name>
+      <styleUrl>#measure-point</styleUrl>
+      <Point><coordinates>${coordinate}</coordinates></Point>
+    </Placemark>`);
+
+    return IxKml.document({
+      name: 'IxMaps measured route',
+      styles: [
+        `    <Style id="measure-line">
+      <LineStyle><color>${color}</color><width>3</width></LineStyle>
+    </Style>`,
+        `    <Style id="measure-point">
+      <IconStyle><color>${color}</color><scale>0.6</scale></IconStyle>
+    </Style>`
+      ],
+      features: [line].concat(placemarks)
+    });
+  }
+}
+
+// Color of the measurement tool's line
+IxKml.ROUTE_COLOR = '#0078a8';
+
+// The server requires this file too
+if (typeof module === 'object' && module.exports) {
+  module.exports = IxKml;
+}
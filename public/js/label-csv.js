@@ -0,0 +1,229 @@
+/**
+ * IxMaps - Label CSV
+ * Reads and writes labels as CSV for spreadsheets. Positions are either
+ * SVG x/y pixels or custom lat/lng degrees, converted with the map
+ * calibration (calibration.js).
+ */
+
+class IxLabelCsv {
+  /**
+   * @param {Object} [options] - { calibration } of the map the labels are
+   *   placed on, an IxCalibration with the default values when not given
+   */
+  constructor(options = {}) {
+    this.calibration = options.calibration || new IxCalibration();
+
+    // Columns written on export, in order
+    this.columns = ['id', 'name', 'type', 'x', 'y', 'lat', 'lng', 'fontSize', 'color', 'minZoom', 'maxZoom', 'status', 'notes'];
+  }
+
+  /**
+   * Guess the delimiter of a CSV text from its first line
+   * Spreadsheets paste tab-separated text; some locales save with semicolons.
+   * @param {String} text - CSV text
+   * @returns {String} Delimiter
+   */
+  detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+    const counts = [',', ';', '\t'].map(delimiter => ({
+      delimiter,
+      count: firstLine.split(delimiter).length - 1
+    }));
+    counts.sort((a, b) => b.count - a.count);
+    return counts[0].count > 0 ? counts[0].delimiter : ',';
+  }
+
+  /**
+   * Parse CSV text into rows of cells
+   * Handles quoted cells with delimiters, quotes and line breaks.
+   * @param {String} text - CSV text
+   * @returns {Object} { headers, rows } - rows are arrays of cell strings
+   */
+  parse(text) {
+    const source = text.replace(/^\uFEFF/, '');
+    const delimiter = this.detectDelimiter(source);
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < source.length; i++) {
+      const char = source[i];
+
+      if (quoted) {
+        if (char === '"' && source[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === delimiter) {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && source[i + 1] === '\n') i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+
+    if (cell !== '' || row.length > 0) {
+      row.push(cell);
+      rows.push(row);
+    }
+
+    // Skip blank lines
+    const filled = rows.filter(cells => cells.some(value => value.trim() !== ''));
+    const headers = (filled.shift() || []).map(header => header.trim());
+
+    return { headers, rows: filled };
+  }
+
+  /**
+   * Guess which CSV column holds each label field
+   * @param {Array} headers - CSV headers
+   * @returns {Object} field -> column index, for the fields found
+   */
+  guessMapping(headers) {
+    const aliases = {
+      id: ['id'],
+      name: ['name', 'label', 'text', 'title'],
+      type: ['type', 'category', 'kind'],
+      x: ['x'],
+      y: ['y'],
+      lat: ['lat', 'latitude'],
+      lng: ['lng', 'lon', 'long', 'longitude'],
+      fontSize: ['fontsize', 'font size', 'size'],
+      color: ['color', 'colour'],
+      minZoom: ['minzoom', 'min zoom'],
+      maxZoom: ['maxzoom', 'max zoom'],
+      status: ['status'],
+      notes: ['notes', 'note', 'comment', 'comments']
+    };
+
+    const mapping = {};
+    const normalized = headers.map(header => header.toLowerCase().replace(/[_-]/g, ' ').trim());
+    Object.entries(aliases).forEach(([field, names]) => {
+      const index = normalized.findIndex(header => names.includes(header));
+      if (index !== -1) {
+        mapping[field] = index;
+      }
+    });
+    return mapping;
+  }
+
+  /**
+   * Read a numeric cell, accepting decimal commas
+   * @param {String} value - Cell text
+   * @returns {Number|undefined} Number, the text when not numeric (so the
+   *   server reports it), or undefined when empty
+   */
+  readNumber(value) {
+    const text = value.trim();
+    if (text === '') return undefined;
+    const number = Number(/^-?\d+,\d+$/.test(text) ? text.replace(',', '.') : text);
+    return Number.isFinite(number) ? number : text;
+  }
+
+  /**
+   * Read a text cell, undoing the formula guard added on export
+   * @param {String} value - Cell text
+   * @returns {String}
+   */
+  readText(value) {
+    return value.replace(/^'(?=[=+\-@])/, '');
+  }
+
+  /**
+   * Turn parsed CSV rows into label records
+   * @param {Array} rows - Rows from parse
+   * @param {Object} mapping - field -> column index
+   * @param {Object} [options] - { coordinates: 'svg' or 'latlng', types }
+   *   types maps lowercased display names (e.g. "water body") to label types
+   * @returns {Array} Label records for the import API
+   */
+  toLabels(rows, mapping, options = {}) {
+    const types = options.types || {};
+    const cell = (row, field) => mapping[field] === undefined ? '' : (row[mapping[field]] || '');
+
+    return rows.map(row => {
+      const label = {};
+
+      ['id', 'name', 'color', 'notes'].forEach(field => {
+        const value = this.readText(cell(row, field)).trim();
+        if (value !== '') label[field] = value;
+      });
+
+      const type = cell(row, 'type').trim().toLowerCase();
+      if (type) label.type = types[type] || type;
+
+      const status = cell(row, 'status').trim().toLowerCase();
+      if (status) label.status = status;
+
+      ['fontSize', 'minZoom', 'maxZoom'].forEach(field => {
+        const value = this.readNumber(cell(row, field));
+        if (value !== undefined) label[field] = value;
+      });
+
+      if (options.coordinates === 'latlng') {
+        const lat = this.readNumber(cell(row, 'lat'));
+        const lng = this.readNumber(cell(row, 'lng'));
+        if (typeof lat === 'number' && typeof lng === 'number') {
+          const point = this.calibration.customLatLngToSvg(lat, lng);
+          label.x = point.x;
+          label.y = point.y;
+        }
+      } else {
+        label.x = this.readNumber(cell(row, 'x'));
+        label.y = this.readNumber(cell(row, 'y'));
+      }
+
+      return label;
+    });
+  }
+
+  /**
+   * Quote a value for a CSV cell
+   * Text starting like a formula is prefixed with ' so spreadsheets
+   * show it as text instead of evaluating it.
+   * @param {*} value - Cell value
+   * @returns {String}
+   */
+  formatCell(value) {
+    if (value === undefined || value === null) return '';
+
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",;\t\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Write labels as CSV with both SVG and lat/lng positions
+   * @param {Array} labels - Labels
+   * @returns {String} CSV text, with a byte order mark so spreadsheets read it as UTF-8
+   */
+  stringify(labels) {
+    const lines = [this.columns.join(',')];
+
+    labels.forEach(label => {
+      const position = this.calibration.svgToCustomLatLng(label.x, label.y);
+      const values = Object.assign({}, label, {
+        lat: Number(position.lat.toFixed(6)),
+        lng: Number(position.lng.toFixed(6))
+      });
+      lines.push(this.columns.map(column => this.formatCell(values[column])).join(','));
+    });
+
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+  }
+}
@@ -0,0 +1,100 @@
+/**
+ * IxMaps - Map Legend
+ * Renders the legend for the current color scheme from /api/legend and
+ * switches with the map when SVGLayerHandler changes the color scheme
+ */
+
+class IxMapLegend {
+  /**
+   * @param {Object} [options] - { apiBaseUrl, containerId }
+   */
+  constructor(options = {}) {
+    this.apiBaseUrl = options.apiBaseUrl || '/data/maps/ixmaps/api';
+    this.containerId = options.containerId || 'legend-content';
+
+    // Legend from the API, and the scheme the map is drawn in
+    this.legend = null;
+    this.scheme = null;
+
+    // Sent by SVGLayerHandler.applyColorScheme
+    window.addEventListener('ixmaps:colorschemechange', event => {
+      this.setScheme(event.detail.scheme);
+    });
+  }
+
+  /**
+   * Load the legend and render it
+   */
+  async load() {
+    try {
+      const response = await fetch(`${this.apiBaseUrl}/legend`);
+      if (!response.ok) {
+        throw new Error(`API error: ${response.status}`);
+      }
+
+      this.legend = await response.json();
+      this.render();
+    } catch (error) {
+      console.error('Error loading legend:', error);
+    }
+  }
+
+  /**
+   * Show the legend of another color scheme
+   * @param {String} scheme - Scheme id, e.g. "topographic"
+   */
+  setScheme(scheme) {
+    this.scheme = scheme;
+    this.render();
+  }
+
+  /**
+   * The scheme to show: the map's, or the default when the legend has none for it
+   * @returns {Object|null} Scheme with name and sections
+   */
+  currentScheme() {
+    if (!this.legend) return null;
+
+    const schemes = this.legend.schemes || {};
+    return schemes[this.scheme] || schemes[this.legend.defaultScheme] || null;
+  }
+
+  /**
+   * Render the sections of the current scheme
+   */
+  render() {
+    const container = document.getElementById(this.containerId);
+    const scheme = this.currentScheme();
+    if (!container || !scheme) return;
+
+    container.innerHTML = '';
+
+    scheme.sections.forEach(section => {
+      const sectionElement = document.createElement('div');
+      sectionElement.className = 'legend-section';
+
+      const title = document.createElement('div');
+      title.className = 'legend-section-title';
+      title.textContent = section.title;
+      sectionElement.appendChild(title);
+
+      section.items.forEach(item => {
+        const itemElement = document.createElement('div');
+        itemElement.className = 'legend-item';
+
+        const swatch = document.createElement('div');
+        swatch.className = 'legend-color';
+        swatch.style.backgroundColor = item.color;
+
+        const label = document.createElement('span');
+        label.textContent = item.label;
+
+        itemElement.appendChild(swatch);
+        itemElement.appendChild(label);
+        sectionElement.appendChild(itemElement);
+      });
+
+      container.appendChild(sectionElement);
+    });
+  }
+}
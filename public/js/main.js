@@ -4,9 +4,8 @@
  * @namespace IxMaps
  */
 
-// Constants for scale calculations 
-const MILES_PER_PIXEL = 3.2; // Base scale: 1px = 3.2 mi (linear distance)
-const KM_PER_PIXEL = 5.15; // Conversion factor from miles to kilometers
+// localStorage key of the layer control panel state kept across reloads
+const LAYER_STATE_KEY = 'ixmaps-layer-state';
 
 document.addEventListener('DOMContentLoaded', function() {
   // Initialize the IxMaps namespace
@@ -186,168 +185,193 @@ function hideToast(toastId) {
   }, 300);
 }
 
-// SVG cache for performance optimization
-const svgCache = {};
-
-// SVG cache & lazy loading for better performance
-const svgQueue = [];
-let isLoadingSvg = false;
+/**
+ * Normalizes an Inkscape layer name to its layer toggle key
+ * e.g. "Altitude 1" -> "altitude-1", "Political" -> "political"
+ * @param {String} name - inkscape:label or id of the layer
+ * @returns {String} Layer key
+ */
+function svgLayerKey(name) {
+  return String(name).trim().toLowerCase().replace(/[\s_]+/g, '-');
+}
 
 /**
- * Loads an SVG and returns its dimensions with prioritized loading
- * @param {String} url - The URL of the SVG to load
- * @returns {Promise} Promise resolving to an object with width and height
+ * Splits an SVG document into one standalone SVG per top-level Inkscape layer
+ * Each part keeps the root attributes and shared defs and styles, so it
+ * draws exactly as the layer does in the full map. Content outside any
+ * layer (e.g. a background) goes into a "base" part drawn below the layers.
+ * @param {Document} svgDoc - Parsed SVG document
+ * @param {Object} dimensions - { width, height } used when the SVG has no viewBox
+ * @returns {Array} Parts bottom to top: { key, name, svg } with svg an SVGSVGElement
  */
-function loadSVGDimensions(url) {
-  // Return from cache immediately if available
-  if (svgCache[url]) {
-    return Promise.resolve(svgCache[url]);
-  }
+function splitSvgLayers(svgDoc, dimensions) {
+  const root = svgDoc.documentElement;
+  const shared = [];
+  const base = [];
+  const layers = [];
   
-  // Create new promise for loading
-  return new Promise((resolve, reject) => {
-    // Function to process SVG fetch
-    const processSvg = () => {
-      isLoadingSvg = true;
-      
-      // Try to load the SVG
-      fetch(url, { 
-        cache: 'force-cache',
-        priority: 'high' // High priority for main resources
-      })
-      .then(response => {
-        if (!response.ok) {
-          throw new Error(`Failed to load SVG: ${response.status} ${response.statusText}`);
-        }
-        return response.text();
-      })
-      .then(svgText => {
-        // Try to extract viewBox or width/height
-        const viewBoxMatch = svgText.match(/viewBox="([^"]+)"/);
-        const widthMatch = svgText.match(/width="([^"]+)"/);
-        const heightMatch = svgText.match(/height="([^"]+)"/);
-        
-        let dimensions;
-        
-        if (viewBoxMatch) {
-          const viewBox = viewBoxMatch[1].split(/\s+/).map(Number);
-          dimensions = {
-            width: viewBox[2],
-            height: viewBox[3]
-          };
-        } else if (widthMatch && heightMatch) {
-          dimensions = {
-            width: parseFloat(widthMatch[1]),
-            height: parseFloat(heightMatch[1])
-          };
-        } else {
-          // Default dimensions if we couldn't extract from SVG
-          dimensions = {
-            width: 8200, // Match SVG dimensions
-            height: 4900
-          };
-        }
-        
-        // Cache the result
-        svgCache[url] = dimensions;
-        resolve(dimensions);
-        
-        // Process next in queue
-        isLoadingSvg = false;
-        if (svgQueue.length > 0) {
-          const next = svgQueue.shift();
-          next.processFn().then(next.resolve).catch(next.reject);
-        }
-      })
-      .catch(error => {
-        console.error("Error loading SVG:", error);
-        // Return default dimensions on error
-        const dimensions = {
-          width: 8200,
-          height: 4900
-        };
-        svgCache[url] = dimensions;
-        resolve(dimensions);
-        
-        // Process next in queue
-        isLoadingSvg = false;
-        if (svgQueue.length > 0) {
-          const next = svgQueue.shift();
-          next.processFn().then(next.resolve).catch(next.reject);
-        }
-      });
-    };
-    
-    // If already loading an SVG, queue this one
-    if (isLoadingSvg) {
-      svgQueue.push({
-        processFn: () => processSvg(),
-        resolve: resolve,
-        reject: reject
-      });
-    } else {
-      processSvg();
+  Array.from(root.children).forEach(child => {
+    if (child.localName === 'defs' || child.localName === 'style') {
+      shared.push(child);
+    } else if (child.getAttribute('inkscape:groupmode') === 'layer') {
+      layers.push(child);
+    } else if (child.localName !== 'metadata' && child.localName !== 'namedview') {
+      base.push(child);
     }
   });
+  
+  const createPart = (children) => {
+    const svg = document.importNode(root, false);
+    if (!svg.hasAttribute('viewBox')) {
+      svg.setAttribute('viewBox', `0 0 ${dimensions.width} ${dimensions.height}`);
+    }
+    shared.concat(children).forEach(child => {
+      svg.appendChild(document.importNode(child, true));
+    });
+    return svg;
+  };
+  
+  const parts = [];
+  if (base.length > 0 || layers.length === 0) {
+    parts.push({ key: 'base', name: 'Base', svg: createPart(layers.length === 0 ? base.concat(layers) : base) });
+  }
+  
+  layers.forEach(layer => {
+    const name = layer.getAttribute('inkscape:label') || layer.getAttribute('id') || `Layer ${parts.length + 1}`;
+    parts.push({ key: svgLayerKey(name), name: name, svg: createPart([layer]) });
+  });
+  
+  return parts;
 }
 
 /**
- * Calculates scale factor between raw map and display
- * @returns {Number} The calculated scale factor
+ * Aligns an overlay SVG to the master map bounds
+ * The overlay is scaled to the master map's width, keeping its aspect
+ * ratio, and centered vertically: e.g. political.svg (8191.84 x 4195.78)
+ * becomes 8200 x 4200 on the 8200 x 4900 master map, 350 from the edges.
+ * @param {Object} viewBox - Overlay viewBox, { width, height }
+ * @param {Number} mapWidth - Master map width
+ * @param {Number} mapHeight - Master map height
+ * @returns {Array} Leaflet bounds [[south, west], [north, east]]
  */
-function calculateScaleFactor() {
-  // Use the current display size vs raw map size
-  const mapWidth = map.getContainer().clientWidth;
-  const mapHeight = map.getContainer().clientHeight;
-  
-  // Calculate width and height scale factors
-  const widthScale = mapConfig.svgWidth / mapConfig.rawWidth;
-  const heightScale = mapConfig.svgHeight / mapConfig.rawHeight;
+function alignOverlayBounds(viewBox, mapWidth, mapHeight) {
+  if (!viewBox.width || !viewBox.height) {
+    return [[0, 0], [mapHeight, mapWidth]];
+  }
   
-  // Use the smaller scale to maintain proportions
-  return Math.min(widthScale, heightScale);
+  const height = viewBox.height * (mapWidth / viewBox.width);
+  const south = (mapHeight - height) / 2;
+  return [[south, 0], [south + height, mapWidth]];
 }
 
 /**
- * Calculates distance measurements based on pixel distance (LINEAR distance)
- * @param {L.LatLng} latlng1 - First point
- * @param {L.LatLng} latlng2 - Second point
- * @returns {Object} Object with distances in miles and kilometers
+ * Draws one tile pyramid made by build-tiles.js
+ * The pyramid covers the map once. Each tile is put together from the
+ * source tiles under it, wrapping at the map's east and west edges, as the
+ * map width is not a whole number of tiles at most zoom levels; Leaflet's
+ * own wrapping along the CRS, which moves whole tiles, is turned off.
  */
-function calculateDistance(latlng1, latlng2) {
-  try {
-    const point1 = map.latLngToContainerPoint(latlng1);
-    const point2 = map.latLngToContainerPoint(latlng2);
-    
-    if (!point1 || !point2) return { miles: 0, km: 0 };
-    
-    const dx = point2.x - point1.x;
-    const dy = point2.y - point1.y;
+const MapTileLayer = L.GridLayer.extend({
+  /**
+   * @param {Object} manifest - tiles/manifest.json
+   * @param {String} baseUrl - URL of the tiles directory
+   * @param {String} key - Pyramid: "composite", "base" or a layer key
+   * @param {Object} [options] - L.GridLayer options, e.g. zIndex
+   */
+  initialize: function(manifest, baseUrl, key, options) {
+    this._manifest = manifest;
+    this._baseUrl = baseUrl;
+    this._key = key;
     
-    // Calculate pixel distance
-    const pixelDistance = Math.sqrt(dx * dx + dy * dy);
+    L.GridLayer.prototype.initialize.call(this, L.extend({
+      tileSize: manifest.tileSize,
+      noWrap: true,
+      minNativeZoom: manifest.minZoom,
+      maxNativeZoom: manifest.maxZoom
+    }, options));
+  },
+  
+  createTile: function(coords, done) {
+    const manifest = this._manifest;
+    const size = manifest.tileSize;
+    const tile = document.createElement('canvas');
+    tile.width = size;
+    tile.height = size;
     
-    // Get current center latitude to adjust for projection distortion
-    const centerLat = map.getCenter().lat;
-    const latFactor = Math.cos(Math.abs(centerLat) * Math.PI / 180);
+    // Pyramid rows start at the top of the map's first row (see lib/tiles.js)
+    const scale = Math.pow(2, coords.z);
+    const rows = Math.ceil(manifest.height * scale / size);
+    const row = coords.y + rows;
+    if (row < 0 || row >= rows) {
+      setTimeout(() => done(null, tile), 0);
+      return tile;
+    }
     
-    // Convert to linear miles using the distance formula with latitude correction
-    // Adjusted for zoom level
-    const zoom = map.getZoom();
-    const milesPerPixel = MILES_PER_PIXEL / Math.pow(2, zoom) / Math.max(0.5, latFactor);
-    const miles = pixelDistance * milesPerPixel;
+    // Strips of source tiles across this tile, wrapped onto the map
+    const worldWidth = manifest.width * scale;
+    const pieces = [];
+    for (let drawn = 0; drawn < size;) {
+      const x = ((coords.x * size + drawn) % worldWidth + worldWidth) % worldWidth;
+      const column = Math.floor(x / size);
+      const offset = x - column * size;
+      const width = Math.min(size - offset, size - drawn, worldWidth - x);
+      pieces.push({ column: column, offset: offset, width: width, at: drawn });
+      drawn += width;
+    }
     
-    // Convert miles to kilometers (linear conversion)
-    const km = miles * (KM_PER_PIXEL / MILES_PER_PIXEL);
+    const context = tile.getContext('2d');
+    Promise.all(pieces.map(piece => this._loadImage(coords.z, piece.column, row).then(image => {
+      if (image) {
+        context.drawImage(image, piece.offset, 0, piece.width, size, piece.at, 0, piece.width, size);
+      }
+    }))).then(() => done(null, tile));
     
-    return {
-      miles: miles,
-      km: km
-    };
-  } catch (e) {
-    console.error('Error calculating distance:', e);
-    return { miles: 0, km: 0 };
+    return tile;
+  },
+  
+  /**
+   * Loads one source tile; the build leaves out blank tiles
+   * @returns {Promise<HTMLImageElement|null>} Null where there is no tile
+   */
+  _loadImage: function(z, x, y) {
+    const manifest = this._manifest;
+    return new Promise(resolve => {
+      const image = new Image();
+      image.onload = () => resolve(image);
+      image.onerror = () => resolve(null);
+      image.src = `${this._baseUrl}/${this._key}/${z}/${x}/${y}.${manifest.format}?v=${manifest.version}`;
+    });
   }
+});
+
+/**
+ * Calculates the distance between two points with the map calibration
+ * @param {L.LatLng} latlng1 - First point
+ * @param {L.LatLng} latlng2 - Second point
+ * @returns {Object} Object with distances in miles and kilometers
+ */
+function calculateDistance(latlng1, latlng2) {
+  const distance = mapConfig.calibration.distance(latlng1, latlng2);
+  return {
+    miles: distance.miles,
+    km: distance.km
+  };
+}
+
+/**
+ * Downloads a measured route as a KML file
+ * @param {Array} points - Measured points (L.LatLng in map coordinates)
+ */
+function downloadMeasuredRoute(points) {
+  const blob = new Blob([IxKml.route(points, mapConfig.calibration)], { type: 'application/vnd.google-earth.kml+xml' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `ixmaps-route-${new Date().toISOString().slice(0, 10)}.kml`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
 }
 
 /**
@@ -377,34 +401,34 @@ function initMap() {
   // Map configuration with raw map dimensions
   const config = {
     masterMapPath: 'master-map.svg', // Single master SVG map with all layers
+    tilesPath: 'tiles', // Raster tiles of the master map, when built
+    lodPath: 'lod', // Simplified overlay SVGs for zoomed-out views, when built
     svgWidth: 8200,  // Updated to match SVG dimensions
     svgHeight: 4900, // Updated to match SVG dimensions
     initialZoom: 2,  
     minZoom: -2,
     maxZoom: 6,
-    // Raw map dimensions and coordinate system parameters
-    rawWidth: 8202,
-    rawHeight: 4900,
-    pixelsPerLongitude: 45.5666,
-    pixelsPerLatitude: 27.2222,
-    equatorY: 2450,
-    primeMeridianX: 4101,
-    milesPerPixel: MILES_PER_PIXEL, // Using linear distance scale
-    kmPerPixel: KM_PER_PIXEL, // Converted value
+    // Lat/lng, distance and scale (calibration.js); the defaults until the
+    // calibration in the settings is loaded, then calibrationReady resolves
+    calibration: new IxCalibration(),
+    calibrationReady: null,
     labelFontSize: 12, // Default font size for country labels
-    labelClassName: 'country-label' // CSS class for country labels
+    labelClassName: 'country-label', // CSS class for country labels
+    apiBaseUrl: '/data/maps/ixmaps/api' // Labels and layer groups
   };
 
   // Create the Leaflet map with optimized options - removed throttling
+  // The map repeats east and west (world-copies.js)
+  IxWrapCRS.setWorldWidth(config.svgWidth);
   window.map = L.map('map', {
-    crs: L.CRS.Simple,
+    crs: IxWrapCRS,
     minZoom: config.minZoom,
     maxZoom: config.maxZoom,
     zoomSnap: 0.25,
     zoomDelta: 0.5,
     attributionControl: false,
     // Center at prime meridian immediately instead of [0,0]
-    center: [config.svgHeight / 2, config.primeMeridianX],
+    center: [config.calibration.equatorY, config.calibration.primeMeridianX],
     zoom: config.initialZoom,
     wheelPxPerZoomLevel: 120, // Make zoom less sensitive
     fadeAnimation: true, 
@@ -416,6 +440,14 @@ function initMap() {
   // Make map accessible globally
   window.mapConfig = config;
   
+  // Viewer settings: the overlay registry and the map calibration
+  const settingsRequest = IxCalibration.fetchSettings(config.apiBaseUrl);
+  
+  config.calibrationReady = IxCalibration.load(config.apiBaseUrl, settingsRequest)
+    .then(calibration => {
+      config.calibration = calibration;
+    });
+  
   // Add attribution control
   L.control.attribution({
     prefix: 'IxMaps™ v3.5 Beta'
@@ -473,35 +505,46 @@ function initMap() {
       // Add point to array
       measurePoints.push(e.latlng);
       
-      // Add marker for the point
-      const marker = L.circleMarker(e.latlng, {
-        color: '#0078A8',
-        fillColor: '#0078A8',
-        fillOpacity: 1,
-        radius: 4
-      }).addTo(measureLayer);
+      // Draw the route again on every copy of the world
+      measureLayer.refresh();
+    }
+    
+    /**
+     * Draws the measured route on one copy of the world
+     * @param {Number} offset - x offset of the copy from the one the route starts on
+     * @returns {L.LayerGroup} Points, segments and their distances
+     */
+    function drawMeasuredRoute(offset) {
+      const route = L.layerGroup();
+      if (measurePoints.length === 0) return route;
+      
+      const shift = offset - map.options.crs.worldOffset(measurePoints[0].lng);
+      const points = measurePoints.map(point => L.latLng(point.lat, point.lng + shift));
       
-      // If we have at least 2 points, draw a line
-      if (measurePoints.length > 1) {
-        const lastIndex = measurePoints.length - 1;
-        const line = L.polyline([
-          measurePoints[lastIndex - 1],
-          measurePoints[lastIndex]
-        ], {
+      points.forEach((point, index) => {
+        // Add marker for the point
+        L.circleMarker(point, {
+          color: '#0078A8',
+          fillColor: '#0078A8',
+          fillOpacity: 1,
+          radius: 4
+        }).addTo(route);
+        
+        if (index === 0) return;
+        
+        // Draw a line from the previous point
+        L.polyline([points[index - 1], point], {
           color: '#0078A8',
           weight: 3,
           opacity: 0.7,
           dashArray: '5, 7'
-        }).addTo(measureLayer);
+        }).addTo(route);
         
         // Calculate distance using the linear distance formula
-        const distance = calculateDistance(
-          measurePoints[lastIndex - 1],
-          measurePoints[lastIndex]
-        );
+        const distance = calculateDistance(measurePoints[index - 1], measurePoints[index]);
         
         // Show distance label with miles and km
-        const midPoint = L.latLngBounds(measurePoints[lastIndex - 1], measurePoints[lastIndex]).getCenter();
+        const midPoint = L.latLngBounds(points[index - 1], point).getCenter();
         L.marker(midPoint, {
           icon: L.divIcon({
             className: 'distance-label',
@@ -509,8 +552,10 @@ function initMap() {
             iconSize: [100, 40],
             iconAnchor: [50, 20]
           })
-        }).addTo(measureLayer);
-      }
+        }).addTo(route);
+      });
+      
+      return route;
     }
     
     /**
@@ -555,6 +600,7 @@ function initMap() {
           <div>
             <strong>Total:</strong> ${totalDistance.miles.toFixed(1)} mi (${totalDistance.km.toFixed(1)} km)
             <div class="toast-actions">
+              <button id="export-measurements-btn" class="toast-btn">Export KML</button>
               <button id="clear-measurements-btn" class="toast-btn">Clear</button>
               <button id="dismiss-toast-btn" class="toast-btn toast-btn-secondary">Dismiss</button>
             </div>
@@ -563,10 +609,20 @@ function initMap() {
         
         const toastId = showToast(toastContent, 'success', 0);
         
+        // Keep this route's points; a new measurement resets measurePoints
+        const routePoints = measurePoints.slice();
+        
         // Add event listeners to buttons
+        const exportBtn = document.getElementById('export-measurements-btn');
         const clearBtn = document.getElementById('clear-measurements-btn');
         const dismissBtn = document.getElementById('dismiss-toast-btn');
         
+        if (exportBtn) {
+          exportBtn.addEventListener('click', function() {
+            downloadMeasuredRoute(routePoints);
+          });
+        }
+        
         if (clearBtn) {
           clearBtn.addEventListener('click', function() {
             if (measureLayer) {
@@ -598,7 +654,7 @@ function initMap() {
         if (measureLayer) {
           map.removeLayer(measureLayer);
         }
-        measureLayer = L.layerGroup().addTo(map);
+        measureLayer = new IxWorldCopies(drawMeasuredRoute).addTo(map);
         
         button.style.backgroundColor = '#f4f4f4';
         button.style.color = '#0078A8';
@@ -706,8 +762,6 @@ function initMap() {
     
     // Define nice scale values in miles (common map scales)
     const scaleValues = [1, 2, 5, 10, 25, 50, 100, 250, 500, 1000, 2000, 5000];
-    // Define matching standard scale ratios
-    const scaleRatios = [1000, 2000, 5000, 10000, 25000, 50000, 100000, 250000, 500000, 1000000, 2000000, 5000000];
   
     // Function to update the scale display
     function updateScale() {
@@ -717,13 +771,12 @@ function initMap() {
       // Get map width in pixels
       const mapWidthPixels = map.getSize().x;
       
-      // Calculate miles per pixel at current zoom
-      const zoomFactor = Math.pow(2, zoom);
-      const milesPerPixel = MILES_PER_PIXEL / zoomFactor;
+      // Calculate miles per screen pixel at current zoom
+      const calibration = mapConfig.calibration;
+      const milesPerPixel = calibration.milesPerScreenPixel(zoom);
       
       // Find appropriate scale value
       let selectedValue = scaleValues[0];
-      let selectedRatio = scaleRatios[0];
       let selectedPixelWidth = selectedValue / milesPerPixel;
       
       // Find a scale value that gives a nice bar width (between 50-300 pixels)
@@ -737,14 +790,12 @@ function initMap() {
         if (pixelWidth > 300 && i > 0) {
           // Use previous value as this one is too large
           selectedValue = scaleValues[i-1];
-          selectedRatio = scaleRatios[i-1];
           selectedPixelWidth = selectedValue / milesPerPixel;
           break;
         }
         
         // This value is good
         selectedValue = scaleValues[i];
-        selectedRatio = scaleRatios[i];
         selectedPixelWidth = pixelWidth;
         
         if (pixelWidth >= 80 && pixelWidth <= 200) {
@@ -753,7 +804,7 @@ function initMap() {
       }
       
       // Calculate km equivalent
-      const selectedKm = selectedValue * (KM_PER_PIXEL / MILES_PER_PIXEL);
+      const selectedKm = selectedValue * IxCalibration.KM_PER_MILE;
       
       // Update scale bar width
       scaleBar.style.width = `${Math.round(selectedPixelWidth)}px`;
@@ -777,7 +828,7 @@ function initMap() {
       // Update scale display with the selected values and map scale ratio
       scaleInfo.innerHTML = `
         ${milesDisplay} mi (${kmDisplay} km)<br>
-        Map Scale: 1:${selectedRatio}
+        Map Scale: 1:${Math.round(calibration.scaleRatio(zoom)).toLocaleString()}
       `;
     }
     
@@ -785,16 +836,24 @@ function initMap() {
     map.on('zoomend', updateScale);
     map.on('resize', updateScale);
     
-    // Initial update
+    // Initial update, and again with the saved calibration
     updateScale();
+    mapConfig.calibrationReady.then(updateScale);
     
     return div;
   };
   
   customScale.addTo(map);
 
-  // Layers for map and SVG overlays
-  let masterLayer, leftMasterLayer, rightMasterLayer;
+  // Leaflet layers drawing the master map: inline SVG overlays on every copy
+  // of the world in view, one IxWorldCopies per layer, or tile layers when
+  // raster tiles are built
+  let masterOverlays = [];
+  
+  // Layer key -> { key, name, elements, hiddenInSource, tiles } where elements
+  // are the layer's groups in every copy of the world, so changes apply to all
+  // copies at once, and tiles is its tile layer when drawn from raster tiles
+  const svgLayers = new Map();
   
   // Map layer visibility settings
   const layerVisibility = {
@@ -815,76 +874,87 @@ function initMap() {
     labels: true
   };
   
+  // Layer panel choices saved in localStorage: { svg, overlays, overlayOrder, labels, solo }
+  const layerState = readLayerState();
+  Object.keys(layerState.svg).forEach(key => {
+    if (typeof layerState.svg[key].visible === 'boolean') {
+      layerVisibility[key] = layerState.svg[key].visible;
+    }
+  });
+  
   // Will hold the country label layer group
   let countryLabelsLayer = null;
+  
+  // Overlay registry from the settings, by id:
+  // { entry, pane, zIndex, variants, url, layer, loaded, visible } where
+  // variants are its simplified copies ({ maxZoom, url }, coarsest first), url
+  // the copy shown at the current zoom, layer the IxWorldCopies shown, and
+  // loaded the layers made so far by url
+  const overlays = new Map();
+  
+  // Label layer groups from the API: { group, layer, labels, shown, visible }
+  // where shown are the labels in zoom range, drawn by layer on every copy of
+  // the world, plus one without a toggle for labels whose type is in no group
+  let labelLayers = [];
+  
+  // Live label changes (/labels/events), and whether the stream dropped
+  // since the labels were last loaded
+  let labelEvents = null;
+  let labelEventsLost = false;
 
   // Load the master SVG
-  loadSVGDimensions(config.masterMapPath)
-    .then((dimensions) => {
-      // Use dimensions from master map
+  // Load the master map: raster tiles when they are built, else the SVG
+  loadTileManifest()
+    .then(manifest => manifest
+      ? { manifest: manifest, dimensions: { width: manifest.width, height: manifest.height } }
+      : IxSvgDocument.load(config.masterMapPath).then(master => ({
+        master: master,
+        // Use dimensions from master map, or its known size if it has none
+        dimensions: master.dimensions || { width: 8200, height: 4900 }
+      })))
+    .then(({ manifest, master, dimensions }) => {
       config.svgWidth = dimensions.width;
       config.svgHeight = dimensions.height;
+      map.options.crs.setWorldWidth(config.svgWidth);
       
       console.log(`Loaded SVG with dimensions: ${config.svgWidth} x ${config.svgHeight}`);
       
+      return config.calibrationReady.then(() => {
+        const calibration = config.calibration;
+        if (calibration.mapWidth !== config.svgWidth || calibration.mapHeight !== config.svgHeight) {
+          console.warn(`The calibration is for a ${calibration.mapWidth} x ${calibration.mapHeight} map, ` +
+            'so positions and distances will be off until it is updated');
+        }
+        return { manifest, master, dimensions };
+      });
+    })
+    .then(({ manifest, master, dimensions }) => {
       // Calculate bounds - but don't fitBounds to keep our initial center
       const bounds = [
         [0, 0],
         [config.svgHeight, config.svgWidth]
       ];
 
-      // Create master map layer
-      masterLayer = L.imageOverlay(config.masterMapPath, bounds, {
-        // Add caching options for better performance
-        keepBuffer: 4, // Larger tile buffer to prevent flashing
-        opacity: 1,
-        interactive: false // Not interactive for better performance
-      }).addTo(map);
-      
-      // Debug info about the SVG layers
-      fetch(config.masterMapPath)
-        .then(response => response.text())
-        .then(svgText => {
-          const parser = new DOMParser();
-          const svgDoc = parser.parseFromString(svgText, "image/svg+xml");
-          
-          // Get all Inkscape layers
-          const layers = svgDoc.querySelectorAll('[inkscape\\:groupmode="layer"]');
-          console.log(`Found ${layers.length} Inkscape layers:`);
-          
-          layers.forEach(layer => {
-            const id = layer.getAttribute('id');
-            const label = layer.getAttribute('inkscape:label');
-            console.log(`- Layer: id="${id}", inkscape:label="${label}"`);
-          });
-        })
-        .catch(error => {
-          console.error('Error analyzing SVG layers:', error);
-        });
-      
-      // Add wrapped layers for continuity when panning
-      // Left copies
-      leftMasterLayer = L.imageOverlay(config.masterMapPath, [
-        [0, -config.svgWidth],
-        [config.svgHeight, 0]
-      ], {
-        interactive: false
-      }).addTo(map);
+      // Draw each Inkscape layer from its tiles, or as its own inline SVG
+      // repeated on every copy of the world in view
+      if (manifest) {
+        renderTileLayers(manifest);
+      } else {
+        renderSvgLayers(master.document, dimensions);
+      }
       
-      // Right copies
-      rightMasterLayer = L.imageOverlay(config.masterMapPath, [
-        [0, config.svgWidth],
-        [config.svgHeight, config.svgWidth * 2]
-      ], {
-        interactive: false
-      }).addTo(map);
-
       // Center the map
       map.fitBounds(bounds);
       
       // Create layer control with SVG layer management
       createLayerControl();
       
+      // Add the overlays from the settings
+      loadOverlays();
+      
+      // Add the labels, with a toggle per layer group
+      loadLabelLayers();
+      
       // Load country labels if enabled by default
       if (layerVisibility.labels) {
         setTimeout(() => {
@@ -895,18 +965,6 @@ function initMap() {
       // Hide loading indicator
       document.getElementById('loading-indicator').style.display = 'none';
 
-      // Implement wrapping behavior without throttling
-      map.on('moveend', function() {
-        const center = map.getCenter();
-        
-        // If panned beyond bounds, wrap around immediately
-        if (center.lng < 0) {
-          map.panTo([center.lat, center.lng + config.svgWidth], {animate: false});
-        } else if (center.lng > config.svgWidth) {
-          map.panTo([center.lat, center.lng - config.svgWidth], {animate: false});
-        }
-      });
-      
       // Show success message
       showToast('Map loaded successfully', 'success', 3000);
     })
@@ -919,6 +977,197 @@ function initMap() {
       showToast('Failed to load map resources. Please try refreshing the page.', 'error', 0);
     });
 
+  /**
+   * Adds the master map to the map as inline SVG overlays
+   * Each layer gets an overlay per copy of the world in view. Copies are
+   * cloned from the first, so they take its current layer styles, and are
+   * moved rather than cloned again as the view pans.
+   * @param {Document} svgDoc - Parsed master SVG
+   * @param {Object} dimensions - { width, height } of the master SVG
+   */
+  function renderSvgLayers(svgDoc, dimensions) {
+    masterOverlays.forEach(overlay => map.removeLayer(overlay));
+    masterOverlays = [];
+    svgLayers.clear();
+    
+    const parts = splitSvgLayers(svgDoc, dimensions);
+    console.log(`Found ${parts.length} SVG layers:`, parts.map(part => part.name).join(', '));
+    
+    const worldBounds = offset => [
+      [0, offset],
+      [config.svgHeight, offset + config.svgWidth]
+    ];
+    
+    parts.forEach(part => {
+      let cloned = false;
+      
+      masterOverlays.push(new IxWorldCopies(offset => {
+        const svg = cloned ? part.svg.cloneNode(true) : part.svg;
+        cloned = true;
+        indexSvgLayers(svg);
+        return L.svgOverlay(svg, worldBounds(offset), {
+          interactive: false // Not interactive for better performance
+        });
+      }, {
+        move: (overlay, offset) => overlay.setBounds(L.latLngBounds(worldBounds(offset)))
+      }).addTo(map));
+    });
+    
+    restoreSvgLayerState();
+  }
+  
+  /**
+   * Adds the Inkscape layers of one copy of the master map to svgLayers
+   * Sublayers are indexed too (getAttribute, as selectors miss the
+   * namespaced inkscape attributes).
+   * @param {SVGSVGElement} svg - One part of the master map
+   */
+  function indexSvgLayers(svg) {
+    svg.querySelectorAll('g').forEach(group => {
+      if (group.getAttribute('inkscape:groupmode') !== 'layer') return;
+      
+      const name = group.getAttribute('inkscape:label') || group.getAttribute('id');
+      const key = svgLayerKey(name);
+      if (!svgLayers.has(key)) {
+        svgLayers.set(key, {
+          key: key,
+          name: name,
+          elements: [],
+          hiddenInSource: group.style.display === 'none'
+        });
+      }
+      svgLayers.get(key).elements.push(group);
+    });
+  }
+  
+  /**
+   * Loads the manifest of the raster tiles made by build-tiles.js
+   * @returns {Promise<Object|null>} Manifest, or null to draw the SVG instead
+   */
+  function loadTileManifest() {
+    return fetch(`${config.tilesPath}/manifest.json`, { cache: 'no-cache' })
+      .then(response => response.ok ? response.json() : null)
+      .then(manifest => {
+        if (manifest && manifest.version && manifest.width > 0 && manifest.height > 0 &&
+            Array.isArray(manifest.layers)) {
+          return manifest;
+        }
+        console.log('No raster tiles built, drawing the SVG map');
+        return null;
+      })
+      .catch(() => null);
+  }
+  
+  /**
+   * Adds the master map to the map as tile layers
+   * Each layer has its own tiles so the layer controls still work; a map
+   * built with --no-layers has only the composite of all layers.
+   * @param {Object} manifest - Manifest from loadTileManifest
+   */
+  function renderTileLayers(manifest) {
+    masterOverlays.forEach(overlay => map.removeLayer(overlay));
+    masterOverlays = [];
+    svgLayers.clear();
+    
+    const parts = manifest.layers.length > 0
+      ? manifest.layers
+      : [{ key: manifest.composite, name: 'Map', hidden: false }];
+    
+    // What is outside every layer is always drawn, below the layers
+    if (manifest.layers.length > 0 && manifest.base) {
+      masterOverlays.push(new MapTileLayer(manifest, config.tilesPath, manifest.base, { zIndex: 0 }).addTo(map));
+    }
+    
+    parts.forEach((part, index) => {
+      const tiles = new MapTileLayer(manifest, config.tilesPath, part.key, { zIndex: index + 1 });
+      masterOverlays.push(tiles);
+      svgLayers.set(part.key, {
+        key: part.key,
+        name: part.name,
+        elements: [],
+        hiddenInSource: part.hidden,
+        tiles: tiles
+      });
+    });
+    console.log(`Drawing ${parts.length} tiled layers, version ${manifest.version}`);
+    
+    restoreSvgLayerState();
+  }
+  
+  /**
+   * Applies the saved or default visibility and opacity to the master map layers
+   */
+  function restoreSvgLayerState() {
+    // Layers without a toggle keep the visibility they have in Inkscape
+    svgLayers.forEach(layer => {
+      if (layerVisibility[layer.key] === undefined) {
+        layerVisibility[layer.key] = !layer.hiddenInSource;
+      }
+    });
+    
+    applySvgLayerVisibility();
+    
+    Object.keys(layerState.svg).forEach(key => {
+      if (typeof layerState.svg[key].opacity === 'number') {
+        styleSvgLayer(key, { opacity: layerState.svg[key].opacity });
+      }
+    });
+  }
+  
+  /**
+   * Shows or hides one SVG layer in every copy of the world
+   * @param {String} key - Layer key, e.g. "political" or "altitude-1"
+   * @param {Boolean} visible - Whether to show the layer
+   * @returns {Boolean} False when the master map has no such layer
+   */
+  function setSvgLayerVisible(key, visible) {
+    layerVisibility[key] = visible;
+    
+    const layer = svgLayers.get(key);
+    if (!layer) return false;
+    
+    layer.elements.forEach(element => {
+      element.style.display = visible ? '' : 'none';
+    });
+    if (layer.tiles) {
+      if (visible) {
+        layer.tiles.addTo(map);
+      } else {
+        map.removeLayer(layer.tiles);
+      }
+    }
+    return true;
+  }
+  
+  /**
+   * Re-styles one SVG layer in every copy of the world
+   * @param {String} key - Layer key
+   * @param {Object} styles - CSS properties, e.g. { opacity: 0.5, fill: '#b8def0' }
+   * @returns {Boolean} False when the master map has no such layer
+   */
+  function styleSvgLayer(key, styles) {
+    const layer = svgLayers.get(key);
+    if (!layer) return false;
+    
+    layer.elements.forEach(element => {
+      Object.assign(element.style, styles);
+    });
+    // Tiles are images: only their opacity can change
+    if (layer.tiles && styles.opacity !== undefined) {
+      layer.tiles.setOpacity(styles.opacity);
+    }
+    return true;
+  }
+  
+  /**
+   * Applies layerVisibility to every SVG layer the master map has
+   */
+  function applySvgLayerVisibility() {
+    Object.keys(layerVisibility).forEach(key => {
+      setSvgLayerVisible(key, layerVisibility[key]);
+    });
+  }
+  
   /**
    * Creates and adds layer control panel for the master SVG layers
    */
@@ -1056,6 +1305,14 @@ function initMap() {
             </label>
           </div>
         </div>
+        
+        <div class="layer-group" id="overlay-toggles" style="display: none;">
+          <h4>Overlays</h4>
+        </div>
+        
+        <div class="layer-group" id="label-layer-toggles" style="display: none;">
+          <h4>Labels</h4>
+        </div>
       `;
       
       // Add panel content to container
@@ -1100,13 +1357,16 @@ function initMap() {
           }
         });
         
-        // Add change listeners for all layer checkboxes
-        const layerInputs = document.querySelectorAll('[id^="layer-"]');
+        // Add change listeners for all layer checkboxes (not the panel itself,
+        // which sees the change events of every control inside it)
+        const layerInputs = panelContent.querySelectorAll('input[type="checkbox"][id^="layer-"]');
         layerInputs.forEach(input => {
           input.addEventListener('change', function() {
             const layerId = this.id.replace('layer-', '');
             layerVisibility[layerId] = this.checked;
             updateLayerVisibility();
+            rememberLayer('svg', layerId, { visible: this.checked });
+            endSolo();
             
             // Special handling for country labels
             if (layerId === 'labels') {
@@ -1118,6 +1378,17 @@ function initMap() {
             }
           });
         });
+        
+        // Opacity and solo for the map layers; country labels are markers
+        panelContent.querySelectorAll('.layer-toggle input[id^="layer-"]').forEach(input => {
+          const key = input.id.replace('layer-', '');
+          if (key === 'labels') return;
+          
+          const saved = layerState.svg[key] || {};
+          addLayerRowControls(input.closest('.layer-toggle'), 'svg', key,
+            typeof saved.opacity === 'number' ? saved.opacity : 1);
+        });
+        syncLayerControls();
       }, 100);
       
       return container;
@@ -1135,54 +1406,696 @@ function initMap() {
   }
 
   /**
-   * Updates layer visibility within SVG via CSS manipulation
-   * Works by adding/removing a style element with CSS visibility rules
-   * Compatible with Inkscape's layer structure
+   * Loads the overlay registry from the settings, shows the overlays that
+   * are visible by default and lists them all in the layer control panel
    */
-  function updateLayerVisibility() {
-    // Ensure style element exists
-    let styleEl = document.getElementById('ixmap-layer-styles');
+  function loadOverlays() {
+    Promise.all([settingsRequest, loadLodManifest()])
+      .then(([settings, lod]) => {
+        const entries = (settings.overlays || []).slice().sort((a, b) => a.zIndex - b.zIndex);
+        const zIndexes = entries.map(entry => entry.zIndex);
+        
+        // A saved order reuses the registry's z-indexes; overlays added
+        // since then go on top
+        const order = layerState.overlayOrder;
+        const ordered = order.map(id => entries.find(entry => entry.id === id)).filter(Boolean)
+          .concat(entries.filter(entry => !order.includes(entry.id)));
+        
+        ordered.forEach((entry, index) => {
+          const saved = layerState.overlays[entry.id] || {};
+          if (typeof saved.opacity === 'number') {
+            entry.opacity = saved.opacity;
+          }
+          
+          // A pane per overlay keeps the z-order however they are toggled;
+          // all sit above the master map (400) and below labels (600)
+          const paneName = `overlay-${entry.id}`;
+          const pane = map.getPane(paneName) || map.createPane(paneName);
+          pane.style.zIndex = 400 + zIndexes[index];
+          pane.style.pointerEvents = 'none';
+          
+          const variants = (lod && lod.files[entry.url]) || [];
+          overlays.set(entry.id, {
+            entry: entry,
+            pane: paneName,
+            zIndex: zIndexes[index],
+            variants: variants
+              .map(variant => ({
+                maxZoom: variant.maxZoom,
+                url: `${config.lodPath}/${variant.path}?v=${lod.version}`
+              }))
+              .sort((a, b) => a.maxZoom - b.maxZoom),
+            url: null,
+            layer: null,
+            loaded: new Map(),
+            visible: false
+          });
+          
+          if (typeof saved.visible === 'boolean' ? saved.visible : entry.visible) {
+            setOverlayVisible(entry.id, true);
+          }
+        });
+        
+        renderOverlayToggles();
+        
+        // Swap in the copy made for the new zoom
+        map.on('zoomend', () => {
+          overlays.forEach(overlay => {
+            if (overlay.visible && overlayUrlForZoom(overlay) !== overlay.url) {
+              showOverlayVariant(overlay).catch(error => {
+                console.error(`Error loading overlay ${overlay.entry.url}:`, error);
+              });
+            }
+          });
+        });
+      })
+      .catch(error => {
+        console.error('Error loading overlays:', error);
+      });
+  }
+  
+  /**
+   * Loads the manifest of the simplified overlays made by build-lod.js
+   * @returns {Promise<Object|null>} Manifest, or null to always use the originals
+   */
+  function loadLodManifest() {
+    return fetch(`${config.lodPath}/manifest.json`, { cache: 'no-cache' })
+      .then(response => response.ok ? response.json() : null)
+      .then(manifest => {
+        if (manifest && manifest.version && manifest.files) {
+          return manifest;
+        }
+        return null;
+      })
+      .catch(() => null);
+  }
+  
+  /**
+   * URL of the overlay copy to show at the current zoom
+   * @param {Object} overlay - Entry of the overlays map
+   * @returns {String} The coarsest copy made for this zoom, else the original
+   */
+  function overlayUrlForZoom(overlay) {
+    const zoom = map.getZoom();
+    const variant = overlay.variants.find(candidate => zoom <= candidate.maxZoom);
+    return variant ? variant.url : overlay.entry.url;
+  }
+  
+  /**
+   * Loads one of an overlay's SVGs and creates its Leaflet layer, once
+   * @param {Object} overlay - Entry of the overlays map
+   * @param {String} url - The original or one of its simplified copies
+   * @returns {Promise<IxWorldCopies>} The overlay on every copy of the world in view
+   */
+  function loadOverlayLayer(overlay, url) {
+    if (!overlay.loaded.has(url)) {
+      const loading = IxSvgDocument.load(url).then(source => {
+        const bounds = overlay.entry.bounds ||
+          alignOverlayBounds(source.viewBox || source.dimensions || {}, config.svgWidth, config.svgHeight);
+        
+        // Stretch to the bounds exactly; aligned bounds keep the aspect ratio
+        const svg = document.importNode(source.document.documentElement, true);
+        svg.setAttribute('preserveAspectRatio', 'none');
+        
+        const shiftedBounds = offset => L.latLngBounds(
+          [bounds[0][0], bounds[0][1] + offset],
+          [bounds[1][0], bounds[1][1] + offset]
+        );
+        let cloned = false;
+        
+        return new IxWorldCopies(offset => {
+          const copy = cloned ? svg.cloneNode(true) : svg;
+          cloned = true;
+          return L.svgOverlay(copy, shiftedBounds(offset), {
+            pane: overlay.pane,
+            opacity: overlay.entry.opacity,
+            interactive: false
+          });
+        }, {
+          move: (layer, offset) => layer.setBounds(shiftedBounds(offset))
+        });
+      });
+      
+      // Allow a retry after a failed load
+      loading.catch(() => {
+        overlay.loaded.delete(url);
+      });
+      overlay.loaded.set(url, loading);
+    }
+    
+    return overlay.loaded.get(url);
+  }
+  
+  /**
+   * Shows the overlay copy for the current zoom
+   * The copy shown so far stays until the new one is ready. A simplified copy
+   * that fails to load is dropped for the original.
+   * @param {Object} overlay - Entry of the overlays map
+   * @returns {Promise} Rejects when the original fails to load
+   */
+  function showOverlayVariant(overlay) {
+    const url = overlayUrlForZoom(overlay);
+    overlay.url = url;
+    
+    return loadOverlayLayer(overlay, url).then(layer => {
+      // It may have been hidden or zoomed to another band while loading
+      if (!overlay.visible || overlay.url !== url) return;
+      
+      if (overlay.layer && overlay.layer !== layer) {
+        map.removeLayer(overlay.layer);
+      }
+      layer.invoke('setOpacity', overlay.entry.opacity);
+      overlay.layer = layer.addTo(map);
+    }, error => {
+      if (url === overlay.entry.url) throw error;
+      
+      console.warn(`Using ${overlay.entry.url} instead of ${url}:`, error);
+      overlay.variants = overlay.variants.filter(variant => variant.url !== url);
+      return showOverlayVariant(overlay);
+    });
+  }
+  
+  /**
+   * Shows or hides an overlay on every copy of the world
+   * @param {String} id - Overlay id
+   * @param {Boolean} visible - Whether to show the overlay
+   * @returns {Promise<Boolean>} False when the overlay is unknown or failed to load
+   */
+  function setOverlayVisible(id, visible) {
+    const overlay = overlays.get(id);
+    if (!overlay) return Promise.resolve(false);
+    
+    overlay.visible = visible;
     
-    if (!styleEl) {
-      styleEl = document.createElement('style');
-      styleEl.id = 'ixmap-layer-styles';
-      document.head.appendChild(styleEl);
+    if (!visible) {
+      if (overlay.layer) map.removeLayer(overlay.layer);
+      return Promise.resolve(true);
     }
     
-    // Build CSS for SVG layer visibility
-    let css = '';
-    
-    // Define CSS rules for each layer
-    // This targets both Inkscape layer IDs and labels
-    Object.keys(layerVisibility).forEach(layer => {
-      if (!layerVisibility[layer]) {
-        // Hide the layer if visibility is false
-        // Target elements with matching ID or inkscape:label
-        css += `
-          svg #${layer}, 
-          svg [id="${layer}"], 
-          svg [inkscape\\:label="${layer}"],
-          svg .${layer} { 
-            visibility: hidden !important; 
-            display: none !important;
-          }
-        `;
+    return showOverlayVariant(overlay)
+      .then(() => true)
+      .catch(error => {
+        console.error(`Error loading overlay ${overlay.entry.url}:`, error);
+        showToast(`Failed to load the ${overlay.entry.name} overlay`, 'error', 3000);
+        return false;
+      });
+  }
+  
+  /**
+   * Changes an overlay's opacity on every copy of the world
+   * @param {String} id - Overlay id
+   * @param {Number} opacity - 0 to 1
+   */
+  function setOverlayOpacity(id, opacity) {
+    const overlay = overlays.get(id);
+    if (!overlay) return;
+    
+    overlay.entry.opacity = opacity;
+    if (overlay.layer) overlay.layer.invoke('setOpacity', opacity);
+  }
+  
+  /**
+   * Restacks the overlays, reusing their current z-indexes
+   * @param {Array} ids - Every overlay id, bottom overlay first
+   */
+  function setOverlayOrder(ids) {
+    const zIndexes = Array.from(overlays.values()).map(overlay => overlay.zIndex).sort((a, b) => a - b);
+    const ordered = ids.map(id => overlays.get(id)).filter(Boolean);
+    if (ordered.length !== overlays.size) return;
+    
+    overlays.clear();
+    ordered.forEach((overlay, index) => {
+      overlay.zIndex = zIndexes[index];
+      map.getPane(overlay.pane).style.zIndex = 400 + overlay.zIndex;
+      overlays.set(overlay.entry.id, overlay);
+    });
+    
+    layerState.overlayOrder = ids.slice();
+    saveLayerState();
+  }
+  
+  /**
+   * Reads the saved layer panel state, ignoring anything unreadable
+   * @returns {Object} { svg, overlays, overlayOrder, labels, solo }
+   */
+  function readLayerState() {
+    let saved = null;
+    try {
+      saved = JSON.parse(localStorage.getItem(LAYER_STATE_KEY));
+    } catch (error) {
+      console.warn('Ignoring unreadable saved layer state:', error);
+    }
+    saved = saved && typeof saved === 'object' ? saved : {};
+    
+    return {
+      svg: saved.svg || {},
+      overlays: saved.overlays || {},
+      overlayOrder: Array.isArray(saved.overlayOrder) ? saved.overlayOrder : [],
+      labels: saved.labels || {},
+      solo: saved.solo || null
+    };
+  }
+  
+  /**
+   * Saves the layer panel state
+   */
+  function saveLayerState() {
+    try {
+      localStorage.setItem(LAYER_STATE_KEY, JSON.stringify(layerState));
+    } catch (error) {
+      console.warn('Could not save the layer state:', error);
+    }
+  }
+  
+  /**
+   * Saves changes to one map layer or overlay
+   * @param {String} kind - "svg" or "overlays"
+   * @param {String} id - Layer key or overlay id
+   * @param {Object} changes - { visible } and/or { opacity }
+   */
+  function rememberLayer(kind, id, changes) {
+    layerState[kind][id] = Object.assign({}, layerState[kind][id], changes);
+    saveLayerState();
+  }
+  
+  /**
+   * Shows only one map layer or overlay, or brings the others back when it
+   * is already soloed. Country labels and label groups are left alone.
+   * @param {String} kind - "svg" or "overlays"
+   * @param {String} id - Layer key or overlay id
+   */
+  function toggleSoloLayer(kind, id) {
+    const solo = layerState.solo;
+    const mapLayerKeys = Object.keys(layerVisibility).filter(key => key !== 'labels');
+    
+    if (solo) {
+      Object.keys(solo.restore.svg).forEach(key => setSvgLayerVisible(key, solo.restore.svg[key]));
+      Object.keys(solo.restore.overlays).forEach(overlayId => {
+        setOverlayVisible(overlayId, solo.restore.overlays[overlayId]);
+      });
+      layerState.solo = null;
+    }
+    
+    if (!solo || solo.kind !== kind || solo.id !== id) {
+      const restore = { svg: {}, overlays: {} };
+      mapLayerKeys.forEach(key => {
+        restore.svg[key] = layerVisibility[key];
+        setSvgLayerVisible(key, kind === 'svg' && key === id);
+      });
+      overlays.forEach((overlay, overlayId) => {
+        restore.overlays[overlayId] = overlay.visible;
+        setOverlayVisible(overlayId, kind === 'overlays' && overlayId === id);
+      });
+      layerState.solo = { kind: kind, id: id, restore: restore };
+    }
+    
+    mapLayerKeys.forEach(key => {
+      layerState.svg[key] = Object.assign({}, layerState.svg[key], { visible: layerVisibility[key] });
+    });
+    overlays.forEach((overlay, overlayId) => {
+      layerState.overlays[overlayId] = Object.assign({}, layerState.overlays[overlayId], { visible: overlay.visible });
+    });
+    saveLayerState();
+    syncLayerControls();
+  }
+  
+  /**
+   * Forgets the soloed layer after a layer is toggled by hand, keeping
+   * what is shown now
+   */
+  function endSolo() {
+    if (!layerState.solo) return;
+    
+    layerState.solo = null;
+    saveLayerState();
+    syncLayerControls();
+  }
+  
+  /**
+   * Updates the checkboxes and solo buttons of the layer control panel
+   */
+  function syncLayerControls() {
+    Object.keys(layerVisibility).forEach(key => {
+      const input = document.getElementById(`layer-${key}`);
+      if (input) input.checked = layerVisibility[key];
+    });
+    overlays.forEach((overlay, id) => {
+      const input = document.getElementById(`overlay-${id}`);
+      if (input) input.checked = overlay.visible;
+    });
+    
+    const solo = layerState.solo;
+    document.querySelectorAll('#layer-control-panel .layer-solo').forEach(button => {
+      const active = Boolean(solo) && solo.kind === button.dataset.kind && solo.id === button.dataset.id;
+      button.classList.toggle('active', active);
+      button.title = active ? 'Show the other layers again' : 'Show only this layer';
+    });
+  }
+  
+  /**
+   * Adds a solo button and an opacity slider to a layer toggle row
+   * @param {HTMLElement} toggle - The .layer-toggle row
+   * @param {String} kind - "svg" or "overlays"
+   * @param {String} id - Layer key or overlay id
+   * @param {Number} opacity - Current opacity, 0 to 1
+   */
+  function addLayerRowControls(toggle, kind, id, opacity) {
+    if (!toggle) return;
+    
+    const solo = document.createElement('button');
+    solo.type = 'button';
+    solo.className = 'layer-solo';
+    solo.dataset.kind = kind;
+    solo.dataset.id = id;
+    solo.title = 'Show only this layer';
+    solo.textContent = 'Solo';
+    solo.addEventListener('click', () => toggleSoloLayer(kind, id));
+    
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.className = 'layer-opacity';
+    slider.min = 0;
+    slider.max = 100;
+    slider.step = 5;
+    slider.value = Math.round(opacity * 100);
+    slider.title = 'Opacity';
+    slider.setAttribute('aria-label', 'Opacity');
+    slider.addEventListener('input', () => {
+      const value = slider.value / 100;
+      if (kind === 'svg') {
+        styleSvgLayer(id, { opacity: value });
       } else {
-        // Ensure the layer is visible if visibility is true
-        css += `
-          svg #${layer}, 
-          svg [id="${layer}"], 
-          svg [inkscape\\:label="${layer}"],
-          svg .${layer} { 
-            visibility: visible !important; 
-            display: inline !important;
+        setOverlayOpacity(id, value);
+      }
+    });
+    // Save once the slider is let go rather than on every step
+    slider.addEventListener('change', () => {
+      rememberLayer(kind, id, { opacity: slider.value / 100 });
+    });
+    
+    toggle.appendChild(solo);
+    toggle.appendChild(slider);
+  }
+  
+  /**
+   * Adds a checkbox per overlay to the layer control panel, top overlay first
+   */
+  function renderOverlayToggles() {
+    const container = document.getElementById('overlay-toggles');
+    if (!container) return;
+    
+    container.querySelectorAll('.layer-toggle').forEach(toggle => toggle.remove());
+    
+    Array.from(overlays.values()).reverse().forEach(overlay => {
+      const id = overlay.entry.id;
+      const toggle = document.createElement('div');
+      toggle.className = 'layer-toggle';
+      toggle.dataset.overlayId = id;
+      
+      // Rows are dragged by the handle only, so the slider still works
+      const handle = document.createElement('span');
+      handle.className = 'layer-drag-handle';
+      handle.title = 'Drag to change the stacking order';
+      handle.textContent = '⋮⋮';
+      handle.addEventListener('mousedown', () => {
+        toggle.draggable = true;
+      });
+      handle.addEventListener('mouseup', () => {
+        toggle.draggable = false;
+      });
+      
+      toggle.addEventListener('dragstart', event => {
+        event.dataTransfer.effectAllowed = 'move';
+        event.dataTransfer.setData('text/plain', id);
+        toggle.classList.add('dragging');
+      });
+      toggle.addEventListener('dragover', event => {
+        const dragging = container.querySelector('.layer-toggle.dragging');
+        if (!dragging) return;
+        
+        event.preventDefault();
+        if (dragging === toggle) return;
+        
+        const rect = toggle.getBoundingClientRect();
+        const below = event.clientY > rect.top + rect.height / 2;
+        container.insertBefore(dragging, below ? toggle.nextSibling : toggle);
+      });
+      toggle.addEventListener('drop', event => event.preventDefault());
+      toggle.addEventListener('dragend', () => {
+        toggle.draggable = false;
+        toggle.classList.remove('dragging');
+        
+        // The panel lists the top overlay first
+        const ids = Array.from(container.querySelectorAll('.layer-toggle'))
+          .map(row => row.dataset.overlayId)
+          .reverse();
+        if (ids.join() !== Array.from(overlays.keys()).join()) {
+          setOverlayOrder(ids);
+          showToast('Overlay order updated', 'info', 1500);
+        }
+      });
+      
+      const label = document.createElement('label');
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.id = `overlay-${id}`;
+      input.checked = overlay.visible;
+      input.addEventListener('change', function() {
+        setOverlayVisible(id, this.checked);
+        rememberLayer('overlays', id, { visible: this.checked });
+        endSolo();
+      });
+      
+      label.appendChild(input);
+      label.appendChild(document.createTextNode(` ${overlay.entry.name}`));
+      toggle.appendChild(handle);
+      toggle.appendChild(label);
+      addLayerRowControls(toggle, 'overlays', id, overlay.entry.opacity);
+      container.appendChild(toggle);
+    });
+    
+    container.style.display = overlays.size > 0 ? '' : 'none';
+    syncLayerControls();
+  }
+  
+  /**
+   * Loads the label layer groups and labels from the API, then adds a
+   * toggle for each group to the layer control panel
+   */
+  function loadLabelLayers() {
+    connectLabelEvents();
+    
+    // Logged-in contributors also see their own pending labels
+    const headers = { 'X-Session-ID': localStorage.getItem('ixmaps-session-id') || '' };
+    const getJson = path => fetch(`${config.apiBaseUrl}${path}`, { headers }).then(response => {
+      if (!response.ok) {
+        throw new Error(`API error: ${response.status}`);
+      }
+      return response.json();
+    });
+    
+    Promise.all([getJson('/layers'), getJson('/labels')])
+      .then(([groups, labels]) => {
+        labelLayers.forEach(entry => map.removeLayer(entry.layer));
+        
+        const createEntry = (group, visible) => {
+          const entry = { group: group, labels: [], shown: [], visible: visible };
+          entry.layer = new IxWorldCopies(offset =>
+            L.layerGroup(entry.shown.map(label => createLabelMarker(label, offset))));
+          return entry;
+        };
+        
+        labelLayers = groups.map(group => createEntry(group,
+          typeof layerState.labels[group.id] === 'boolean'
+            ? layerState.labels[group.id]
+            : group.defaultVisible !== false));
+        const ungrouped = createEntry(null, true);
+        labelLayers.push(ungrouped);
+        
+        labels.forEach(label => {
+          labelLayerFor(label).labels.push(label);
+        });
+        
+        updateLabelLayerZoom();
+        labelLayers.forEach(entry => {
+          if (entry.visible) {
+            entry.layer.addTo(map);
           }
-        `;
+        });
+        renderLabelLayerToggles();
+      })
+      .catch(error => {
+        console.error('Error loading label layers:', error);
+        showToast('Failed to load map labels', 'error', 3000);
+      });
+  }
+  
+  /**
+   * Finds the label layer a label belongs to
+   * @param {Object} label - Label
+   * @returns {Object} Entry of labelLayers: its type's group, else the ungrouped one
+   */
+  function labelLayerFor(label) {
+    return labelLayers.find(candidate => candidate.group && candidate.group.labelTypes.includes(label.type)) ||
+      labelLayers.find(candidate => !candidate.group);
+  }
+  
+  /**
+   * Follows label changes as they happen, so labels added, edited or
+   * removed by others show up without reloading the page
+   */
+  function connectLabelEvents() {
+    if (typeof EventSource === 'undefined' || labelEvents) return;
+    
+    // EventSource cannot send headers, so the session goes in the query
+    const sessionId = localStorage.getItem('ixmaps-session-id');
+    const query = sessionId ? `?sessionId=${encodeURIComponent(sessionId)}` : '';
+    labelEvents = new EventSource(`${config.apiBaseUrl}/labels/events${query}`);
+    
+    ['created', 'updated', 'status-changed', 'restored', 'deleted', 'reset'].forEach(type => {
+      labelEvents.addEventListener(type, event => {
+        applyLabelEvent(type, JSON.parse(event.data));
+      });
+    });
+    
+    // Reload after a dropped connection to catch up on missed changes
+    labelEvents.addEventListener('error', () => {
+      labelEventsLost = true;
+    });
+    labelEvents.addEventListener('open', () => {
+      if (labelEventsLost) {
+        labelEventsLost = false;
+        loadLabelLayers();
+      }
+    });
+  }
+  
+  /**
+   * Applies a label event to the label layers without reloading every label
+   * @param {String} type - Event type
+   * @param {Object} data - Event data: { label } or, when deleted, { id }
+   */
+  function applyLabelEvent(type, data) {
+    if (type === 'reset') {
+      loadLabelLayers();
+      return;
+    }
+    
+    // Nothing to change until the labels have loaded
+    if (labelLayers.length === 0) return;
+    
+    const id = String(type === 'deleted' ? data.id : data.label.id);
+    labelLayers.forEach(entry => {
+      entry.labels = entry.labels.filter(label => String(label.id) !== id);
+    });
+    if (type !== 'deleted') {
+      labelLayerFor(data.label).labels.push(data.label);
+    }
+    
+    updateLabelLayerZoom();
+  }
+  
+  /**
+   * Creates the marker for a label from the API
+   * @param {Object} label - Label with name, type, x, y, color and fontSize
+   * @param {Number} offset - x offset of the copy of the world to draw it on
+   * @returns {L.Marker} Marker
+   */
+  function createLabelMarker(label, offset) {
+    const text = document.createElement('div');
+    text.className = `label-${label.type}`;
+    text.textContent = label.name || '';
+    if (label.color) text.style.color = label.color;
+    if (label.fontSize) text.style.fontSize = `${label.fontSize}px`;
+    
+    return L.marker([label.y, label.x + offset], {
+      icon: L.divIcon({
+        className: 'map-label',
+        html: text.outerHTML,
+        iconSize: [100, 20],
+        iconAnchor: [50, 10]
+      }),
+      interactive: false,
+      keyboard: false
+    });
+  }
+  
+  /**
+   * Shows each label only between its minZoom and maxZoom
+   */
+  function updateLabelLayerZoom() {
+    const zoom = map.getZoom();
+    
+    labelLayers.forEach(entry => {
+      const shown = entry.labels.filter(label =>
+        (label.minZoom === undefined || zoom >= label.minZoom) &&
+        (label.maxZoom === undefined || zoom <= label.maxZoom));
+      
+      // Make the markers again only when other labels come into range
+      if (shown.length !== entry.shown.length || shown.some((label, index) => label !== entry.shown[index])) {
+        entry.shown = shown;
+        entry.layer.refresh();
       }
     });
+  }
+  
+  /**
+   * Adds a checkbox per label layer group to the layer control panel
+   */
+  function renderLabelLayerToggles() {
+    const container = document.getElementById('label-layer-toggles');
+    if (!container) return;
+    
+    container.querySelectorAll('.layer-toggle').forEach(toggle => toggle.remove());
+    
+    labelLayers.filter(entry => entry.group).forEach(entry => {
+      const toggle = document.createElement('div');
+      toggle.className = 'layer-toggle';
+      
+      const label = document.createElement('label');
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.id = `label-layer-${entry.group.id}`;
+      input.checked = entry.visible;
+      input.addEventListener('change', function() {
+        setLabelLayerVisible(entry.group.id, this.checked);
+        layerState.labels[entry.group.id] = this.checked;
+        saveLayerState();
+      });
+      
+      label.appendChild(input);
+      label.appendChild(document.createTextNode(` ${entry.group.label}`));
+      toggle.appendChild(label);
+      container.appendChild(toggle);
+    });
+    
+    container.style.display = labelLayers.some(entry => entry.group) ? '' : 'none';
+  }
+  
+  /**
+   * Shows or hides the labels of one layer group
+   * @param {String} groupId - Layer group id
+   * @param {Boolean} visible - Whether to show the group
+   */
+  function setLabelLayerVisible(groupId, visible) {
+    const entry = labelLayers.find(candidate => candidate.group && candidate.group.id === groupId);
+    if (!entry) return;
     
-    // Apply CSS rules
-    styleEl.textContent = css;
+    entry.visible = visible;
+    if (visible) {
+      entry.layer.addTo(map);
+    } else {
+      map.removeLayer(entry.layer);
+    }
+  }
+  
+  map.on('zoomend', updateLabelLayerZoom);
+
+  /**
+   * Updates SVG layer visibility from the layer checkboxes
+   */
+  function updateLayerVisibility() {
+    applySvgLayerVisibility();
     
     // Show notification of layer change
     showToast('Map layers updated', 'info', 1500);
@@ -1195,19 +2108,11 @@ function initMap() {
   function extractSvgCountryLabels() {
     return new Promise((resolve, reject) => {
       try {
-        // Fetch the SVG to extract country names and positions
-        fetch(config.masterMapPath)
-          .then(response => response.text())
-          .then(svgText => {
-            const parser = new DOMParser();
-            const svgDoc = parser.parseFromString(svgText, "image/svg+xml");
-            
-            // Find the political layer - try different Inkscape selectors
-            const politicalLayer = 
-              svgDoc.querySelector('#political') || 
-              svgDoc.querySelector('[inkscape\\:label="political"]') ||
-              svgDoc.querySelector('[inkscape\\:groupmode="layer"][id="political"]') ||
-              svgDoc.querySelector('g[id="political"]');
+        // Read country names and positions from the master SVG
+        IxSvgDocument.load(config.masterMapPath)
+          .then(master => {
+            // Find the political layer by id or Inkscape label
+            const politicalLayer = master.getLayer('political') || master.getElement('political');
             
             if (!politicalLayer) {
               console.error("Could not find political layer in SVG");
@@ -1388,40 +2293,40 @@ function initMap() {
     
     // If we need to create the labels
     if (!countryLabelsLayer) {
-      countryLabelsLayer = L.layerGroup();
+      let countryLabels = [];
+      
+      // The labels on every copy of the world in view
+      countryLabelsLayer = new IxWorldCopies(offset => L.layerGroup(countryLabels.map(label => {
+        // Convert SVG coordinates to Leaflet coordinates
+        const position = L.latLng(label.y, label.x + offset);
+        
+        // Create a div icon with the country name
+        const icon = L.divIcon({
+          className: `${config.labelClassName} ${label.class}`,
+          html: `<div style="font-weight:${label.class === 'minor' ? 'normal' : 'bold'};">${label.name}</div>`,
+          iconSize: [120, 20],  // Set a reasonable size that will fit most country names
+          iconAnchor: [60, 10]  // Center the icon on the position
+        });
+        
+        // Create the marker
+        const marker = L.marker(position, {
+          icon: icon,
+          interactive: true,  // Makes the label clickable
+          keyboard: false,    // Prevents keyboard navigation to the marker
+          zIndexOffset: 1000  // Ensure labels appear above other elements
+        });
+        
+        // Add a tooltip with more information if clicked
+        return marker.bindTooltip(label.name, { 
+          direction: 'top',
+          offset: [0, -10]
+        });
+      })));
       
       // Extract labels from SVG and create markers
       extractSvgCountryLabels()
         .then(labels => {
-          // Create a marker for each label
-          labels.forEach(label => {
-            // Convert SVG coordinates to Leaflet coordinates
-            const position = L.latLng(label.y, label.x);
-            
-            // Create a div icon with the country name
-            const icon = L.divIcon({
-              className: `${config.labelClassName} ${label.class}`,
-              html: `<div style="font-weight:${label.class === 'minor' ? 'normal' : 'bold'};">${label.name}</div>`,
-              iconSize: [120, 20],  // Set a reasonable size that will fit most country names
-              iconAnchor: [60, 10]  // Center the icon on the position
-            });
-            
-            // Create the marker and add it to the layer
-            const marker = L.marker(position, {
-              icon: icon,
-              interactive: true,  // Makes the label clickable
-              keyboard: false,    // Prevents keyboard navigation to the marker
-              zIndexOffset: 1000  // Ensure labels appear above other elements
-            });
-            
-            // Add a tooltip with more information if clicked
-            marker.bindTooltip(label.name, { 
-              direction: 'top',
-              offset: [0, -10]
-            });
-            
-            countryLabelsLayer.addLayer(marker);
-          });
+          countryLabels = labels;
           
           // Add the layer to the map
           countryLabelsLayer.addTo(map);
@@ -1453,14 +2358,20 @@ function initMap() {
   window.IxMaps.Main = {
     showToast: showToast,
     hideToast: hideToast,
-    calculateScaleFactor: calculateScaleFactor,
     calculateDistance: calculateDistance,
     calculatePixelDistance: calculatePixelDistance,
     updateLayerVisibility: updateLayerVisibility,
     getLayerVisibility: () => Object.assign({}, layerVisibility),
+    getSvgLayers: () => Array.from(svgLayers.values()).map(layer => ({ key: layer.key, name: layer.name })),
+    setSvgLayerVisible: setSvgLayerVisible,
+    styleSvgLayer: styleSvgLayer,
+    getOverlays: () => Array.from(overlays.values()).map(overlay => Object.assign({}, overlay.entry, { visible: overlay.visible })),
+    setOverlayVisible: setOverlayVisible,
+    setOverlayOpacity: setOverlayOpacity,
     showCountryLabels: showCountryLabels,
     hideCountryLabels: hideCountryLabels,
-    MILES_PER_PIXEL: MILES_PER_PIXEL,
-    KM_PER_PIXEL: KM_PER_PIXEL
+    loadLabelLayers: loadLabelLayers,
+    setLabelLayerVisible: setLabelLayerVisible,
+    getCalibration: () => config.calibration
   };
 }
\ No newline at end of file
@@ -0,0 +1,128 @@
+/**
+ * IxMaps - SVG Documents
+ * Loads each SVG once for every consumer (the master map layers, overlays,
+ * country labels and SVGLayerHandler): the file is fetched and parsed once,
+ * and its size and Inkscape layers are read from the parsed document.
+ * Parsing stays on the main thread, since workers have no DOMParser and
+ * every consumer works on the DOM.
+ */
+
+class IxSvgDocument {
+  /**
+   * @param {String} url - URL the SVG was loaded from
+   * @param {Document} svgDoc - Parsed SVG
+   * @param {Object} info - { dimensions, viewBox, layers } from describe()
+   */
+  constructor(url, svgDoc, info) {
+    this.url = url;
+    this.document = svgDoc;
+    this.dimensions = info.dimensions;
+    this.viewBox = info.viewBox;
+
+    // Inkscape layers and sublayers in document order: { id, name, hidden }
+    this.layers = info.layers;
+
+    this.elements = new Map();
+  }
+
+  /**
+   * Load an SVG, or return the one already loaded from the same URL
+   * @param {String} url - SVG URL, relative to the page
+   * @returns {Promise<IxSvgDocument>}
+   */
+  static load(url) {
+    const absoluteUrl = new URL(url, document.baseURI).href;
+
+    if (!IxSvgDocument.documents.has(absoluteUrl)) {
+      const loading = fetch(absoluteUrl, { cache: 'force-cache' })
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Failed to load SVG: ${response.status} ${response.statusText}`);
+          }
+          return response.text();
+        })
+        .then(text => {
+          const svgDoc = new DOMParser().parseFromString(text, 'image/svg+xml');
+          if (svgDoc.querySelector('parsererror')) {
+            throw new Error(`Failed to parse SVG: ${url}`);
+          }
+          return new IxSvgDocument(url, svgDoc, IxSvgDocument.describe(svgDoc));
+        });
+      IxSvgDocument.documents.set(absoluteUrl, loading);
+
+      // Allow a retry after a failed load
+      loading.catch(() => {
+        IxSvgDocument.documents.delete(absoluteUrl);
+      });
+    }
+
+    return IxSvgDocument.documents.get(absoluteUrl);
+  }
+
+  /**
+   * Read the size, viewBox and layers from a parsed SVG
+   * @param {Document} svgDoc - Parsed SVG
+   * @returns {Object} { dimensions, viewBox, layers }
+   */
+  static describe(svgDoc) {
+    const root = svgDoc.documentElement;
+
+    let viewBox = null;
+    const values = (root.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(Number);
+    if (values.length === 4 && values.every(Number.isFinite) && values[2] > 0 && values[3] > 0) {
+      viewBox = { x: values[0], y: values[1], width: values[2], height: values[3] };
+    }
+
+    let dimensions = null;
+    const width = parseFloat(root.getAttribute('width'));
+    const height = parseFloat(root.getAttribute('height'));
+    if (viewBox) {
+      dimensions = { width: viewBox.width, height: viewBox.height };
+    } else if (width > 0 && height > 0) {
+      dimensions = { width, height };
+    }
+
+    const layers = Array.from(svgDoc.getElementsByTagName('g'))
+      .filter(group => group.getAttribute('inkscape:groupmode') === 'layer')
+      .map((group, index) => ({
+        id: group.getAttribute('id'),
+        name: group.getAttribute('inkscape:label') || group.getAttribute('id') || `Layer ${index + 1}`,
+        hidden: group.style.display === 'none'
+      }));
+
+    return { dimensions, viewBox, layers };
+  }
+
+  /**
+   * Find an element by id, remembering the result
+   * @param {String} id - Element id
+   * @returns {Element|null}
+   */
+  getElement(id) {
+    if (!this.elements.has(id)) {
+      this.elements.set(id, this.document.getElementById(id));
+    }
+    return this.elements.get(id);
+  }
+
+  /**
+   * Find an Inkscape layer by id or name, ignoring case
+   * @param {String} name - e.g. "political" or "Altitude-1"
+   * @returns {Element|null} The layer's group element
+   */
+  getLayer(name) {
+    const wanted = String(name).toLowerCase();
+    const layer = this.layers.find(candidate =>
+      (candidate.id && candidate.id.toLowerCase() === wanted) || candidate.name.toLowerCase() === wanted);
+    if (!layer) return null;
+
+    if (layer.id) {
+      return this.getElement(layer.id);
+    }
+    return Array.from(this.document.getElementsByTagName('g'))
+      .find(group => group.getAttribute('inkscape:label') === layer.name) || null;
+  }
+}
+
+// Loaded documents by absolute URL, as promises
+IxSvgDocument.documents = new Map();
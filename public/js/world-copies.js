@@ -0,0 +1,156 @@
+/**
+ * IxMaps - World Copies
+ * The map repeats east and west without end. IxWrapCRS is the map's CRS:
+ * L.CRS.Simple with x wrapping every map width. Layers that are not tiles
+ * are drawn once per copy of the world in view by IxWorldCopies, so labels,
+ * the grid, measurements and overlays look the same on every copy and the
+ * view never has to jump back to the first one.
+ */
+
+/**
+ * L.CRS.Simple that wraps x (lng) every world width
+ * Copies are numbered by their x offset: the map itself is at 0, the copy to
+ * its east at the world width, and so on.
+ */
+const IxWrapCRS = L.extend({}, L.CRS.Simple, {
+  // Set to the master map's width by setWorldWidth once it is known
+  wrapLng: [0, 8200],
+
+  /**
+   * Set the width of one copy of the world
+   * @param {Number} width - Master map width in map units
+   */
+  setWorldWidth(width) {
+    this.wrapLng = [0, width];
+  },
+
+  /**
+   * @returns {Number} Width of one copy of the world
+   */
+  getWorldWidth() {
+    return this.wrapLng[1] - this.wrapLng[0];
+  },
+
+  /**
+   * Offset of the copy of the world holding an x
+   * @param {Number} lng - x in map units, on any copy
+   * @returns {Number} Multiple of the world width
+   */
+  worldOffset(lng) {
+    const width = this.getWorldWidth();
+    return Math.floor((lng - this.wrapLng[0]) / width) * width;
+  },
+
+  /**
+   * Offsets of the copies of the world between two x
+   * @param {Number} west - Westmost x
+   * @param {Number} east - Eastmost x
+   * @returns {Array} Offsets, west to east
+   */
+  worldOffsets(west, east) {
+    const offsets = [];
+    for (let offset = this.worldOffset(west); offset <= this.worldOffset(east); offset += this.getWorldWidth()) {
+      offsets.push(offset);
+    }
+    return offsets;
+  }
+});
+
+/**
+ * A layer drawn once per copy of the world in view
+ * Each copy is made by a function of the copy's offset from what the
+ * function draws at offset 0. Copies that scroll out of view are removed and
+ * made again when they come back, unless a move function is given: then they
+ * stay, out of view, and are moved to the next copy needed (for large SVG
+ * overlays that are slow to make).
+ */
+const IxWorldCopies = L.LayerGroup.extend({
+  options: {
+    // Width drawn past each side of the view, as a share of the view width
+    padding: 0.5,
+
+    // (layer, offset) => void, moves a copy to another offset
+    move: null
+  },
+
+  /**
+   * @param {Function} create - offset => L.Layer, the copy at that x offset
+   * @param {Object} [options] - { padding, move }
+   */
+  initialize(create, options) {
+    L.LayerGroup.prototype.initialize.call(this, [], options);
+    this._create = create;
+
+    // Copies by offset
+    this._copies = new Map();
+  },
+
+  onAdd(map) {
+    this._update();
+    L.LayerGroup.prototype.onAdd.call(this, map);
+  },
+
+  getEvents() {
+    return {
+      moveend: this._update,
+      zoomend: this._update
+    };
+  },
+
+  /**
+   * Make every copy again, after what the create function draws has changed
+   * @returns {IxWorldCopies} this
+   */
+  refresh() {
+    this.clearLayers();
+    this._copies.clear();
+    this._update();
+    return this;
+  },
+
+  /**
+   * The copy at an offset, if it is made
+   * @param {Number} offset - Multiple of the world width
+   * @returns {L.Layer|undefined}
+   */
+  getCopy(offset) {
+    return this._copies.get(offset);
+  },
+
+  /**
+   * Makes the copies in view and drops or moves the others
+   */
+  _update() {
+    const map = this._map;
+    if (!map) return;
+
+    const crs = map.options.crs;
+    const bounds = map.getBounds();
+    const padding = (bounds.getEast() - bounds.getWest()) * this.options.padding;
+    const needed = crs.worldOffsets(bounds.getWest() - padding, bounds.getEast() + padding);
+
+    const spare = Array.from(this._copies.keys()).filter(offset => !needed.includes(offset));
+    needed.forEach(offset => {
+      if (this._copies.has(offset)) return;
+
+      if (this.options.move && spare.length > 0) {
+        const from = spare.pop();
+        const layer = this._copies.get(from);
+        this._copies.delete(from);
+        this.options.move(layer, offset);
+        this._copies.set(offset, layer);
+      } else {
+        const layer = this._create(offset);
+        this._copies.set(offset, layer);
+        this.addLayer(layer);
+      }
+    });
+
+    if (!this.options.move) {
+      spare.forEach(offset => {
+        this.removeLayer(this._copies.get(offset));
+        this._copies.delete(offset);
+      });
+    }
+  }
+});
@@ -5,6 +5,10 @@
  * Specifically designed for an SVG with Altitude-1 through Altitude-8 layers
  */
 class SVGLayerHandler {
+    /**
+     * @param {HTMLObjectElement|SVGSVGElement|IxSvgDocument} mapSvgElement - <object> or
+     *   inline <svg> showing the map, or the map's shared IxSvgDocument
+     */
     constructor(mapSvgElement) {
       this.mapSvg = mapSvgElement;
       this.svgDoc = null;
@@ -94,7 +98,10 @@ class SVGLayerHandler {
      */
     async init() {
       // Wait for SVG to load
-      if (this.mapSvg.tagName.toLowerCase() === 'object') {
+      if (typeof IxSvgDocument !== 'undefined' && this.mapSvg instanceof IxSvgDocument) {
+        // Already loaded and parsed once for every consumer
+        this.svgDoc = this.mapSvg.document;
+      } else if (this.mapSvg.tagName.toLowerCase() === 'object') {
         try {
           await new Promise(resolve => {
             if (this.mapSvg.contentDocument && this.mapSvg.contentDocument.documentElement) {
@@ -132,6 +139,17 @@ class SVGLayerHandler {
       return true;
     }
     
+    /**
+     * Create a handler for the SVG at a URL, sharing its IxSvgDocument
+     * @param {String} url - e.g. "master-map.svg"
+     * @returns {Promise<SVGLayerHandler>} Initialized handler
+     */
+    static async fromUrl(url) {
+      const handler = new SVGLayerHandler(await IxSvgDocument.load(url));
+      await handler.init();
+      return handler;
+    }
+    
     /**
      * Identify all layers in the SVG
      */
@@ -207,6 +225,11 @@ class SVGLayerHandler {
       }
       
       console.log(`Applied "${schemeName}" color scheme`);
+      
+      // Let the legend follow the new scheme
+      window.dispatchEvent(new CustomEvent('ixmaps:colorschemechange', {
+        detail: { scheme: schemeName }
+      }));
     }
     
     /**
@@ -0,0 +1,18 @@
+/**
+ * IxMaps - Audit log API
+ * Read-only view of the audit log for the admin panel
+ */
+
+const express = require('express');
+const { searchAudit } = require('../lib/audit');
+const { requireRole } = require('../lib/permissions');
+const { asyncHandler } = require('../lib/http');
+
+const router = express.Router();
+
+// Search the audit log (?user=&action=&from=&to=&limit=&offset=)
+router.get('/', requireRole('admin', 'Only admins can view the audit log'), asyncHandler(async (req, res) => {
+  res.json(await searchAudit(req.query));
+}));
+
+module.exports = router;
@@ -0,0 +1,68 @@
+/**
+ * IxMaps - Authentication API
+ * Login, session status and logout for the editor and admin panel
+ */
+
+const express = require('express');
+const { findUserByUsername, publicUser } = require('../lib/users');
+const { verifyPassword } = require('../lib/passwords');
+const { createSession, destroySession } = require('../lib/sessions');
+const { asyncHandler } = require('../lib/http');
+const { audited } = require('../lib/audit');
+
+const router = express.Router();
+
+// Log in with username and password
+router.post('/login', audited('auth.login'), asyncHandler(async (req, res) => {
+  const { username, password } = req.body || {};
+
+  // Failed attempts are logged under the name that was tried
+  req.audit.user = { id: null, username: username ? String(username) : null };
+
+  if (!username || !password) {
+    return res.status(400).json({ success: false, error: 'Username and password are required' });
+  }
+
+  const user = await findUserByUsername(username);
+  const valid = await verifyPassword(password, user && user.passwordHash);
+
+  if (!user || !valid) {
+    return res.status(401).json({ success: false, error: 'Invalid username or password' });
+  }
+
+  const session = createSession(user);
+  req.audit.user = publicUser(user);
+
+  res.json({
+    success: true,
+    sessionId: session.id,
+    expiresAt: new Date(session.expiresAt).toISOString(),
+    user: publicUser(user)
+  });
+}));
+
+// Report the current session
+router.get('/status', (req, res) => {
+  if (!req.user) {
+    return res.json({ authenticated: false });
+  }
+
+  res.json({
+    authenticated: true,
+    userId: req.user.id,
+    username: req.user.username,
+    role: req.user.role,
+    isAdmin: req.user.isAdmin,
+    expiresAt: new Date(req.session.expiresAt).toISOString()
+  });
+});
+
+// Log out, invalidating the session
+router.post('/logout', audited('auth.logout'), (req, res) => {
+  if (req.session) {
+    destroySession(req.session.id);
+  }
+  res.json({ success: true });
+});
+
+module.exports = router;
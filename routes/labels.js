@@ -0,0 +1,286 @@
+/**
+ * IxMaps - Labels API
+ * REST endpoints used by IxMapEditor and the admin panel
+ */
+
+const express = require('express');
+const labels = require('../lib/labels');
+const labelEvents = require('../lib/label-events');
+const { asyncHandler, HttpError } = require('../lib/http');
+const permissions = require('../lib/permissions');
+const { requireAuth } = require('../lib/sessions');
+const { audited } = require('../lib/audit');
+const { labelsToGeoJSON, geoJSONToLabels } = require('../lib/geojson');
+const { labelsToKml } = require('../lib/kml');
+const { getCalibration } = require('../lib/settings');
+
+const router = express.Router();
+
+// Comment lines sent on idle event streams so proxies keep them open
+const HEARTBEAT_MS = 25 * 1000;
+
+// Audit actions for updates that move a label to a new status
+const STATUS_ACTIONS = {
+  approved: 'label.approve',
+  rejected: 'label.reject',
+  pending: 'label.reset'
+};
+
+/**
+ * Strip fields the server manages itself from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Label fields supplied by the client
+ */
+function labelFields(body) {
+  const fields = Object.assign({}, body);
+  delete fields.id;
+  delete fields.history;
+  delete fields.version;
+  delete fields.createdBy;
+  delete fields.createdAt;
+  delete fields.updatedAt;
+  return fields;
+}
+
+/**
+ * Version the client last saw, from If-Match or the body's version field
+ * @param {Object} req - Express request
+ * @returns {Number|undefined} Expected version, undefined when not sent
+ */
+function expectedVersion(req) {
+  const header = req.get('If-Match');
+  const value = header
+    ? header.replace(/^W\//, '').replace(/"/g, '').trim()
+    : (req.body || {}).version;
+
+  if (value === undefined || value === null || value === '' || value === '*') {
+    return undefined;
+  }
+
+  const version = Number(value);
+  if (!Number.isInteger(version)) {
+    throw new HttpError(400, 'version must be a label version number');
+  }
+  return version;
+}
+
+/**
+ * Send a label with its version as ETag
+ * @param {Object} res - Express response
+ * @param {Object} label - Label
+ */
+function sendLabel(res, label) {
+  res.set('ETag', `"${label.version}"`);
+  res.json(label);
+}
+
+/**
+ * Import labels and record the outcome for the audit log
+ * With dryRun: true nothing is written; the response lists what would change
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Array} records - Label records to import
+ */
+async function sendImport(req, res, records) {
+  const body = req.body || {};
+  const options = {
+    clearExisting: body.clearExisting === true,
+    dryRun: body.dryRun === true
+  };
+  const result = await labels.importLabels(records, options, { user: req.user });
+
+  req.audit.details = options.dryRun
+    ? Object.assign({ records: records.length }, options)
+    : Object.assign({ clearExisting: options.clearExisting }, result);
+
+  res.json(Object.assign({ success: true }, result));
+}
+
+// List the labels visible to the current user
+router.get('/', asyncHandler(async (req, res) => {
+  const all = await labels.listLabels();
+  res.json(all.filter(label => permissions.canViewLabel(req.user, label)));
+}));
+
+// Visible labels as GeoJSON in the custom lat/lng system
+router.get('/geojson', asyncHandler(async (req, res) => {
+  const all = await labels.listLabels();
+  const calibration = await getCalibration();
+  res.type('application/geo+json');
+  res.send(JSON.stringify(labelsToGeoJSON(all.filter(label => permissions.canViewLabel(req.user, label)), calibration)));
+}));
+
+// Visible labels as KML, in folders by type
+router.get('/kml', asyncHandler(async (req, res) => {
+  const all = await labels.listLabels();
+  const calibration = await getCalibration();
+  res.type('application/vnd.google-earth.kml+xml');
+  res.send(labelsToKml(all.filter(label => permissions.canViewLabel(req.user, label)), calibration));
+}));
+
+// Create a label
+router.post('/', audited('label.create'), requireAuth, asyncHandler(async (req, res) => {
+  const fields = labelFields(req.body);
+  permissions.assertCanCreateLabel(req.user, fields);
+
+  const label = await labels.createLabel(fields, { user: req.user });
+  req.audit.target = label.id;
+  req.audit.details = { name: label.name, status: label.status };
+  res.status(201);
+  sendLabel(res, label);
+}));
+
+// Live label changes as Server-Sent Events
+router.get('/events', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const unsubscribe = labelEvents.subscribe(event => {
+    const message = labelEvents.eventForUser(req.user, event);
+    if (message) {
+      res.write(`id: ${event.id}\nevent: ${message.type}\ndata: ${JSON.stringify(message.data)}\n\n`);
+    }
+  });
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// Import a batch of labels (admin import modal)
+router.post('/import', audited('label.import'), permissions.requireRole('admin', 'Only admins can import labels'), asyncHandler(async (req, res) => {
+  const records = (req.body || {}).labels;
+  if (!Array.isArray(records)) {
+    throw new HttpError(400, 'labels must be an array');
+  }
+  await sendImport(req, res, records);
+}));
+
+// Import labels from a GeoJSON FeatureCollection ({ geojson, clearExisting, dryRun })
+router.post('/import/geojson', audited('label.import'), permissions.requireRole('admin', 'Only admins can import labels'), asyncHandler(async (req, res) => {
+  await sendImport(req, res, geoJSONToLabels((req.body || {}).geojson, await getCalibration()));
+}));
+
+// Approve, reject, reset or delete several labels at once
+router.post('/bulk', audited('label.bulk'), permissions.requireRole('moderator', 'Only moderators can moderate labels in bulk'), asyncHandler(async (req, res) => {
+  const body = req.body || {};
+  req.audit.details = { action: body.action, ids: body.ids, notes: body.notes };
+
+  const result = await labels.bulkModerateLabels(req.body, { user: req.user });
+  req.audit.details.changed = result.results.filter(item => item.success).map(item => item.id);
+  res.json(Object.assign({ success: true }, result));
+}));
+
+// Move all labels to the trash
+router.delete('/', audited('label.clear'), permissions.requireRole('admin', 'Only admins can clear all labels'), asyncHandler(async (req, res) => {
+  const removed = await labels.clearLabels({ user: req.user });
+  req.audit.details = { removed };
+  res.json({ success: true, removed });
+}));
+
+// Labels in the trash
+router.get('/trash', permissions.requireRole('moderator', 'Only moderators can view the trash'), asyncHandler(async (req, res) => {
+  res.json(await labels.listTrash());
+}));
+
+// Permanently delete everything in the trash
+router.delete('/trash', audited('label.empty-trash'), permissions.requireRole('admin', 'Only admins can empty the trash'), asyncHandler(async (req, res) => {
+  const purged = await labels.emptyTrash();
+  req.audit.details = { purged };
+  res.json({ success: true, purged });
+}));
+
+// Restore a label from the trash
+router.post('/trash/:id/restore', audited('label.restore'), permissions.requireRole('moderator', 'Only moderators can restore labels'), asyncHandler(async (req, res) => {
+  const label = await labels.restoreLabel(req.params.id, { user: req.user });
+  sendLabel(res, label);
+}));
+
+// Permanently delete one label from the trash
+router.delete('/trash/:id', audited('label.purge'), permissions.requireRole('admin', 'Only admins can permanently delete labels'), asyncHandler(async (req, res) => {
+  await labels.purgeLabel(req.params.id);
+  res.json({ success: true });
+}));
+
+// Get one label
+router.get('/:id', asyncHandler(async (req, res) => {
+  const label = await labels.getLabel(req.params.id);
+  if (!permissions.canViewLabel(req.user, label)) {
+    throw new HttpError(404, 'Label not found');
+  }
+  sendLabel(res, label);
+}));
+
+// Update a label
+// Send the version being edited (If-Match or body.version) to get a 409
+// instead of overwriting someone else's change
+router.put('/:id', audited('label.update'), requireAuth, asyncHandler(async (req, res) => {
+  const fields = labelFields(req.body);
+  const version = expectedVersion(req);
+  const existing = await labels.getLabel(req.params.id);
+  permissions.assertCanUpdateLabel(req.user, existing, fields);
+
+  req.audit.details = { fields: Object.keys(fields) };
+  if (fields.status !== undefined && fields.status !== existing.status && STATUS_ACTIONS[fields.status]) {
+    req.audit.action = STATUS_ACTIONS[fields.status];
+    req.audit.details.previousStatus = existing.status;
+    req.audit.details.notes = fields.notes;
+  }
+
+  const label = await labels.updateLabel(req.params.id, fields, {
+    user: req.user,
+    expectedVersion: version
+  });
+  sendLabel(res, label);
+}));
+
+// Revision history of a label
+router.get('/:id/history', asyncHandler(async (req, res) => {
+  const label = await labels.getLabel(req.params.id);
+  if (!permissions.canViewLabel(req.user, label)) {
+    throw new HttpError(404, 'Label not found');
+  }
+  res.json(await labels.getLabelHistory(req.params.id));
+}));
+
+// Revert a label to an earlier revision
+router.post('/:id/revert', audited('label.revert'), requireAuth, asyncHandler(async (req, res) => {
+  const revision = Number((req.body || {}).revision);
+  if (!Number.isInteger(revision)) {
+    throw new HttpError(400, 'revision must be a revision number');
+  }
+  req.audit.details = { revision };
+
+  const existing = await labels.getLabel(req.params.id);
+  const target = (existing.history || []).find(entry => Number(entry.revision) === revision);
+  if (!target || !target.snapshot) {
+    throw new HttpError(404, `Revision ${revision} not found`);
+  }
+  permissions.assertCanUpdateLabel(req.user, existing, target.snapshot);
+
+  const label = await labels.revertLabel(req.params.id, revision, {
+    user: req.user,
+    expectedVersion: expectedVersion(req)
+  });
+  sendLabel(res, label);
+}));
+
+// Move a label to the trash
+router.delete('/:id', audited('label.delete'), requireAuth, asyncHandler(async (req, res) => {
+  const existing = await labels.getLabel(req.params.id);
+  permissions.assertCanDeleteLabel(req.user, existing);
+
+  await labels.deleteLabel(req.params.id, { user: req.user });
+  res.json({ success: true });
+}));
+
+module.exports = router;
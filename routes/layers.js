@@ -0,0 +1,46 @@
+/**
+ * IxMaps - Layer groups API
+ * Label layer groups for the viewer's toggles, edited from the admin panel
+ */
+
+const express = require('express');
+const layers = require('../lib/layers');
+const { requireRole } = require('../lib/permissions');
+const { asyncHandler } = require('../lib/http');
+const { audited } = require('../lib/audit');
+
+const router = express.Router();
+
+const requireAdmin = requireRole('admin', 'Only admins can edit layer groups');
+
+// Layer groups in display order
+router.get('/', asyncHandler(async (req, res) => {
+  res.json(await layers.listLayers());
+}));
+
+// Add a layer group
+router.post('/', audited('layer.create'), requireAdmin, asyncHandler(async (req, res) => {
+  const layer = await layers.createLayer(req.body);
+  req.audit.target = layer.id;
+  res.status(201).json(layer);
+}));
+
+// Reorder the layer groups ({ ids } in the new order)
+router.put('/order', audited('layer.reorder'), requireAdmin, asyncHandler(async (req, res) => {
+  const ids = req.body && req.body.ids;
+  req.audit.details = { ids };
+  res.json(await layers.reorderLayers(ids));
+}));
+
+// Edit a layer group
+router.put('/:id', audited('layer.update'), requireAdmin, asyncHandler(async (req, res) => {
+  res.json(await layers.updateLayer(req.params.id, req.body));
+}));
+
+// Delete a layer group
+router.delete('/:id', audited('layer.delete'), requireAdmin, asyncHandler(async (req, res) => {
+  await layers.deleteLayer(req.params.id);
+  res.json({ success: true });
+}));
+
+module.exports = router;
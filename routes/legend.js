@@ -0,0 +1,26 @@
+/**
+ * IxMaps - Legend API
+ * The map legend for the viewer, edited from the admin panel
+ */
+
+const express = require('express');
+const { getLegend, saveLegend } = require('../lib/legend');
+const { requireRole } = require('../lib/permissions');
+const { asyncHandler } = require('../lib/http');
+const { audited } = require('../lib/audit');
+
+const router = express.Router();
+
+// Legend sections for every color scheme
+router.get('/', asyncHandler(async (req, res) => {
+  res.json(await getLegend());
+}));
+
+// Replace the legend
+router.put('/', audited('legend.update'), requireRole('admin', 'Only admins can edit the legend'), asyncHandler(async (req, res) => {
+  const legend = await saveLegend(req.body);
+  req.audit.details = { schemes: Object.keys(legend.schemes), defaultScheme: legend.defaultScheme };
+  res.json(legend);
+}));
+
+module.exports = router;
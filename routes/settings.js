@@ -0,0 +1,33 @@
+/**
+ * IxMaps - Settings API
+ * Viewer settings, including the overlay registry and map calibration
+ */
+
+const express = require('express');
+const { getSettings, saveOverlays, saveCalibration } = require('../lib/settings');
+const { requireRole } = require('../lib/permissions');
+const { asyncHandler } = require('../lib/http');
+const { audited } = require('../lib/audit');
+
+const router = express.Router();
+
+// Settings for the viewer
+router.get('/', asyncHandler(async (req, res) => {
+  res.json(await getSettings());
+}));
+
+// Replace the overlay registry ({ overlays })
+router.put('/overlays', audited('settings.overlays'), requireRole('admin', 'Only admins can change the overlays'), asyncHandler(async (req, res) => {
+  const overlays = await saveOverlays(req.body && req.body.overlays);
+  req.audit.details = { overlays: overlays.map(overlay => overlay.id) };
+  res.json(overlays);
+}));
+
+// Replace the map calibration ({ calibration })
+router.put('/calibration', audited('settings.calibration'), requireRole('admin', 'Only admins can change the map calibration'), asyncHandler(async (req, res) => {
+  const calibration = await saveCalibration(req.body && req.body.calibration);
+  req.audit.details = { calibration };
+  res.json(calibration);
+}));
+
+module.exports = router;
@@ -1,5 +1,13 @@
 const express = require('express');
+const bodyParser = require('body-parser');
 const path = require('path');
+const { errorHandler } = require('./lib/http');
+const { loadSession } = require('./lib/sessions');
+const { auditLog } = require('./lib/audit');
+const { getStorage } = require('./lib/storage');
+const { serveTiles } = require('./lib/tiles');
+const { serveLod } = require('./lib/lod');
+const { purgeExpiredTrash, TRASH_PURGE_INTERVAL_MS } = require('./lib/labels');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -8,9 +16,38 @@ const PORT = process.env.PORT || 3000;
 const rootDir = '/wiki/prod/v14/data/maps/ixmaps';
 const publicDir = path.join(rootDir, 'public');
 
+// API is reachable at /api (admin.html) and under the map path (admin-panel.js default)
+const apiPaths = ['/api', '/data/maps/ixmaps/api'];
+
+// Parse JSON request bodies (label imports can be large)
+app.use(bodyParser.json({ limit: '10mb' }));
+
+// Serve the pre-rendered map tiles (node build-tiles.js), cached for long
+app.use('/data/maps/ixmaps/public/tiles', serveTiles());
+
+// Serve the simplified overlay SVGs (node build-lod.js)
+app.use('/data/maps/ixmaps/public/lod', serveLod());
+
 // Serve static files from the public directory
 app.use('/data/maps/ixmaps/public', express.static(publicDir));
 
+// Identify the logged-in user from the X-Session-ID header
+app.use(apiPaths, loadSession);
+
+// Record every data-changing API call in the audit log
+app.use(apiPaths, auditLog);
+
+// API routes
+app.use(apiPaths.map(apiPath => `${apiPath}/auth`), require('./routes/auth'));
+app.use(apiPaths.map(apiPath => `${apiPath}/labels`), require('./routes/labels'));
+app.use(apiPaths.map(apiPath => `${apiPath}/layers`), require('./routes/layers'));
+app.use(apiPaths.map(apiPath => `${apiPath}/legend`), require('./routes/legend'));
+app.use(apiPaths.map(apiPath => `${apiPath}/settings`), require('./routes/settings'));
+app.use(apiPaths.map(apiPath => `${apiPath}/audit`), require('./routes/audit'));
+
+// Render API errors as JSON
+app.use(apiPaths, errorHandler);
+
 // Redirect root to index.html
 app.get('/', (req, res) => {
   res.sendFile(path.join(publicDir, 'index.html'));
@@ -20,4 +57,14 @@ app.get('/', (req, res) => {
 app.listen(PORT, () => {
   console.log(`IxMaps server running on port ${PORT}`);
   console.log(`Serving files from: ${publicDir}`);
-});
\ No newline at end of file
+  console.log(`Storage: ${getStorage().type} (${getStorage().describe()})`);
+});
+
+// Purge expired trash at startup and then periodically
+function purgeTrash() {
+  purgeExpiredTrash().catch(error => {
+    console.error('Failed to purge expired trash:', error);
+  });
+}
+purgeTrash();
+setInterval(purgeTrash, TRASH_PURGE_INTERVAL_MS);
@@ -0,0 +1,71 @@
+// user-admin.js - Manage IxMaps login accounts in data/users.json
+// Usage:
+//   node user-admin.js list
+//   node user-admin.js set-password <username> <password>
+//   node user-admin.js add <username> <password> [--role=<role>]
+//   node user-admin.js set-role <username> <role>
+// Roles: viewer, contributor (default), moderator, admin
+
+const users = require('./lib/users');
+const { roleOf } = require('./lib/permissions');
+
+const [command, ...args] = process.argv.slice(2);
+
+// Print usage and exit
+function usage() {
+  console.log('Usage:');
+  console.log('  node user-admin.js list');
+  console.log('  node user-admin.js set-password <username> <password>');
+  console.log('  node user-admin.js add <username> <password> [--role=<role>]');
+  console.log('  node user-admin.js set-role <username> <role>');
+  console.log('Roles: viewer, contributor (default), moderator, admin');
+  process.exit(1);
+}
+
+async function run() {
+  switch (command) {
+    case 'list': {
+      const all = await users.loadUsers();
+      all.forEach(user => {
+        const flags = user.passwordHash ? '' : '\t(no password)';
+        console.log(`${user.id}\t${user.username}\t${roleOf(user)}${flags}`);
+      });
+      break;
+    }
+
+    case 'set-password': {
+      const [username, password] = args;
+      if (!username || !password) usage();
+      await users.setPassword(username, password);
+      console.log(`✅ Password updated for ${username}`);
+      break;
+    }
+
+    case 'add': {
+      const [username, password] = args.filter(arg => !arg.startsWith('--'));
+      if (!username || !password) usage();
+      const roleArg = args.find(arg => arg.startsWith('--role='));
+      const user = await users.createUser(username, password, {
+        role: roleArg ? roleArg.slice('--role='.length) : undefined
+      });
+      console.log(`✅ Created ${user.username} (${user.id}, ${user.role})`);
+      break;
+    }
+
+    case 'set-role': {
+      const [username, role] = args;
+      if (!username || !role) usage();
+      await users.setRole(username, role);
+      console.log(`✅ ${username} is now ${role}`);
+      break;
+    }
+
+    default:
+      usage();
+  }
+}
+
+run().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});